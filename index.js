@@ -1,33 +1,173 @@
 require("dotenv").config();
+// เวลาท้องถิ่นของผู้ใช้เก็บเป็น Date แบบเวลาบนนาฬิกา (ดู getLocalNow) เซิร์ฟเวอร์ต้องใช้ UTC ซึ่งไม่มี DST
+process.env.TZ = "UTC";
+const crypto = require("crypto");
+const fs = require("fs");
 const express = require("express");
 const axios = require("axios");
 const { Redis } = require("@upstash/redis");
 const cron = require("node-cron");
+const { formatTime, formatDateKey, normalizeTime, timeToMinutes, parseDateKey, shiftTime, formatShortDate, parseDateInput } = require("./lib/time");
+const { DEFAULT_UNIT, drugUnit, roundAmount, isStrengthUnit, parseAmount, formatAmount } = require("./lib/amount");
+const { findDrugsByName } = require("./lib/drugs");
+const {
+  getSlotSchedule,
+  pickScheduleRule,
+  describeSchedule,
+  parseScheduleRule,
+  applyScheduleRule,
+  getTaperWindow,
+  getCurrentPhase,
+  getDosePills,
+  describePhases,
+  PHASE_PATTERN,
+  parsePhases,
+} = require("./lib/schedule");
+const { STOCK_CRITICAL_DAYS, STOCK_LOW_DAYS, FORECAST_MAX_DAYS, forecastDrug, getStockLevel } = require("./lib/forecast");
+const { EXPIRY_WARN_DAYS, addStock, consumeStock, restoreStock, getExpiryStatus } = require("./lib/stock");
+const {
+  ARG_TYPES,
+  toArabicDigits,
+  buildCommandWords,
+  matchCommand,
+  parseCommandArgs,
+  suggestCommands,
+} = require("./lib/commands");
 
 const app = express();
-app.use(express.json());
+// เก็บ raw body ไว้ตรวจ X-Line-Signature
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+
+// ===== Storage Setup =====
+// STORAGE=upstash (ค่าเริ่มต้น) | memory | file → ใช้ store.get/set/del/keys/sadd/srem/smembers/expire แบบเดียวกับ Redis
+const STORAGE = (process.env.STORAGE || "upstash").toLowerCase();
+const DATA_FILE = process.env.DATA_FILE || "data.json";
+
+function createUpstashStore() {
+  return new Redis({
+    url: process.env.UPSTASH_REDIS_URL,
+    token: process.env.UPSTASH_REDIS_TOKEN,
+  });
+}
 
-// ===== Redis Setup =====
-const redis = new Redis({
-  url: process.env.UPSTASH_REDIS_URL,
-  token: process.env.UPSTASH_REDIS_TOKEN,
-});
+// เก็บใน memory (หายเมื่อ restart) หรือเขียนลงไฟล์ JSON ทุกครั้งที่แก้ไข สำหรับพัฒนาในเครื่อง
+function createLocalStore(filePath) {
+  const data = new Map(); // key → { value, expiresAt } หรือ { members } สำหรับ set
+
+  if (filePath && fs.existsSync(filePath)) {
+    const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    Object.entries(saved).forEach(([key, entry]) => data.set(key, entry));
+  }
+
+  function persist() {
+    if (!filePath) return;
+    fs.writeFileSync(filePath, JSON.stringify(Object.fromEntries(data), null, 2));
+  }
+
+  function getEntry(key) {
+    const entry = data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  return {
+    async get(key) {
+      const entry = getEntry(key);
+      return entry ? entry.value : null;
+    },
+    async set(key, value, options = {}) {
+      if (options.nx && getEntry(key)) return null;
+      data.set(key, {
+        value: typeof value === "string" ? value : JSON.stringify(value),
+        expiresAt: options.ex ? Date.now() + options.ex * 1000 : null,
+      });
+      persist();
+      return "OK";
+    },
+    async del(...keys) {
+      let count = 0;
+      keys.flat().forEach((key) => {
+        if (data.delete(key)) count++;
+      });
+      persist();
+      return count;
+    },
+    async sadd(key, ...members) {
+      const entry = getEntry(key) || { members: [], expiresAt: null };
+      const before = entry.members.length;
+      entry.members = [...new Set([...entry.members, ...members.flat()])];
+      data.set(key, entry);
+      persist();
+      return entry.members.length - before;
+    },
+    async srem(key, ...members) {
+      const entry = getEntry(key);
+      if (!entry) return 0;
+      const before = entry.members.length;
+      entry.members = entry.members.filter((m) => !members.flat().includes(m));
+      if (entry.members.length === 0) data.delete(key);
+      persist();
+      return before - entry.members.length;
+    },
+    async smembers(key) {
+      const entry = getEntry(key);
+      return entry ? [...entry.members] : [];
+    },
+    async expire(key, seconds) {
+      const entry = getEntry(key);
+      if (!entry) return 0;
+      entry.expiresAt = Date.now() + seconds * 1000;
+      persist();
+      return 1;
+    },
+    async keys(pattern) {
+      const regex = new RegExp(
+        `^${pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*")}$`
+      );
+      return [...data.keys()].filter((key) => getEntry(key) && regex.test(key));
+    },
+  };
+}
+
+function createStore() {
+  if (STORAGE === "memory") return createLocalStore(null);
+  if (STORAGE === "file") return createLocalStore(DATA_FILE);
+  if (STORAGE !== "upstash") {
+    throw new Error(`Unknown STORAGE "${STORAGE}" (use upstash, memory or file)`);
+  }
+  return createUpstashStore();
+}
+
+const store = createStore();
 
 // ===== LINE Setup =====
 const LINE_API = "https://api.line.me/v2/bot/message";
 const TOKEN = process.env.LINE_CHANNEL_ACCESS_TOKEN;
-
-// ===== User States =====
-const userStates = {};
+const CHANNEL_SECRET = process.env.LINE_CHANNEL_SECRET || process.env.CHANNEL_SECRET;
+// LINE_DRY_RUN=true → แสดงข้อความใน console แทนการส่งจริง (ใช้ทดสอบแบบ offline)
+const LINE_DRY_RUN = process.env.LINE_DRY_RUN === "true";
 
 // ==================== LINE Functions ====================
-async function reply(replyToken, text) {
+async function replyMessages(replyToken, messages) {
+  if (LINE_DRY_RUN) {
+    return console.log("💬 [dry-run] reply:", JSON.stringify(messages, null, 2));
+  }
   try {
     await axios.post(
       `${LINE_API}/reply`,
       {
         replyToken,
-        messages: [{ type: "text", text }],
+        messages,
       },
       {
         headers: {
@@ -41,13 +181,18 @@ async function reply(replyToken, text) {
   }
 }
 
-async function push(userId, text) {
+// คืน true เมื่อส่งสำเร็จ (งานที่จองสิทธิ์ส่งไว้ใช้ตัดสินว่าจะคืนสิทธิ์หรือไม่)
+async function pushMessages(userId, messages) {
+  if (LINE_DRY_RUN) {
+    console.log(`💬 [dry-run] push to ${userId}:`, JSON.stringify(messages, null, 2));
+    return true;
+  }
   try {
     await axios.post(
       `${LINE_API}/push`,
       {
         to: userId,
-        messages: [{ type: "text", text }],
+        messages,
       },
       {
         headers: {
@@ -56,15 +201,152 @@ async function push(userId, text) {
         },
       }
     );
+    return true;
   } catch (error) {
     console.error("❌ Push Error:", error.response?.data || error.message);
+    return false;
   }
 }
 
+async function reply(replyToken, text, quickReplyItems) {
+  return await replyMessages(replyToken, [textMessage(text, quickReplyItems)]);
+}
+
+async function push(userId, text, quickReplyItems) {
+  return await pushMessages(userId, [textMessage(text, quickReplyItems)]);
+}
+
+// LINE รับข้อความละไม่เกิน 5000 ตัวอักษร และตอบกลับครั้งละไม่เกิน 5 ข้อความ
+const MAX_TEXT_LENGTH = 5000;
+const MAX_REPLY_MESSAGES = 5;
+
+// ต่อ blocks เป็นข้อความละไม่เกิน MAX_TEXT_LENGTH โดยไม่ตัดกลาง block
+function packTextBlocks(blocks) {
+  const chunks = [];
+  let current = "";
+  for (const block of blocks) {
+    if (current && current.length + block.length > MAX_TEXT_LENGTH) {
+      chunks.push(current);
+      current = "";
+    }
+    current += block.slice(0, MAX_TEXT_LENGTH);
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+function textMessage(text, quickReplyItems) {
+  const message = { type: "text", text };
+  if (quickReplyItems && quickReplyItems.length > 0) {
+    message.quickReply = buildQuickReply(quickReplyItems);
+  }
+  return message;
+}
+
+// ==================== Flex / Quick Reply ====================
+// ปุ่มแบบ postback: { label, data, displayText } / ปุ่มส่งข้อความ: { label, text }
+function buildAction(item) {
+  if (item.data) {
+    return {
+      type: "postback",
+      label: item.label,
+      data: item.data,
+      displayText: item.displayText || item.label,
+    };
+  }
+  return { type: "message", label: item.label, text: item.text || item.label };
+}
+
+// LINE แสดง quick reply ได้ไม่เกิน 13 ปุ่ม (เกินจะถูกตัดท้าย)
+const MAX_QUICK_REPLY_ITEMS = 13;
+
+function buildQuickReply(items) {
+  return {
+    items: items.slice(0, MAX_QUICK_REPLY_ITEMS).map((item) => ({ type: "action", action: buildAction(item) })),
+  };
+}
+
+function postbackData(params) {
+  return new URLSearchParams(params).toString();
+}
+
+// อ้างยาในปุ่มด้วย hash สั้นของชื่อแทนชื่อเต็ม เพราะ postback data รับได้ไม่เกิน 300 ตัวอักษร
+function drugRef(drug) {
+  return crypto.createHash("sha1").update(drug.name).digest("hex").slice(0, 8);
+}
+
+// rows: [{ title, subtitle, color, actions: [{ label, data }] }], buttons: ปุ่มท้าย bubble
+function buildListFlex({ altText, title, rows, footer, buttons, quickReplyItems }) {
+  const message = {
+    type: "flex",
+    altText,
+    contents: {
+      type: "bubble",
+      header: {
+        type: "box",
+        layout: "vertical",
+        contents: [{ type: "text", text: title, weight: "bold", size: "lg", wrap: true }],
+      },
+      body: {
+        type: "box",
+        layout: "vertical",
+        spacing: "md",
+        contents: rows.map((row) => ({
+          type: "box",
+          layout: "horizontal",
+          spacing: "sm",
+          alignItems: "center",
+          contents: [
+            {
+              type: "box",
+              layout: "vertical",
+              flex: 3,
+              contents: [
+                { type: "text", text: row.title, weight: "bold", wrap: true, color: row.color || "#111111" },
+                ...(row.subtitle
+                  ? [{ type: "text", text: row.subtitle, size: "sm", color: "#888888", wrap: true }]
+                  : []),
+              ],
+            },
+            ...(row.actions || []).map((action) => ({
+              type: "button",
+              style: action.style || "secondary",
+              height: "sm",
+              flex: 2,
+              action: buildAction(action),
+            })),
+          ],
+        })),
+      },
+    },
+  };
+
+  if (footer || buttons) {
+    message.contents.footer = {
+      type: "box",
+      layout: "vertical",
+      spacing: "sm",
+      contents: [
+        ...(buttons || []).map((button) => ({
+          type: "button",
+          style: button.style || "secondary",
+          height: "sm",
+          action: buildAction(button),
+        })),
+        ...(footer ? [{ type: "text", text: footer, size: "xs", color: "#888888", wrap: true }] : []),
+      ],
+    };
+  }
+  if (quickReplyItems && quickReplyItems.length > 0) {
+    message.quickReply = buildQuickReply(quickReplyItems);
+  }
+  return message;
+}
+
 // ==================== Redis Functions ====================
 async function getUser(lineUserId) {
   try {
-    const data = await redis.get(`user:${lineUserId}`);
+    const data = await store.get(`user:${lineUserId}`);
     if (!data) return null;
     return typeof data === "string" ? JSON.parse(data) : data;
   } catch (error) {
@@ -75,15 +357,32 @@ async function getUser(lineUserId) {
 
 async function saveUser(lineUserId, userData) {
   try {
-    await redis.set(`user:${lineUserId}`, JSON.stringify(userData));
+    await syncReminderIndex(lineUserId, userData);
+    await store.set(`user:${lineUserId}`, JSON.stringify(userData));
   } catch (error) {
     console.error("❌ Redis Save Error:", error.message);
   }
 }
 
+// งาน cron ใช้ user ที่อ่านไว้ตอนต้นนาที ระหว่างรอส่งข้อความ webhook อาจหักยา/เติมยาไปแล้ว
+// → อ่านใหม่ก่อนบันทึก ใช้ update แก้เฉพาะฟิลด์ที่งานนั้นเปลี่ยน แล้วให้ user ที่ถืออยู่เป็นข้อมูลล่าสุด
+async function updateUser(user, update) {
+  const fresh = await getUser(user.lineUserId);
+  if (!fresh) return; // รีเซ็ทไปแล้ว
+  update(fresh);
+  await saveUser(user.lineUserId, fresh);
+  Object.assign(user, fresh);
+}
+
 async function deleteUserData(lineUserId) {
   try {
-    await redis.del(`user:${lineUserId}`);
+    const user = await getUser(lineUserId);
+    if (user) {
+      for (const key of user.indexedKeys || []) {
+        await store.srem(key, lineUserId);
+      }
+    }
+    await store.del(`user:${lineUserId}`);
   } catch (error) {
     console.error("❌ Redis Delete Error:", error.message);
   }
@@ -91,10 +390,10 @@ async function deleteUserData(lineUserId) {
 
 async function getAllUsers() {
   try {
-    const keys = await redis.keys("user:*");
+    const keys = await store.keys("user:*");
     const users = [];
     for (const key of keys) {
-      const data = await redis.get(key);
+      const data = await store.get(key);
       if (data) {
         const user = typeof data === "string" ? JSON.parse(data) : data;
         users.push(user);
@@ -107,1093 +406,4020 @@ async function getAllUsers() {
   }
 }
 
-// ==================== Reminder System ====================
-function startReminderSystem() {
-  cron.schedule(
-    "* * * * *",
-    async () => {
-      const utcNow = new Date();
-      const now = new Date(utcNow.getTime() + (7 * 60 * 60 * 1000) + (utcNow.getTimezoneOffset() * 60 * 1000));
-      const currentTime = `${String(now.getHours()).padStart(2, "0")}:${String(now.getMinutes()).padStart(2, "0")}`;
-      try {
-        const users = await getAllUsers();
-
-        for (const user of users) {
-          const times = user.reminderTimes || ["08:00", "20:00"];
-          if (times.includes(currentTime)) {
-            const timeIndex = times.indexOf(currentTime);
-            await sendDrugReminder(user, currentTime, timeIndex + 1, timeIndex);
-          }
-        }
-      } catch (error) {
-        console.error("❌ Reminder Error:", error.message);
-      }
-    },
-    { timezone: "Asia/Bangkok" }
-  );
-
-  console.log("✅ Reminder system started");
+// ===== Reminder Index =====
+// remind:{timezone}:{HH:MM} / digest:{timezone}:{HH:MM} = set ของ lineUserId ที่ต้องทำงานนาทีนั้น (เวลาท้องถิ่น)
+// timezones = set ของเขตเวลาที่มีผู้ใช้ ใช้วนตรวจทุกนาที
+// saveUser() อัปเดตให้อัตโนมัติ โดยจำ key ที่เคย index ไว้ใน user.indexedKeys
+const TIMEZONE_INDEX_KEY = "timezones";
+
+function reminderIndexKeys(user) {
+  const timeZone = getUserTimezone(user);
+  const keys = (user.reminderTimes || ["08:00", "20:00"]).map((t) => `remind:${timeZone}:${t}`);
+  const digestTime = getDigestTime(user);
+  if (digestTime) keys.push(`digest:${timeZone}:${digestTime}`);
+  return keys;
 }
 
-async function sendDrugReminder(user, time, timeNumber, timeIndex) {
-  const drugs = user.drugs || [];
+async function syncReminderIndex(lineUserId, user) {
+  const before = user.indexedKeys || [];
+  const after = reminderIndexKeys(user);
 
-  // กรองเฉพาะยาที่ต้องกินเวลานี้
-  const drugsToTake = drugs.filter((drug) => {
-    const schedules = drug.schedules || [];
-    return schedules.some((s) => s.times.includes(timeIndex));
-  });
+  for (const key of before.filter((k) => !after.includes(k))) {
+    await store.srem(key, lineUserId);
+  }
+  for (const key of after.filter((k) => !before.includes(k))) {
+    await store.sadd(key, lineUserId);
+  }
+  if (user.timezone && !before.some((k) => k.startsWith(`remind:${user.timezone}:`))) {
+    await store.sadd(TIMEZONE_INDEX_KEY, user.timezone);
+  }
+  user.indexedKeys = after;
+}
 
-  if (drugsToTake.length === 0) {
-    return; // ไม่มียาต้องกิน
+async function getIndexedUserIds(key) {
+  try {
+    return await store.smembers(key);
+  } catch (error) {
+    console.error("❌ Redis Index Error:", error.message);
+    return [];
+  }
+}
+
+// สร้าง index ใหม่ทั้งหมดจากข้อมูลผู้ใช้ (ใช้กับข้อมูลเก่าก่อนมี index)
+async function rebuildReminderIndex() {
+  for (const prefix of ["remind", "digest"]) {
+    const keys = await store.keys(`${prefix}:*`);
+    for (const key of keys) {
+      await store.del(key);
+    }
   }
+  await store.del(TIMEZONE_INDEX_KEY);
 
-  let warning = "";
-  let drugList = "";
+  const users = await getAllUsers();
+  for (const user of users) {
+    user.indexedKeys = [];
+    await saveUser(user.lineUserId, user);
+  }
+  return users.length;
+}
 
-  drugsToTake.forEach((drug) => {
-    const schedule = drug.schedules.find((s) => s.times.includes(timeIndex));
-    const pills = schedule ? schedule.pills : 1;
+// index ว่างแต่มีผู้ใช้อยู่แล้ว (ข้อมูลเก่าก่อนมี index) → สร้างให้อัตโนมัติตอนเปิดเซิร์ฟเวอร์
+async function ensureReminderIndex() {
+  try {
+    const indexed = await store.keys("remind:*");
+    if (indexed.length > 0) return;
+    const userKeys = await store.keys("user:*");
+    if (userKeys.length === 0) return;
+    const count = await rebuildReminderIndex();
+    console.log(`✅ Rebuilt reminder index for ${count} users`);
+  } catch (error) {
+    console.error("❌ Rebuild Index Error:", error.message);
+  }
+}
 
-    drugList += `💊 ${drug.name} - กิน ${pills} เม็ด (เหลือ ${drug.quantity} เม็ด)\n`;
+// caregiver:{lineUserId} = [lineUserId ของผู้ป่วยที่ดูแล]
+async function getCaregiverPatients(caregiverId) {
+  try {
+    const data = await store.get(`caregiver:${caregiverId}`);
+    if (!data) return [];
+    return typeof data === "string" ? JSON.parse(data) : data;
+  } catch (error) {
+    console.error("❌ Redis Get Caregiver Error:", error.message);
+    return [];
+  }
+}
 
-    if (drug.quantity <= 0) {
-      warning += `\n🚫 ${drug.name}: หมดแล้ว!`;
-    } else if (drug.quantity <= pills * 5) {
-      warning += `\n🔴 ${drug.name}: เหลือ ${drug.quantity} เม็ด (ใกล้หมด!)`;
-    } else if (drug.quantity <= pills * 10) {
-      warning += `\n🟡 ${drug.name}: เหลือ ${drug.quantity} เม็ด (เหลือน้อย)`;
+async function saveCaregiverPatients(caregiverId, patientIds) {
+  try {
+    if (patientIds.length === 0) {
+      await store.del(`caregiver:${caregiverId}`);
+    } else {
+      await store.set(`caregiver:${caregiverId}`, JSON.stringify(patientIds));
     }
-  });
+  } catch (error) {
+    console.error("❌ Redis Save Caregiver Error:", error.message);
+  }
+}
 
-  const message = `⏰ ถึงเวลากินยาแล้ว!
-━━━━━━━━━━━━━━━━━━━
-🕐 เวลาที่ ${timeNumber}: ${time} น.
+// state:{lineUserId} = { flow, step, data } หมดอายุเองเพื่อไม่ให้ค้างกลืนข้อความถัดไป
+const STATE_TTL_SECONDS = 10 * 60;
 
-📋 รายการยาที่ต้องกิน:
-${drugList}${warning ? `\n⚠️ แจ้งเตือน:${warning}` : ""}
-━━━━━━━━━━━━━━━━━━━
-📝 วิธีบันทึกการกินยา:
+async function getState(lineUserId) {
+  try {
+    const data = await store.get(`state:${lineUserId}`);
+    if (!data) return null;
+    return typeof data === "string" ? JSON.parse(data) : data;
+  } catch (error) {
+    console.error("❌ Redis Get State Error:", error.message);
+    return null;
+  }
+}
+
+async function setState(lineUserId, state) {
+  try {
+    await store.set(`state:${lineUserId}`, JSON.stringify(state), { ex: STATE_TTL_SECONDS });
+  } catch (error) {
+    console.error("❌ Redis Save State Error:", error.message);
+  }
+}
 
-✅ กินตรงเวลา:
-   พิมพ์ "กินยา ${timeNumber}"
+async function clearState(lineUserId) {
+  try {
+    await store.del(`state:${lineUserId}`);
+  } catch (error) {
+    console.error("❌ Redis Delete State Error:", error.message);
+  }
+}
 
-⏰ กินช้าเกิน 30 นาที:
-   พิมพ์ "กินยาช้า ${timeNumber}"`;
+// ==================== Time Helpers ====================
+// เวลาท้องถิ่นของผู้ใช้ตาม user.timezone (IANA เช่น "Asia/Tokyo") ผู้ใช้เก่าที่ไม่มีค่าใช้เวลาไทย
+// คืนค่าเป็น Date ที่ getHours()/getDate() ตรงกับเวลาท้องถิ่นนั้น (รองรับ DST ผ่าน Intl)
+const DEFAULT_TIMEZONE = "Asia/Bangkok";
+const timezoneFormatters = new Map();
 
-  await push(user.lineUserId, message);
-  console.log(`📤 Reminder sent to ${user.odotId} at ${time}`);
+function getUserTimezone(user) {
+  return (user && user.timezone) || DEFAULT_TIMEZONE;
 }
 
-// ==================== Message Handler ====================
-async function handleMessage(event) {
-  const lineUserId = event.source.userId;
-  const text = event.message.text.trim();
-  const replyToken = event.replyToken;
+function getLocalNow(timeZone, date = new Date()) {
+  if (!timezoneFormatters.has(timeZone)) {
+    timezoneFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+    );
+  }
 
-  try {
-    if (userStates[lineUserId]) {
-      return await handleUserState(replyToken, lineUserId, text);
-    }
+  const parts = {};
+  timezoneFormatters
+    .get(timeZone)
+    .formatToParts(date)
+    .forEach((part) => (parts[part.type] = Number(part.value)));
+  return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
 
-    if (text === "help" || text === "วิธีใช้" || text === "ช่วยเหลือ") {
-      return await sendMainHelp(replyToken);
-    }
-    if (text.startsWith("help ") || text.startsWith("ช่วยเหลือ ")) {
-      const topic = text.replace(/^(help |ช่วยเหลือ )/, "").trim();
-      return await sendTopicHelp(replyToken, topic);
-    }
+function getUserNow(user) {
+  return getLocalNow(getUserTimezone(user));
+}
 
-    if (text.startsWith("ลงทะเบียน ")) {
-      return await handleRegister(replyToken, text, lineUserId);
-    }
+// "asia/tokyo" → "Asia/Tokyo", "UTC+9" / "+9" → "Etc/GMT-9" หรือ null ถ้าไม่รู้จัก
+function normalizeTimezone(input) {
+  const offset = input.trim().match(/^(?:UTC|GMT)?\s*([+-])(\d{1,2})$/i);
+  let timeZone = input.trim();
+  if (offset) {
+    const hours = Number(offset[2]);
+    if (hours > 14) return null;
+    timeZone = hours === 0 ? "Etc/UTC" : `Etc/GMT${offset[1] === "+" ? "-" : "+"}${hours}`;
+  }
 
-    if (text.startsWith("เพิ่มยา ")) {
-      return await handleAddDrug(replyToken, text, lineUserId);
-    }
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
 
-    if (text === "ดูยา" || text === "รายการยา") {
-      return await handleShowDrugs(replyToken, lineUserId);
-    }
+// ==================== Dose History ====================
+// เก็บประวัติการกินยาแยกรายวัน: dose:{lineUserId}:{YYYY-MM-DD} = [event, ...]
+const HISTORY_DAYS = 90;
+const MAX_HISTORY_VIEW_DAYS = 30;
 
-    if (text === "เติมยา") {
-      return await handleRefillStart(replyToken, lineUserId);
-    }
-    if (text.startsWith("เติมยา ")) {
-      return await handleRefill(replyToken, text, lineUserId);
-    }
+async function getDoseLog(lineUserId, dateKey) {
+  try {
+    const data = await store.get(`dose:${lineUserId}:${dateKey}`);
+    if (!data) return [];
+    return typeof data === "string" ? JSON.parse(data) : data;
+  } catch (error) {
+    console.error("❌ Redis Get Dose Log Error:", error.message);
+    return [];
+  }
+}
 
-    if (text === "ยกเลิกยา") {
-      return await handleCancelStart(replyToken, lineUserId);
-    }
-    if (text.startsWith("ยกเลิกยา ")) {
-      return await handleCancel(replyToken, text, lineUserId);
-    }
+async function saveDoseLog(lineUserId, dateKey, events) {
+  try {
+    await store.set(`dose:${lineUserId}:${dateKey}`, JSON.stringify(events), {
+      ex: HISTORY_DAYS * 24 * 60 * 60,
+    });
+  } catch (error) {
+    console.error("❌ Redis Save Dose Log Error:", error.message);
+  }
+}
 
-    if (text === "เวลากินยา" || text === "ดูเวลากินยา") {
-      return await handleShowTimes(replyToken, lineUserId);
-    }
-    if (text.startsWith("เพิ่มเวลากินยา ")) {
-      return await handleAddTime(replyToken, text, lineUserId);
-    }
-    if (text.startsWith("ลบเวลากินยา ")) {
-      return await handleRemoveTime(replyToken, text, lineUserId);
-    }
+async function logDoseEvent(lineUserId, dateKey, event) {
+  const events = await getDoseLog(lineUserId, dateKey);
+  events.push(event);
+  await saveDoseLog(lineUserId, dateKey, events);
+}
 
-    // ตั้งเวลากินยา (ใหม่)
-    if (text === "ตั้งเวลากินยา") {
-      return await handleSetScheduleStart(replyToken, lineUserId);
-    }
-    if (text.startsWith("ตั้งเวลากินยา ")) {
-      return await handleSetSchedule(replyToken, text, lineUserId);
-    }
+// event ล่าสุดของเวลานั้นคือสถานะปัจจุบันของรอบ (pending → ontime/late/skipped/missed)
+// event ที่ถูกยกเลิก (undoneAt) ยังเก็บไว้เป็นประวัติ แต่ไม่นับเป็นสถานะ
+function findSlotEvent(events, time) {
+  return events.filter((e) => e.time === time && !e.undoneAt).pop() || null;
+}
 
-    if (text.startsWith("กินยา ") && !text.startsWith("กินยาช้า")) {
-      return await handleTakeDrug(replyToken, text, lineUserId, false);
-    }
+// ยาที่ถูกข้ามรายตัวในรอบนั้น: event "drugSkipped" ไม่มี time จึงไม่เปลี่ยนสถานะรอบ → Map ชื่อยา → เหตุผล
+function getSkippedDrugs(events, time) {
+  const skipped = new Map();
+  events
+    .filter((e) => e.status === "drugSkipped" && e.slotTime === time && !e.undoneAt)
+    .forEach((e) => e.drugs.forEach((d) => skipped.set(d.name, d.reason)));
+  return skipped;
+}
 
-    if (text === "กินยาช้า") {
-      return await handleLateStart(replyToken, lineUserId);
-    }
-    if (text.startsWith("กินยาช้า ")) {
-      return await handleTakeDrug(replyToken, text, lineUserId, true);
-    }
+function isSlotDone(event) {
+  return !!event && ["ontime", "late", "skipped"].includes(event.status);
+}
 
-    if (text === "รีเซ็ท" || text === "รีเซ็ทข้อมูล") {
-      return await handleResetStart(replyToken, lineUserId);
-    }
-    if (text === "ยืนยันรีเซ็ท") {
-      return await handleResetConfirm(replyToken, lineUserId);
+async function deleteDoseHistory(lineUserId) {
+  try {
+    const keys = await store.keys(`dose:${lineUserId}:*`);
+    for (const key of keys) {
+      await store.del(key);
     }
-
-    return await reply(
-      replyToken,
-      `❓ ไม่เข้าใจคำสั่งค่ะ\n\n💡 พิมพ์ "help" หรือ "วิธีใช้" ดูคำสั่งทั้งหมด`
-    );
   } catch (error) {
-    console.error("❌ Error:", error.message);
-    return await reply(replyToken, "❌ เกิดข้อผิดพลาด กรุณาลองใหม่ค่ะ");
+    console.error("❌ Redis Delete Dose Log Error:", error.message);
   }
 }
 
-// ==================== User State Handler ====================
-async function handleUserState(replyToken, lineUserId, text) {
-  const state = userStates[lineUserId];
+// ==================== Reminder System ====================
+// เก็บนาทีล่าสุดที่ประมวลผลแล้ว เพื่อตามส่งงานที่พลาดไปตอนเครื่องหลับ/restart (ย้อนได้ไม่เกิน CATCHUP_WINDOW_MINUTES)
+const REMINDER_CURSOR_KEY = "reminder:lastMinute";
+const CATCHUP_WINDOW_MINUTES = parseInt(process.env.CATCHUP_WINDOW_MINUTES) || 60;
+const DELIVERY_TTL_SECONDS = 2 * 24 * 60 * 60;
 
-  if (state.action === "confirmCancel") {
-    if (text === "ยืนยัน" || text === "ใช่" || text.toLowerCase() === "y") {
-      const user = await getUser(lineUserId);
-      const drugName = user.drugs[state.drugIndex].name;
-      user.drugs.splice(state.drugIndex, 1);
-      await saveUser(lineUserId, user);
-      delete userStates[lineUserId];
+function startReminderSystem() {
+  cron.schedule(
+    "* * * * *",
+    async () => {
+      try {
+        await runReminderTick();
+      } catch (error) {
+        console.error("❌ Reminder Error:", error.message);
+      }
+    },
+    { timezone: "Asia/Bangkok" }
+  );
 
-      return await reply(replyToken, `✅ ลบยา "${drugName}" เรียบร้อยแล้วค่ะ`);
-    } else {
-      delete userStates[lineUserId];
-      return await reply(replyToken, "❌ ยกเลิกการลบยาค่ะ");
-    }
-  }
+  console.log("✅ Reminder system started");
+}
 
-  if (state.action === "confirmReset") {
-    if (text === "ยืนยันรีเซ็ท") {
-      await deleteUserData(lineUserId);
-      delete userStates[lineUserId];
+// cursor เก็บเป็นเวลา UTC (epoch ms) แล้วแปลงเป็นเวลาท้องถิ่นของแต่ละเขตเวลา
+async function runReminderTick() {
+  const now = Date.now() - (Date.now() % (60 * 1000));
+  const timezones = await getActiveTimezones();
 
-      return await reply(
-        replyToken,
-        `✅ รีเซ็ทข้อมูลสำเร็จ!\n━━━━━━━━━━━━━━━━━━━\n\n🔄 ข้อมูลทั้งหมดถูกลบแล้ว\n\n💡 เริ่มใช้งานใหม่:\nพิมพ์: ลงทะเบียน [รหัสผู้ป่วย]`
-      );
-    } else {
-      delete userStates[lineUserId];
-      return await reply(replyToken, "❌ ยกเลิกการรีเซ็ทค่ะ");
+  const last = Number(await store.get(REMINDER_CURSOR_KEY));
+  if (last) {
+    const from = Math.max(last + 60 * 1000, now - CATCHUP_WINDOW_MINUTES * 60 * 1000);
+    for (let t = from; t < now; t += 60 * 1000) {
+      await processInstant(t, timezones, { delayed: true });
     }
   }
 
-  delete userStates[lineUserId];
-  return null;
+  await processInstant(now, timezones);
+  await store.set(REMINDER_CURSOR_KEY, String(now));
 }
 
-// ==================== HELP Functions ====================
-async function sendMainHelp(replyToken) {
-  const text = `📚 วิธีใช้งาน Bot เตือนกินยา
-━━━━━━━━━━━━━━━━━━━━━
+async function getActiveTimezones() {
+  const timezones = await getIndexedUserIds(TIMEZONE_INDEX_KEY);
+  return [...new Set([DEFAULT_TIMEZONE, ...timezones])];
+}
 
-สวัสดีค่ะ! 👋
-Bot นี้จะช่วยเตือนเวลากินยา
-และจัดการยาของคุณค่ะ
+async function processInstant(instant, timezones, options = {}) {
+  await processDueSnoozes(instant, options);
+  await processDueMissedChecks(instant);
 
-━━━━━━━━━━━━━━━━━━━━━
-📌 หมวดหมู่คำสั่ง:
-━━━━━━━━━━━━━━━━━━━━━
+  for (const timeZone of timezones) {
+    const localNow = getLocalNow(timeZone, new Date(instant));
+    const localPrev = getLocalNow(timeZone, new Date(instant - 60 * 1000));
 
-1️⃣ เริ่มต้นใช้งาน → help ลงทะเบียน
-2️⃣ จัดการยา → help เพิ่มยา
-3️⃣ จัดการเวลา → help เวลากินยา
-4️⃣ ตั้งเวลาแต่ละยา → help ตั้งเวลากินยา
-5️⃣ บันทึกการกิน → help กินยา
-6️⃣ รีเซ็ทข้อมูล → help รีเซ็ท
+    // DST เลื่อนเวลาไปข้างหน้า เช่น 02:00 → 03:00: ทำงานของนาทีท้องถิ่นที่ถูกข้ามไปด้วย
+    // (DST ถอยหลังทำให้นาทีซ้ำ แต่ claimDelivery กันส่งซ้ำให้แล้ว)
+    for (let t = localPrev.getTime() + 60 * 1000; t < localNow.getTime(); t += 60 * 1000) {
+      await processMinute(timeZone, new Date(t), options);
+    }
+    await processMinute(timeZone, localNow, options);
+  }
+}
 
-━━━━━━━━━━━━━━━━━━━━━
-⚡ คำสั่งด่วน:
-━━━━━━━━━━━━━━━━━━━━━
-• ดูยา - ดูรายการยาทั้งหมด
-• เวลากินยา - ดูเวลาเตือน
-• ตั้งเวลากินยา - กำหนดว่ายาไหนกินเวลาไหน
-• เติมยา - เติมจำนวนยา
+// จองสิทธิ์ส่งงานนี้ (ต่อผู้ใช้ + ประเภท + วันที่ + รอบ) ได้ครั้งเดียว แม้รันหลาย instance หรือตามส่งซ้ำ
+async function claimDelivery(kind, lineUserId, dateKey, time) {
+  try {
+    const ok = await store.set(deliveryKey(kind, lineUserId, dateKey, time), "1", {
+      nx: true,
+      ex: DELIVERY_TTL_SECONDS,
+    });
+    return !!ok;
+  } catch (error) {
+    console.error("❌ Redis Claim Delivery Error:", error.message);
+    return false;
+  }
+}
 
-💡 พิมพ์ "help [หมวด]" เพื่อดูรายละเอียด`;
+// ส่งไม่สำเร็จ → คืนสิทธิ์ เพื่อให้การประมวลผลนาทีนั้นซ้ำ (instance อื่น/ตามส่ง) ส่งใหม่ได้
+async function releaseDelivery(kind, lineUserId, dateKey, time) {
+  try {
+    await store.del(deliveryKey(kind, lineUserId, dateKey, time));
+  } catch (error) {
+    console.error("❌ Redis Release Delivery Error:", error.message);
+  }
+}
 
-  return await reply(replyToken, text);
+function deliveryKey(kind, lineUserId, dateKey, time) {
+  return `sent:${kind}:${lineUserId}:${dateKey}:${time}`;
 }
 
-async function sendTopicHelp(replyToken, topic) {
-  const helps = {
-    ลงทะเบียน: `📝 วิธีลงทะเบียน
-━━━━━━━━━━━━━━━━━━━
-🔹 คำสั่ง:
-ลงทะเบียน [รหัสผู้ป่วย]
+// โหลดเฉพาะผู้ใช้ในเขตเวลานี้ที่มีงานในนาทีนี้: เตือนยา, เตือนซ้ำ, บันทึกพลาด, สรุปประจำวัน
+// now = เวลาท้องถิ่นของ timeZone, options.delayed = ตามส่งนาทีที่พลาดไป
+async function processMinute(timeZone, now, options = {}) {
+  const currentTime = formatTime(now);
+  const dateKey = formatDateKey(now);
+  const indexKeys = [
+    `remind:${timeZone}:${currentTime}`,
+    `remind:${timeZone}:${shiftTime(currentTime, -FOLLOW_UP_MINUTES)}`,
+    `remind:${timeZone}:${shiftTime(currentTime, -MISSED_AFTER_MINUTES)}`,
+    `digest:${timeZone}:${currentTime}`,
+  ];
+
+  const userIds = new Set();
+  for (const key of indexKeys) {
+    (await getIndexedUserIds(key)).forEach((id) => userIds.add(id));
+  }
 
-📌 ตัวอย่าง:
-ลงทะเบียน HN12345
+  for (const lineUserId of userIds) {
+    const user = await getUser(lineUserId);
+    if (!user || getUserTimezone(user) !== timeZone) continue;
+
+    const times = user.reminderTimes || ["08:00", "20:00"];
+    if (times.includes(currentTime)) {
+      await finishEndedCourses(user, now);
+      await announcePhaseChanges(user, now);
+      await checkRefillReminders(user, now);
+      await checkExpiryWarnings(user, now);
+      const timeIndex = times.indexOf(currentTime);
+      await sendDrugReminder(user, currentTime, timeIndex + 1, timeIndex, {
+        dateKey,
+        delayed: options.delayed,
+      });
+    }
+    await checkPendingSlots(user, now);
 
-━━━━━━━━━━━━━━━━━━━
-✅ หลังลงทะเบียน:
-• เวลาเตือนเริ่มต้น: 08:00, 20:00
-• สามารถเพิ่มยาได้เลย
-• ระบบจะเตือนตามเวลาที่ตั้งไว้`,
+    if (
+      getDigestTime(user) === currentTime &&
+      (await claimDelivery("digest", lineUserId, dateKey, currentTime))
+    ) {
+      await sendDailyDigest(user, now);
+    }
+  }
+}
+
+async function sendDrugReminder(user, time, timeNumber, timeIndex, options = {}) {
+  const drugs = user.drugs || [];
+  const dateKey = options.dateKey || formatDateKey(getUserNow(user));
+  const slotDate = parseDateKey(dateKey);
+
+  // กรองเฉพาะยาที่ต้องกินเวลานี้ของวันนี้
+  const drugsToTake = drugs.filter((drug) => getSlotSchedule(drug, timeIndex, slotDate));
+
+  if (drugsToTake.length === 0) {
+    return; // ไม่มียาต้องกิน
+  }
+
+  // ยืนยันกินล่วงหน้าแล้ว (ภายใน CONFIRM_WINDOW_MINUTES) → ไม่เตือน และไม่บันทึก pending ทับจนถูกนับว่าพลาด
+  if (isSlotDone(findSlotEvent(await getDoseLog(user.lineUserId, dateKey), time))) {
+    return;
+  }
+
+  if (!options.snoozed &&!(await claimDelivery("remind", user.lineUserId, dateKey, time))) {
+    return; // instance อื่นส่งไปแล้ว
+  }
+
+  let warning = "";
+  const rows = [];
+
+  drugsToTake.forEach((drug) => {
+    const pills = getDosePills(drug, getSlotSchedule(drug, timeIndex, slotDate), slotDate);
+    const unit = drugUnit(drug);
+
+    rows.push({
+      title: `💊 ${drug.name}`,
+      subtitle: `กิน ${formatAmount(pills, unit)} (เหลือ ${formatAmount(drug.quantity, unit)})`,
+      // ข้ามรายตัวมีประโยชน์เฉพาะรอบที่มียาหลายตัว (ตัวเดียวใช้ปุ่มข้ามทั้งรอบ)
+      ...(drugsToTake.length > 1 && {
+        actions: [
+          {
+            label: "⏭️ ข้ามตัวนี้",
+            data: postbackData({ action: "skipdrug", time, date: dateKey, ref: drugRef(drug) }),
+            displayText: `ข้ามยา ${timeNumber} ${drug.name}`,
+          },
+        ],
+      }),
+    });
+
+    const forecast = forecastDrug(drug, getUserNow(user), user.reminderTimes);
+    if (forecast.level === "out") {
+      warning += `\n🚫 ${drug.name}: หมดแล้ว!`;
+    } else if (forecast.level !== "ok") {
+      warning += `\n${STOCK_ALERT_ICONS[forecast.level]} ${drug.name}: ${describeSupply(drug, forecast)}`;
+    }
+  });
+
+  let title = options.snoozed ? "🔁 เตือนอีกครั้ง ถึงเวลากินยา!" : "⏰ ถึงเวลากินยาแล้ว!";
+  if (options.delayed) {
+    title = "⏰ แจ้งเตือนล่าช้า (ระบบขัดข้องชั่วคราว)";
+  }
+  const actions = buildSlotActions(time, timeNumber, dateKey);
+
+  const message = buildListFlex({
+    altText: `${title} (${time} น.)`,
+    title: `${title}\n🕐 เวลาที่ ${timeNumber}: ${time} น.`,
+    rows,
+    footer: `${warning ? `⚠️ แจ้งเตือน:${warning}\n\n` : ""}📝 หรือส่งสติกเกอร์ / พิมพ์ "กินยา ${timeNumber}" / "กินยาช้า ${timeNumber}"`,
+    buttons: actions.slice(0, 2),
+    quickReplyItems: actions,
+  });
+
+  if (!(await pushMessages(user.lineUserId, [message]))) {
+    if (!options.snoozed) await releaseDelivery("remind", user.lineUserId, dateKey, time);
+    return;
+  }
+
+  if (options.snoozed) {
+    console.log(`🔁 Snoozed reminder sent to ${user.odotId} at ${time}`);
+    return;
+  }
+
+  // บันทึกว่าเตือนแล้ว รอผู้ใช้ยืนยัน
+  await logDoseEvent(user.lineUserId, dateKey, {
+    slot: timeIndex,
+    time,
+    status: "pending",
+    drugs: drugsToTake.map((drug) => ({
+      name: drug.name,
+      pills: getDosePills(drug, getSlotSchedule(drug, timeIndex, slotDate), slotDate),
+      unit: drugUnit(drug),
+    })),
+    ...(options.delayed && { delayed: true }),
+    createdAt: new Date().toISOString(),
+  });
+
+  console.log(`📤 ${options.delayed ? "Delayed reminder" : "Reminder"} sent to ${user.odotId} at ${time}`);
+}
+
+// ปุ่ม กินแล้ว / กินช้า / ข้าม / เลื่อน ของรอบนั้น (อ้างเวลา+วันที่ ไม่ใช่ลำดับ เผื่อผู้ใช้แก้เวลาภายหลัง)
+function buildSlotActions(time, timeNumber, dateKey) {
+  const slot = { time, date: dateKey };
+  return [
+    {
+      label: "✅ กินแล้ว",
+      style: "primary",
+      data: postbackData({ action: "take", ...slot }),
+      displayText: `กินยา ${timeNumber}`,
+    },
+    {
+      label: "🕐 กินช้า",
+      data: postbackData({ action: "late", ...slot }),
+      displayText: `กินยาช้า ${timeNumber}`,
+    },
+    {
+      label: "⏭️ ข้าม",
+      data: postbackData({ action: "skip", ...slot }),
+      displayText: `ข้ามยา ${timeNumber}`,
+    },
+    {
+      label: `⏰ เลื่อน ${DEFAULT_SNOOZE_MINUTES} นาที`,
+      data: postbackData({ action: "snooze", minutes: DEFAULT_SNOOZE_MINUTES, ...slot }),
+      displayText: `เลื่อน ${DEFAULT_SNOOZE_MINUTES} นาที`,
+    },
+  ];
+}
+
+// ==================== Missed Dose Detection ====================
+// เตือนซ้ำเมื่อเลยเวลา FOLLOW_UP_MINUTES และบันทึกว่าพลาดเมื่อเลย MISSED_AFTER_MINUTES
+const FOLLOW_UP_MINUTES = parseInt(process.env.FOLLOW_UP_MINUTES) || 30;
+const MISSED_AFTER_MINUTES = parseInt(process.env.MISSED_AFTER_MINUTES) || 120;
+
+async function checkPendingSlots(user, now) {
+  const times = user.reminderTimes || ["08:00", "20:00"];
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+
+  for (let i = 0; i < times.length; i++) {
+    let elapsed = nowMinutes - timeToMinutes(times[i]);
+    let slotDate = now;
+
+    // รอบก่อนเที่ยงคืน เช่น 23:00 ตรวจตอน 00:30 ของวันถัดไป
+    if (elapsed < 0) {
+      elapsed += 24 * 60;
+      slotDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+    }
+
+    // ใช้ช่วงเวลาแทนนาทีพอดี: ถ้านาทีนั้นไม่ได้ประมวลผล (ระบบล่มนานเกินตามส่ง) จะทำตอนโหลดผู้ใช้ครั้งถัดไป
+    // ส่วนการส่งซ้ำกันด้วย claimDelivery และสถานะ pending ของรอบ
+    if (elapsed >= MISSED_AFTER_MINUTES) {
+      await markSlotMissed(user, formatDateKey(slotDate), times[i], i);
+    } else if (elapsed >= FOLLOW_UP_MINUTES) {
+      await sendFollowUp(user, formatDateKey(slotDate), times[i], i);
+    }
+  }
+}
+
+async function sendFollowUp(user, dateKey, time, timeIndex) {
+  const events = await getDoseLog(user.lineUserId, dateKey);
+  const event = findSlotEvent(events, time);
+  if (!event || event.status !== "pending") return;
+
+  // รอบที่เตือนแบบล่าช้า (ตามส่งหลังระบบขัดข้อง) ไม่ต้องเตือนซ้ำอีก
+  if (event.delayed) return;
+  // ผู้ใช้กดเลื่อนไว้แล้ว → ข้อความเตือนที่เลื่อนไว้ทำหน้าที่เตือนซ้ำแทน
+  if (await getSnoozeDue(user.lineUserId, dateKey, time)) return;
+  if (!(await claimDelivery("followup", user.lineUserId, dateKey, time))) return;
+
+  const skipped = getSkippedDrugs(events, time);
+  const drugList = event.drugs
+    .filter((d) => !skipped.has(d.name))
+    .map((d) => `💊 ${d.name} - กิน ${formatAmount(d.pills, d.unit)}`)
+    .join("\n");
+
+  await push(
+    user.lineUserId,
+    `🔔 ยังไม่ได้บันทึกการกินยาค่ะ
+━━━━━━━━━━━━━━━━━━━
+🕐 เวลาที่ ${timeIndex + 1}: ${time} น.
+
+📋 รายการยา:
+${drugList}
+
+━━━━━━━━━━━━━━━━━━━
+✅ กินแล้ว: พิมพ์ "กินยาช้า ${timeIndex + 1}"`,
+    buildSlotActions(time, timeIndex + 1, dateKey).slice(1)
+  );
+
+  event.followUpAt = new Date().toISOString();
+  await saveDoseLog(user.lineUserId, dateKey, events);
+  console.log(`🔔 Follow-up sent to ${user.odotId} for ${time}`);
+}
+
+async function markSlotMissed(user, dateKey, time, timeIndex) {
+  const events = await getDoseLog(user.lineUserId, dateKey);
+  const event = findSlotEvent(events, time);
+  if (!event || event.status !== "pending") return;
+
+  // ผู้ใช้กดเลื่อนไว้และยังไม่ถึงเวลาเตือน → ยังไม่ถือว่าพลาด รอหลังเตือนที่เลื่อนไว้ก่อน
+  const snoozeDue = await getSnoozeDue(user.lineUserId, dateKey, time);
+  if (snoozeDue) return await postponeMissedCheck(user.lineUserId, dateKey, time, snoozeDue);
+
+  if (!(await claimDelivery("missed", user.lineUserId, dateKey, time))) return;
+
+  const skipped = getSkippedDrugs(events, time);
+  events.push({
+    slot: timeIndex,
+    time,
+    status: "missed",
+    drugs: event.drugs.filter((d) => !skipped.has(d.name)),
+    createdAt: new Date().toISOString(),
+  });
+  await saveDoseLog(user.lineUserId, dateKey, events);
+
+  await push(
+    user.lineUserId,
+    `❌ พลาดการกินยาเวลา ${time} น.
+━━━━━━━━━━━━━━━━━━━
+ระบบบันทึกว่ารอบนี้ไม่ได้กินยาค่ะ
+
+💡 หากกินแล้ว พิมพ์ "กินยาช้า ${timeIndex + 1}"`
+  );
+  await notifyCaregivers(
+    user,
+    `❌ ผู้ป่วยพลาดการกินยาเวลา ${time} น.\n\n📋 รายการยา:\n${event.drugs
+      .map((d) => `💊 ${d.name} - ${formatAmount(d.pills, d.unit)}`)
+      .join("\n")}`
+  );
+  console.log(`❌ Missed dose recorded for ${user.odotId} at ${time}`);
+}
+
+// missedCheck:{นาที UTC} = set ของ "lineUserId|dateKey|time" ที่เลื่อนการบันทึกว่าพลาดไว้
+// ตรวจอีกครั้ง FOLLOW_UP_MINUTES นาทีหลังเตือนที่เลื่อนไว้ (ถ้าเลื่อนซ้ำอีกก็เลื่อนตามไปอีก)
+async function postponeMissedCheck(lineUserId, dateKey, time, snoozeDue) {
+  const at = snoozeDue + FOLLOW_UP_MINUTES * 60 * 1000;
+  try {
+    await store.sadd(`missedCheck:${at}`, `${lineUserId}|${dateKey}|${time}`);
+    await store.expire(`missedCheck:${at}`, DELIVERY_TTL_SECONDS);
+  } catch (error) {
+    console.error("❌ Redis Postpone Missed Error:", error.message);
+  }
+}
+
+async function processDueMissedChecks(instant) {
+  const members = await takeDueMembers(`missedCheck:${instant}`);
+
+  for (const member of members) {
+    const [lineUserId, dateKey, time] = member.split("|");
+    try {
+      const user = await getUser(lineUserId);
+      if (!user) continue;
+      const index = (user.reminderTimes || ["08:00", "20:00"]).indexOf(time);
+      if (index === -1) continue;
+      await markSlotMissed(user, dateKey, time, index);
+    } catch (error) {
+      console.error("❌ Missed Check Error:", error.message);
+    }
+  }
+}
+
+// ดึงสมาชิกของ set งานที่ถึงเวลาแล้วลบ set ทิ้ง (ครั้งเดียวต่อนาที) ถ้า store ล่มคืน [] ให้ tick ถัดไปทำต่อ
+async function takeDueMembers(key) {
+  try {
+    const members = await store.smembers(key);
+    if (members.length > 0) await store.del(key);
+    return members;
+  } catch (error) {
+    console.error("❌ Redis Due Set Error:", error.message);
+    return [];
+  }
+}
+
+// ==================== Daily Digest ====================
+// สรุปสต็อกยาประจำวัน ผู้ใช้เก่าที่ยังไม่เคยตั้งค่าจะได้เวลา 12:00, null = ปิด
+const DEFAULT_DIGEST_TIME = "12:00";
+
+function getDigestTime(user) {
+  return user.digestTime === undefined ? DEFAULT_DIGEST_TIME : user.digestTime;
+}
+
+async function sendDailyDigest(user, now) {
+  const drugs = user.drugs || [];
+  if (drugs.length === 0) return;
+
+  const times = user.reminderTimes || ["08:00", "20:00"];
+
+  let drugList = "";
+  drugs.forEach((drug) => {
+    const forecast = forecastDrug(drug, now, times);
+    const icon = getStockIcon(forecast.level, "✅");
+    drugList += `${icon} ${drug.name}: ${formatAmount(drug.quantity, drugUnit(drug))} (${describeSupply(
+      drug,
+      forecast
+    )})\n`;
+  });
+
+  const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+  const events = await getDoseLog(user.lineUserId, formatDateKey(yesterday));
+
+  let taken = 0;
+  let missed = 0;
+  let slotList = "";
+  times.forEach((time) => {
+    const event = findSlotEvent(events, time);
+    if (!event) return;
+    if (event.status === "ontime" || event.status === "late") taken++;
+    if (event.status === "missed") missed++;
+    slotList += `   🕐 ${time} ${DOSE_STATUS_LABELS[event.status]}\n`;
+  });
+
+  const yesterdayText = slotList
+    ? `กินแล้ว ${taken} รอบ, พลาด ${missed} รอบ\n${slotList}`
+    : `   ไม่มีบันทึก\n`;
+
+  await push(
+    user.lineUserId,
+    `📊 สรุปยาประจำวัน
+━━━━━━━━━━━━━━━━━━━
+💊 ยาคงเหลือ:
+${drugList}
+📅 เมื่อวาน:
+${yesterdayText}
+━━━━━━━━━━━━━━━━━━━
+💡 เปลี่ยนเวลาสรุป: ตั้งเวลาสรุป [เวลา]
+💡 ปิดสรุป: ปิดสรุป`
+  );
+  console.log(`📊 Digest sent to ${user.odotId}`);
+}
+
+async function handleSetDigestTime(replyToken, text, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user) {
+    return await reply(replyToken, `❌ กรุณาลงทะเบียนก่อนค่ะ`);
+  }
+
+  const arg = text.replace("ตั้งเวลาสรุป", "").trim();
+
+  if (arg === "ปิด" || text === "ปิดสรุป") {
+    user.digestTime = null;
+    await saveUser(lineUserId, user);
+    return await reply(
+      replyToken,
+      `🔕 ปิดสรุปยาประจำวันแล้วค่ะ\n\n💡 เปิดอีกครั้ง: ตั้งเวลาสรุป [เวลา]`
+    );
+  }
+
+  if (!arg) {
+    const current = getDigestTime(user);
+    return await reply(
+      replyToken,
+      `📊 สรุปยาประจำวัน: ${current ? `${current} น.` : "ปิดอยู่"}\n\n📝 เปลี่ยนเวลา: ตั้งเวลาสรุป [เวลา]\nตัวอย่าง: ตั้งเวลาสรุป 12:00\n\n🔕 ปิด: ปิดสรุป`
+    );
+  }
+
+  const time = normalizeTime(arg);
+  if (!time) {
+    return await reply(
+      replyToken,
+      `❌ รูปแบบเวลาไม่ถูกต้องค่ะ\n\nตัวอย่างที่ถูกต้อง:\n• ตั้งเวลาสรุป 12:00\n• ตั้งเวลาสรุป 18.30`
+    );
+  }
+
+  user.digestTime = time;
+  await saveUser(lineUserId, user);
+
+  return await reply(
+    replyToken,
+    `✅ ตั้งเวลาสรุปยาประจำวันเป็น ${time} น. แล้วค่ะ\n\n📊 จะแจ้งยาคงเหลือ จำนวนวันที่พอใช้\nและผลการกินยาเมื่อวานทุกวัน`
+  );
+}
+
+// ==================== Timezone ====================
+const TIMEZONE_CHOICES = [
+  "Asia/Bangkok",
+  "Asia/Tokyo",
+  "Asia/Singapore",
+  "Europe/London",
+  "America/New_York",
+  "Australia/Sydney",
+];
+
+async function handleSetTimezone(replyToken, text, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user) {
+    return await reply(replyToken, `❌ กรุณาลงทะเบียนก่อนค่ะ`);
+  }
+
+  const arg = text.replace("ตั้งเขตเวลา", "").trim();
+  const quickReplyItems = TIMEZONE_CHOICES.map((tz) => ({ label: tz, text: `ตั้งเขตเวลา ${tz}` }));
+
+  if (!arg) {
+    return await reply(
+      replyToken,
+      `🌏 เขตเวลาปัจจุบัน: ${getUserTimezone(user)}
+🕐 เวลาตอนนี้: ${formatTime(getUserNow(user))} น.
+
+📝 เปลี่ยนเขตเวลา: ตั้งเขตเวลา [เขตเวลา]
+ตัวอย่าง:
+• ตั้งเขตเวลา Asia/Tokyo
+• ตั้งเขตเวลา Europe/London
+• ตั้งเขตเวลา UTC+9
+
+💡 เวลาเตือนทั้งหมดจะเป็นเวลาท้องถิ่นของเขตเวลานี้
+(ปรับเวลาออมแสง/DST ให้อัตโนมัติ)`,
+      quickReplyItems
+    );
+  }
+
+  const timeZone = normalizeTimezone(arg);
+  if (!timeZone) {
+    return await reply(
+      replyToken,
+      `❌ ไม่รู้จักเขตเวลา "${arg}" ค่ะ
+
+ตัวอย่างที่ถูกต้อง:
+• ตั้งเขตเวลา Asia/Bangkok
+• ตั้งเขตเวลา America/New_York
+• ตั้งเขตเวลา UTC+7`,
+      quickReplyItems
+    );
+  }
+
+  user.timezone = timeZone;
+  await saveUser(lineUserId, user);
+
+  const times = user.reminderTimes || ["08:00", "20:00"];
+  return await reply(
+    replyToken,
+    `✅ ตั้งเขตเวลาเป็น ${timeZone} แล้วค่ะ
+🕐 เวลาตอนนี้: ${formatTime(getUserNow(user))} น.
+
+⏰ จะเตือนกินยาตามเวลาท้องถิ่น:
+${times.map((t, i) => `${i + 1}. ${t} น.`).join("\n")}`
+  );
+}
+
+// ==================== Message Handler ====================
+async function handleMessage(event) {
+  const lineUserId = event.source.userId;
+  const text = (event.message.text || "").trim();
+  const replyToken = event.replyToken;
+
+  try {
+    const state = await getState(lineUserId);
+    if (hasFlowStep(state)) {
+      return await handleUserState(replyToken, lineUserId, text, state);
+    }
+    if (state) {
+      await clearState(lineUserId); // flow ที่ไม่รู้จักแล้ว (เช่น หลัง deploy ใหม่)
+    }
+    if (CANCEL_FLOW_WORDS.includes(text.toLowerCase())) {
+      return await reply(replyToken, "ℹ️ ไม่มีรายการที่ทำค้างอยู่ค่ะ");
+    }
+
+    if (event.message.type === "sticker") {
+      return await handleQuickConfirm(replyToken, lineUserId, "sticker");
+    }
+    if (isConfirmKeyword(text)) {
+      return await handleQuickConfirm(replyToken, lineUserId, "keyword");
+    }
+
+    return await dispatchCommand(replyToken, lineUserId, text);
+  } catch (error) {
+    console.error("❌ Error:", error.message);
+    return await reply(replyToken, "❌ เกิดข้อผิดพลาด กรุณาลองใหม่ค่ะ");
+  }
+}
+
+// ==================== Postback Handler ====================
+// ปุ่มใน Flex / Quick Reply ส่ง data แบบ action=take&time=08:00&date=2024-01-31
+async function handlePostback(event) {
+  const lineUserId = event.source.userId;
+  const replyToken = event.replyToken;
+  const params = new URLSearchParams(event.postback.data || "");
+  const action = params.get("action");
+
+  try {
+    const user = await getUser(lineUserId);
+    if (!user) {
+      return await reply(replyToken, `❌ กรุณาลงทะเบียนก่อนค่ะ`);
+    }
+
+    if (["take", "late", "skip", "snooze", "skipdrug"].includes(action)) {
+      const times = user.reminderTimes || ["08:00", "20:00"];
+      const index = times.indexOf(params.get("time"));
+      if (index === -1) {
+        return await reply(
+          replyToken,
+          `❌ ไม่พบเวลา ${params.get("time")} น. แล้วค่ะ (อาจถูกลบไป)\n\n💡 พิมพ์ "เวลากินยา" เพื่อดูรายการ`
+        );
+      }
+
+      const dateKey = params.get("date") || formatDateKey(getUserNow(user));
+      const slotDate = parseDateKey(dateKey);
+
+      if (action === "take" || action === "late") {
+        return await recordSlotDose(replyToken, user, index, {
+          isLate: action === "late",
+          slotDate,
+          source: "postback",
+        });
+      }
+      if (action === "skip") {
+        return await recordSlotSkip(replyToken, user, index, slotDate, "postback");
+      }
+      if (action === "skipdrug") {
+        const drug = user.drugs.find((d) => drugRef(d) === params.get("ref"));
+        if (!drug) {
+          return await reply(
+            replyToken,
+            `❌ รายการยาเปลี่ยนไปแล้วค่ะ\n\n💡 พิมพ์ "ดูยา" เพื่อดูรายการล่าสุด`
+          );
+        }
+        return await startSkipDrug(replyToken, user, index, slotDate, drug.name, null, "postback");
+      }
+      const minutes = parseInt(params.get("minutes")) || DEFAULT_SNOOZE_MINUTES;
+      return await snoozeReminder(replyToken, user, index, minutes, dateKey);
+    }
+
+    if (action === "refill" || action === "cancel") {
+      // รายการยาอาจเปลี่ยนหลังส่งปุ่ม → ตรวจชื่อยาให้ตรงก่อน
+      const index = parseInt(params.get("drug"));
+      const drug = user.drugs[index];
+      if (!drug || drugRef(drug) !== params.get("ref")) {
+        return await reply(
+          replyToken,
+          `❌ รายการยาเปลี่ยนไปแล้วค่ะ\n\n💡 พิมพ์ "ดูยา" เพื่อดูรายการล่าสุด`
+        );
+      }
+
+      if (action === "refill") {
+        return await handleRefill(replyToken, `เติมยา ${index + 1} ${params.get("qty")}`, lineUserId);
+      }
+      return await handleCancel(replyToken, `ยกเลิกยา ${index + 1}`, lineUserId);
+    }
+
+    return await reply(replyToken, `❓ ไม่เข้าใจคำสั่งค่ะ\n\n💡 พิมพ์ "help" หรือ "วิธีใช้" ดูคำสั่งทั้งหมด`);
+  } catch (error) {
+    console.error("❌ Postback Error:", error.message);
+    return await reply(replyToken, "❌ เกิดข้อผิดพลาด กรุณาลองใหม่ค่ะ");
+  }
+}
+
+// ==================== Conversation Flows ====================
+// แต่ละ flow คือชุดของ step: { [step]: async ({ replyToken, lineUserId, text, state }) => ... }
+// step จัดการตอบกลับเอง แล้วเรียก gotoStep() ไปขั้นต่อไป หรือ clearState() เมื่อจบ
+const flows = {};
+const CANCEL_FLOW_WORDS = ["ยกเลิก", "cancel"];
+
+function defineFlow(name, steps) {
+  flows[name] = steps;
+}
+
+async function startFlow(lineUserId, flow, step, data = {}) {
+  await setState(lineUserId, { flow, step, data });
+}
+
+async function gotoStep(lineUserId, state, step, data = {}) {
+  await setState(lineUserId, { ...state, step, data: { ...state.data, ...data } });
+}
+
+function hasFlowStep(state) {
+  return !!state && !!flows[state.flow] && !!flows[state.flow][state.step];
+}
+
+async function handleUserState(replyToken, lineUserId, text, state) {
+  if (CANCEL_FLOW_WORDS.includes(text.toLowerCase())) {
+    await clearState(lineUserId);
+    return await reply(replyToken, "❌ ยกเลิกรายการที่ทำค้างไว้แล้วค่ะ");
+  }
+
+  return await flows[state.flow][state.step]({ replyToken, lineUserId, text, state });
+}
+
+defineFlow("confirmCancel", {
+  confirm: async ({ replyToken, lineUserId, text, state }) => {
+    await clearState(lineUserId);
+
+    if (text !== "ยืนยัน" && text !== "ใช่" && text.toLowerCase() !== "y") {
+      return await reply(replyToken, "❌ ยกเลิกการลบยาค่ะ");
+    }
+
+    // รายการยาอาจเปลี่ยนระหว่างรอยืนยัน
+    const user = await getUser(lineUserId);
+    const drug = user && user.drugs[state.data.drugIndex];
+    if (!drug || drug.name !== state.data.drugName) {
+      return await reply(replyToken, `❌ รายการยาเปลี่ยนไปแล้วค่ะ\n\n💡 พิมพ์ "ยกเลิกยา" เพื่อดูรายการล่าสุด`);
+    }
+
+    user.drugs.splice(state.data.drugIndex, 1);
+    await saveUser(lineUserId, user);
+
+    return await reply(replyToken, `✅ ลบยา "${drug.name}" เรียบร้อยแล้วค่ะ`);
+  },
+});
+
+defineFlow("confirmReset", {
+  confirm: async ({ replyToken, lineUserId, text }) => {
+    await clearState(lineUserId);
+
+    if (text !== "ยืนยันรีเซ็ท") {
+      return await reply(replyToken, "❌ ยกเลิกการรีเซ็ทค่ะ");
+    }
+
+    await unlinkAllCaregivers(await getUser(lineUserId));
+    await deleteUserData(lineUserId);
+    await deleteDoseHistory(lineUserId);
+
+    return await reply(
+      replyToken,
+      `✅ รีเซ็ทข้อมูลสำเร็จ!\n━━━━━━━━━━━━━━━━━━━\n\n🔄 ข้อมูลทั้งหมดถูกลบแล้ว\n\n💡 เริ่มใช้งานใหม่:\nพิมพ์: ลงทะเบียน [รหัสผู้ป่วย]`
+    );
+  },
+});
+
+// ==================== HELP Functions ====================
+// สร้างจาก COMMANDS / HELP_TOPICS (ดู Command Registry) เพื่อให้ help ตรงกับคำสั่งที่ใช้ได้จริงเสมอ
+const TOPIC_NUMBERS = ["1️⃣", "2️⃣", "3️⃣", "4️⃣", "5️⃣", "6️⃣", "7️⃣", "8️⃣", "9️⃣", "🔟"];
+
+async function sendMainHelp(replyToken) {
+  const topics = HELP_TOPICS.map((topic, i) => `${TOPIC_NUMBERS[i]} ${topic.title} → help ${topic.key}`);
+  const quick = COMMANDS.filter((command) => command.quick).map((command) => `• ${command.name} - ${command.bare}`);
+
+  const text = `📚 วิธีใช้งาน Bot เตือนกินยา
+━━━━━━━━━━━━━━━━━━━━━
+
+สวัสดีค่ะ! 👋
+Bot นี้จะช่วยเตือนเวลากินยา
+และจัดการยาของคุณค่ะ
+
+━━━━━━━━━━━━━━━━━━━━━
+📌 หมวดหมู่คำสั่ง:
+━━━━━━━━━━━━━━━━━━━━━
+
+${topics.join("\n")}
+
+━━━━━━━━━━━━━━━━━━━━━
+⚡ คำสั่งด่วน:
+━━━━━━━━━━━━━━━━━━━━━
+${quick.join("\n")}
+
+💡 พิมพ์ "help [หมวด]" หรือ "help [คำสั่ง]" เพื่อดูรายละเอียด
+❌ พิมพ์ "ยกเลิก" เพื่อออกจากขั้นตอนที่ทำค้างไว้`;
+
+  return await reply(replyToken, text);
+}
+
+function formatCommandHelp(command) {
+  const lines = [];
+  if (command.bare && command.bare !== true) {
+    lines.push(`• ${command.name} - ${command.bare}`);
+  }
+  if (command.args) {
+    lines.push(`• ${formatUsage(command)}${command.description ? `\n  ${command.description}` : ""}`);
+  }
+  (command.examples || []).forEach((example) => lines.push(`  เช่น ${example}`));
+  if (command.aliases) {
+    lines.push(`  (พิมพ์แทนได้: ${command.aliases.join(", ")})`);
+  }
+  return lines.join("\n");
+}
+
+// หัวข้อ help: ชื่อหมวด หรือชื่อ/alias ของคำสั่งในหมวดนั้น เช่น "help เติม" → หมวดจัดการยา
+function findHelpTopic(input) {
+  const key = toArabicDigits(input).trim().toLowerCase();
+  const topic = HELP_TOPICS.find((t) => t.key === key);
+  if (topic) return topic;
+
+  const match = matchCommand(key, COMMAND_WORDS);
+  return match && HELP_TOPICS.find((t) => t.key === match.command.topic);
+}
+
+async function sendTopicHelp(replyToken, input) {
+  const topic = findHelpTopic(input);
+  if (!topic) {
+    return await reply(
+      replyToken,
+      `❓ ไม่พบหัวข้อ "${input}"
+
+📚 หัวข้อที่มี:
+${HELP_TOPICS.map((t) => `• help ${t.key}`).join("\n")}
+
+💡 พิมพ์ "help" เพื่อดูภาพรวมทั้งหมด`
+    );
+  }
+
+  const commands = COMMANDS.filter((command) => command.topic === topic.key);
+  const sections = [`🔹 คำสั่ง:\n${commands.map(formatCommandHelp).join("\n\n")}`, ...(topic.examples || []), topic.notes];
+  const text = `${topic.title}
+━━━━━━━━━━━━━━━━━━━
+${sections.join("\n\n━━━━━━━━━━━━━━━━━━━\n")}`;
+
+  return await reply(replyToken, text);
+}
+
+// ==================== Register ====================
+async function handleRegister(replyToken, text, lineUserId) {
+  const odotId = text.replace("ลงทะเบียน ", "").trim();
+
+  const existing = await getUser(lineUserId);
+  if (existing) {
+    return await reply(
+      replyToken,
+      `❌ คุณลงทะเบียนแล้วค่ะ\n📋 รหัสผู้ป่วย: ${existing.odotId}\n\n💡 หากต้องการเริ่มใหม่:\nพิมพ์: รีเซ็ท`
+    );
+  }
+
+  const newUser = {
+    odotId,
+    lineUserId,
+    drugs: [],
+    reminderTimes: ["08:00", "20:00"],
+    createdAt: new Date().toISOString(),
+  };
+
+  await saveUser(lineUserId, newUser);
+
+  return await reply(
+    replyToken,
+    `✅ ลงทะเบียนสำเร็จ!
+━━━━━━━━━━━━━━━━━━━
+📋 รหัสผู้ป่วย: ${odotId}
+⏰ เวลาเตือน: 08:00, 20:00
+
+💡 ขั้นตอนต่อไป:
+1. เพิ่มยา: เพิ่มยา [ชื่อ] [จำนวน]
+2. ตั้งเวลา: ตั้งเวลากินยา
+
+📚 ดูวิธีใช้:
+พิมพ์: help`
+  );
+}
+
+// ==================== Add Drug ====================
+async function handleAddDrug(replyToken, text, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user) {
+    return await reply(
+      replyToken,
+      `❌ กรุณาลงทะเบียนก่อนค่ะ\n\nพิมพ์: ลงทะเบียน [รหัสผู้ป่วย]\nตัวอย่าง: ลงทะเบียน HN12345`
+    );
+  }
+
+  const parts = text.replace("เพิ่มยา ", "").trim().split(/\s+/);
+  const times = user.reminderTimes || ["08:00", "20:00"];
+
+  // "พารา 20 2 1" = [ชื่อ] [จำนวน] [ครั้งละ] [เลขเวลา] (เลขเวลาคั่นด้วย , ได้)
+  let schedule = null;
+  if (parts.length >= 4) {
+    const slots = parts[parts.length - 1].split(",").map((t) => parseInt(t) - 1);
+    const pills = parseAmount(parts[parts.length - 2]);
+    const total = parseAmount(parts[parts.length - 3]);
+    if (
+      /^[\d,]+$/.test(parts[parts.length - 1]) &&
+      slots.every((t) => t >= 0 && t < times.length) &&
+      pills > 0 &&
+      total >= pills
+    ) {
+      schedule = { times: [...new Set(slots)].sort((a, b) => a - b), pills };
+      parts.splice(-2, 2);
+    }
+  }
+
+  // หน่วยต่อท้ายได้: "ยาแก้ไอ 60 ml" หรือ "ยาแก้ไอ 60ml"
+  // แต่ "พาราเซตามอล 500mg" คือความแรงของยา ไม่ใช่ 500 มิลลิกรัม
+  let unit = DEFAULT_UNIT;
+  const attached = parts[parts.length - 1].match(/^(\d+(?:\.\d+)?)([^\d\s./].*)$/);
+  if (attached && isStrengthUnit(attached[2])) {
+    return await reply(replyToken, strengthUnitHelp(parts));
+  }
+  if (attached) {
+    parts.splice(-1, 1, attached[1], attached[2]);
+  }
+  if (!schedule && parts.length >= 3 && isNaN(parseAmount(parts[parts.length - 1]))) {
+    unit = parts.pop();
+    if (isStrengthUnit(unit)) {
+      return await reply(replyToken, strengthUnitHelp([...parts.slice(0, -1), `${parts[parts.length - 1]}${unit}`]));
+    }
+  }
+
+  if (parts.length < 2 || unit.length > 10) {
+    return await reply(
+      replyToken,
+      `❌ รูปแบบไม่ถูกต้องค่ะ\n\nพิมพ์: เพิ่มยา [ชื่อยา] [จำนวน] [หน่วย]\nตัวอย่าง:\n• เพิ่มยา พาราเซตามอล 30\n• เพิ่มยา ยาแก้ไอ 60 ml\n• เพิ่มยา พารา 20 2 1 (ครั้งละ 2 เวลาที่ 1)\n\n💡 พิมพ์ "help เพิ่มยา" ดูรายละเอียด`
+    );
+  }
+
+  const quantity = parseAmount(parts.pop());
+  const name = parts.join(" ");
+
+  if (isNaN(quantity) || quantity <= 0) {
+    return await reply(
+      replyToken,
+      `❌ จำนวนไม่ถูกต้องค่ะ\nต้องเป็นตัวเลขมากกว่า 0`
+    );
+  }
+
+  // ค่าเริ่มต้น: กินทุกเวลา 1 เม็ด
+  const defaultSchedule = {
+    times: times.map((_, idx) => idx), // [0, 1]
+    pills: 1,
+  };
+
+  user.drugs.push({
+    name,
+    quantity,
+    ...(unit !== DEFAULT_UNIT && { unit }),
+    schedules: [schedule || defaultSchedule],
+  });
+  await saveUser(lineUserId, user);
+
+  const scheduleLine = schedule
+    ? `⏰ กินเวลา ${schedule.times.map((t) => times[t]).join(", ")} ครั้งละ ${formatAmount(schedule.pills, unit)}`
+    : `⏰ ค่าเริ่มต้น: กินทุกเวลา ${formatAmount(1, unit)}`;
+
+  return await reply(
+    replyToken,
+    `✅ เพิ่มยาสำเร็จ!
+━━━━━━━━━━━━━━━━━━━
+💊 ยา: ${name}
+📦 จำนวน: ${formatAmount(quantity, unit)}
+${scheduleLine}
+
+💡 ปรับเวลา/จำนวนต่อครั้ง:
+พิมพ์: ตั้งเวลากินยา`
+  );
+}
+
+// "เพิ่มยา พาราเซตามอล 500mg" → แนะนำให้ใส่ความแรงในชื่อ แล้วตามด้วยจำนวนเม็ด
+function strengthUnitHelp(parts) {
+  const name = parts.join(" ");
+  return `❓ "${parts[parts.length - 1]}" เป็นความแรงของยา ไม่ใช่จำนวนค่ะ\n\n📝 ใส่ไว้ในชื่อ แล้วตามด้วยจำนวนที่มี\nตัวอย่าง: เพิ่มยา ${name} 30`;
+}
+
+async function handleSetUnit(replyToken, text, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user) {
+    return await reply(replyToken, `❌ กรุณาลงทะเบียนก่อนค่ะ`);
+  }
+
+  const tokens = text.replace("ตั้งหน่วยยา", "").trim().split(/\s+/);
+  const unit = tokens.length >= 2 ? tokens.pop() : null;
+  const drugInput = tokens.join(" ");
+
+  if (!drugInput || !unit || unit.length > 10 || /\d/.test(unit) || isStrengthUnit(unit)) {
+    return await reply(
+      replyToken,
+      `❌ รูปแบบไม่ถูกต้องค่ะ\n\nพิมพ์: ตั้งหน่วยยา [เลขยา] [หน่วย]\nตัวอย่าง: ตั้งหน่วยยา 2 ml\n\n📏 หน่วยที่ใช้บ่อย: ${UNIT_CHOICES.join(", ")}`
+    );
+  }
+
+  const found = resolveDrug(user, drugInput, (number) => `ตั้งหน่วยยา ${number} ${unit}`);
+  if (found.error) return await reply(replyToken, found.error.text, found.error.quickReplyItems);
+  const drug = found.drug;
+
+  drug.unit = unit;
+  await saveUser(lineUserId, user);
+
+  return await reply(
+    replyToken,
+    `✅ เปลี่ยนหน่วยของ ${drug.name} เป็น "${unit}" แล้วค่ะ\n📦 คงเหลือ: ${formatAmount(drug.quantity, unit)}`
+  );
+}
+
+// ==================== Add Drug Wizard ====================
+// พิมพ์ "เพิ่มยา" อย่างเดียว → ถามทีละขั้น: ชื่อ → จำนวน → หน่วย → เวลา → ครั้งละ → ยืนยัน
+const UNIT_CHOICES = ["เม็ด", "แคปซูล", "ml", "ช้อนชา", "หยด", "พัฟ", "ซอง"];
+const WIZARD_CANCEL_ITEM = { label: "❌ ยกเลิก", text: "ยกเลิก" };
+
+async function handleAddDrugWizardStart(replyToken, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user) {
+    return await reply(
+      replyToken,
+      `❌ กรุณาลงทะเบียนก่อนค่ะ\n\nพิมพ์: ลงทะเบียน [รหัสผู้ป่วย]\nตัวอย่าง: ลงทะเบียน HN12345`
+    );
+  }
+
+  await startFlow(lineUserId, "addDrug", "name");
+
+  return await reply(
+    replyToken,
+    `💊 เพิ่มยาใหม่ (ขั้นที่ 1/5)\n━━━━━━━━━━━━━━━━━━━\n📝 พิมพ์ชื่อยา\nตัวอย่าง: พาราเซตามอล\n\n❌ พิมพ์ "ยกเลิก" เพื่อออก`,
+    [WIZARD_CANCEL_ITEM]
+  );
+}
+
+defineFlow("addDrug", {
+  name: async ({ replyToken, lineUserId, text, state }) => {
+    const name = text.trim();
+    if (!name || name.length > 50) {
+      return await reply(replyToken, `❌ ชื่อยาต้องมี 1-50 ตัวอักษรค่ะ\n📝 พิมพ์ชื่อยาอีกครั้ง`, [WIZARD_CANCEL_ITEM]);
+    }
+
+    const user = await getUser(lineUserId);
+    if (user.drugs.some((d) => d.name === name)) {
+      return await reply(
+        replyToken,
+        `❌ มียา "${name}" อยู่แล้วค่ะ\n📝 พิมพ์ชื่ออื่น หรือใช้ "เติมยา" เพื่อเพิ่มจำนวน`,
+        [WIZARD_CANCEL_ITEM]
+      );
+    }
+
+    await gotoStep(lineUserId, state, "quantity", { name });
+    return await reply(
+      replyToken,
+      `💊 ${name} (ขั้นที่ 2/5)\n━━━━━━━━━━━━━━━━━━━\n📦 มียาทั้งหมดกี่หน่วย?\nตัวอย่าง: 30`,
+      [WIZARD_CANCEL_ITEM]
+    );
+  },
+
+  quantity: async ({ replyToken, lineUserId, text, state }) => {
+    const quantity = parseAmount(text);
+    if (isNaN(quantity) || quantity <= 0) {
+      return await reply(replyToken, `❌ จำนวนต้องเป็นตัวเลขมากกว่า 0 ค่ะ\n📝 ตัวอย่าง: 30`, [WIZARD_CANCEL_ITEM]);
+    }
+
+    await gotoStep(lineUserId, state, "unit", { quantity });
+    return await reply(
+      replyToken,
+      `💊 ${state.data.name} (ขั้นที่ 3/5)\n━━━━━━━━━━━━━━━━━━━\n📏 หน่วยของยาคืออะไร?\nเลือกจากปุ่ม หรือพิมพ์เอง`,
+      [...UNIT_CHOICES.map((u) => ({ label: u, text: u })), WIZARD_CANCEL_ITEM]
+    );
+  },
+
+  unit: async ({ replyToken, lineUserId, text, state }) => {
+    const unit = text.trim();
+    if (!unit || unit.length > 10 || /\d/.test(unit) || isStrengthUnit(unit)) {
+      return await reply(replyToken, `❌ หน่วยไม่ถูกต้องค่ะ\n📝 ตัวอย่าง: เม็ด, ml, หยด`, [
+        ...UNIT_CHOICES.map((u) => ({ label: u, text: u })),
+        WIZARD_CANCEL_ITEM,
+      ]);
+    }
+
+    const user = await getUser(lineUserId);
+    const times = user.reminderTimes || ["08:00", "20:00"];
+    const timeList = times.map((t, i) => `${i + 1}. 🕐 ${t} น.`).join("\n");
+
+    await gotoStep(lineUserId, state, "times", { unit });
+    return await reply(
+      replyToken,
+      `💊 ${state.data.name} (ขั้นที่ 4/5)\n━━━━━━━━━━━━━━━━━━━\n⏰ กินเวลาไหนบ้าง?\n${timeList}\n\n📝 พิมพ์เลขเวลา คั่นด้วย , เช่น 1,2\nหรือพิมพ์ "ทุกเวลา"`,
+      [
+        { label: "ทุกเวลา", text: "ทุกเวลา" },
+        // เหลือที่ให้ปุ่มยกเลิกเสมอ (เวลาที่เกินยังพิมพ์เลขเองได้)
+        ...times.slice(0, MAX_QUICK_REPLY_ITEMS - 2).map((t, i) => ({ label: `${i + 1}. ${t}`, text: String(i + 1) })),
+        WIZARD_CANCEL_ITEM,
+      ]
+    );
+  },
+
+  times: async ({ replyToken, lineUserId, text, state }) => {
+    const user = await getUser(lineUserId);
+    const times = user.reminderTimes || ["08:00", "20:00"];
+
+    // เก็บเป็น "HH:MM" ไม่ใช่ลำดับ เผื่อเวลาถูกเพิ่ม/ลบระหว่างทำ wizard
+    let selectedTimes;
+    if (text.trim() === "ทุกเวลา") {
+      selectedTimes = [...times];
+    } else {
+      const parts = text.split(",").map((t) => parseInt(t.trim()) - 1);
+      if (parts.some((t) => isNaN(t) || t < 0 || t >= times.length)) {
+        return await reply(
+          replyToken,
+          `❌ เวลาไม่ถูกต้องค่ะ\n\nใช้เลข 1 ถึง ${times.length}\nหรือคั่นด้วย , เช่น 1,2`,
+          [WIZARD_CANCEL_ITEM]
+        );
+      }
+      selectedTimes = [...new Set(parts)].sort((a, b) => a - b).map((idx) => times[idx]);
+    }
+
+    await gotoStep(lineUserId, state, "pills", { times: selectedTimes });
+    return await reply(
+      replyToken,
+      `💊 ${state.data.name} (ขั้นที่ 5/5)\n━━━━━━━━━━━━━━━━━━━\n💊 กินครั้งละกี่ ${state.data.unit}?\nตัวอย่าง: 1`,
+      [...["0.5", "1", "2", "3"].map((n) => ({ label: n, text: n })), WIZARD_CANCEL_ITEM]
+    );
+  },
+
+  pills: async ({ replyToken, lineUserId, text, state }) => {
+    const pills = parseAmount(text);
+    if (isNaN(pills) || pills <= 0) {
+      return await reply(replyToken, `❌ จำนวนต้องเป็นตัวเลขมากกว่า 0 ค่ะ\n📝 ตัวอย่าง: 1 หรือ 0.5`, [WIZARD_CANCEL_ITEM]);
+    }
+
+    const { name, quantity, unit } = state.data;
+    const timeLabels = state.data.times.join(", ");
+
+    await gotoStep(lineUserId, state, "confirm", { pills });
+    return await reply(
+      replyToken,
+      `📋 สรุปยาที่จะเพิ่ม
+━━━━━━━━━━━━━━━━━━━
+💊 ยา: ${name}
+📦 จำนวน: ${formatAmount(quantity, unit)}
+⏰ เวลา: ${timeLabels}
+💊 ครั้งละ: ${formatAmount(pills, unit)}
+
+━━━━━━━━━━━━━━━━━━━
+✅ พิมพ์ "ยืนยัน" เพื่อบันทึก
+❌ พิมพ์ "ยกเลิก" เพื่อออก`,
+      [{ label: "✅ ยืนยัน", text: "ยืนยัน" }, WIZARD_CANCEL_ITEM]
+    );
+  },
+
+  confirm: async ({ replyToken, lineUserId, text, state }) => {
+    if (text !== "ยืนยัน" && text !== "ใช่") {
+      return await reply(replyToken, `❓ พิมพ์ "ยืนยัน" เพื่อบันทึก หรือ "ยกเลิก" เพื่อออกค่ะ`, [
+        { label: "✅ ยืนยัน", text: "ยืนยัน" },
+        WIZARD_CANCEL_ITEM,
+      ]);
+    }
+
+    await clearState(lineUserId);
+
+    const user = await getUser(lineUserId);
+    const times = user.reminderTimes || ["08:00", "20:00"];
+    const { name, quantity, unit, pills } = state.data;
+
+    // เวลาอาจถูกลบหรือเลื่อนลำดับระหว่างทำ wizard → แปลงเป็นลำดับตอนบันทึก
+    const selectedTimes = state.data.times
+      .map((time) => times.indexOf(time))
+      .filter((idx) => idx !== -1)
+      .sort((a, b) => a - b);
+
+    user.drugs.push({
+      name,
+      quantity,
+      unit,
+      schedules: selectedTimes.length > 0 ? [{ times: selectedTimes, pills }] : [],
+    });
+    await saveUser(lineUserId, user);
+
+    return await reply(
+      replyToken,
+      `✅ เพิ่มยาสำเร็จ!
+━━━━━━━━━━━━━━━━━━━
+💊 ยา: ${name}
+📦 จำนวน: ${formatAmount(quantity, unit)}
+⏰ เวลา: ${selectedTimes.map((t) => times[t]).join(", ")}
+💊 ครั้งละ: ${formatAmount(pills, unit)}
+
+💡 ดูรายการยา: ดูยา`
+    );
+  },
+});
+
+// ==================== Drug Lookup ====================
+// อ้างถึงยาได้ทั้งเลขในรายการ (เลขเปลี่ยนเมื่อลบยา) และชื่อ/ต้นชื่อ
+// เทียบแบบไม่สนช่องว่าง วรรณยุกต์ ตัวพิมพ์เล็ก-ใหญ่ และชื่อย่อที่ใช้บ่อย
+// แปลงเลขยาหรือชื่อยาเป็น { drug, index } หรือ { error: { text, quickReplyItems } }
+// buildCommand(number, drug) ใช้สร้างปุ่มให้เลือกเมื่อชื่อตรงกับยาหลายตัว
+function resolveDrug(user, input, buildCommand) {
+  const query = (input || "").trim();
+
+  if (/^\d+$/.test(query)) {
+    const index = parseInt(query) - 1;
+    if (index >= 0 && index < user.drugs.length) return { drug: user.drugs[index], index };
+    return {
+      error: { text: `❌ ไม่พบยาหมายเลข ${query} ค่ะ\n\n💡 พิมพ์ "ดูยา" เพื่อดูรายการ` },
+    };
+  }
+
+  const matches = findDrugsByName(user, query);
+  if (matches.length === 1) {
+    return { drug: matches[0], index: user.drugs.indexOf(matches[0]) };
+  }
+  if (matches.length === 0) {
+    return {
+      error: { text: `❌ ไม่พบยา "${query}" ค่ะ\n\n💡 พิมพ์ "ดูยา" เพื่อดูชื่อยาทั้งหมด` },
+    };
+  }
+
+  const choices = matches.map((drug) => ({ drug, number: user.drugs.indexOf(drug) + 1 }));
+  return {
+    error: {
+      text: `❓ "${query}" ตรงกับยาหลายตัวค่ะ\n\n${choices
+        .map((c) => `${c.number}. ${c.drug.name}`)
+        .join("\n")}\n\n💡 กดเลือก หรือพิมพ์เลขยาแทนชื่อ`,
+      quickReplyItems: buildCommand
+        ? choices.slice(0, 13).map((c) => ({
+            label: `${c.number}. ${c.drug.name}`.slice(0, 20),
+            text: buildCommand(c.number, c.drug),
+          }))
+        : undefined,
+    },
+  };
+}
+
+// ==================== Forecasting ====================
+const DEFAULT_REFILL_LEAD_DAYS = parseInt(process.env.REFILL_LEAD_DAYS) || 7;
+const STOCK_ALERT_ICONS = { low: "🟡", critical: "🔴", out: "🚫" };
+
+// ไอคอนตามระดับสต็อก (ระดับปกติใช้ okIcon ของแต่ละหน้าจอ)
+function getStockIcon(level, okIcon) {
+  return level === "ok" ? okIcon : STOCK_ALERT_ICONS[level];
+}
+
+// หลังหักยา: ระดับสต็อกแย่ลงจนต้องเตือน → ข้อความแจ้งผู้ดูแล (null = ไม่ต้องแจ้ง)
+function describeStockDrop(drug, levelBefore, levelAfter) {
+  if (levelAfter === levelBefore || levelAfter === "ok") return null;
+  return `${STOCK_ALERT_ICONS[levelAfter]} ${drug.name}: เหลือ ${formatAmount(drug.quantity, drugUnit(drug))}`;
+}
+
+// "เหลือพอ 12 วัน / หมดวันที่ 3 พ.ย."
+function describeSupply(drug, forecast) {
+  if (drug.quantity <= 0) return "หมดแล้ว";
+  if (forecast.runOutDate) {
+    if (forecast.daysLeft === 0) return `ไม่พอกินวันนี้ / หมดวันที่ ${formatShortDate(forecast.runOutDate)}`;
+    return `เหลือพอ ${forecast.daysLeft} วัน / หมดวันที่ ${formatShortDate(forecast.runOutDate)}`;
+  }
+  if (drug.prn) return "ยาตามอาการ";
+  if (!drug.schedules || drug.schedules.length === 0) return "ไม่ได้ตั้งเวลากิน";
+  if (forecast.dailyUse > 0) return `เหลือพอเกิน ${FORECAST_MAX_DAYS} วัน`;
+  return "พอจนครบคอร์ส";
+}
+
+function getRefillLeadDays(user) {
+  return user.refillLeadDays === undefined ? DEFAULT_REFILL_LEAD_DAYS : user.refillLeadDays;
+}
+
+// เตือนเติมยาล่วงหน้า ครั้งเดียวจนกว่าจะเติมยา (เติมแล้วล้าง refillRemindedAt จึงเตือนรอบใหม่ได้)
+async function checkRefillReminders(user, now) {
+  const leadDays = getRefillLeadDays(user);
+  if (leadDays === null) return;
+
+  const due = [];
+  for (const drug of user.drugs || []) {
+    const forecast = forecastDrug(drug, now, user.reminderTimes);
+    if (!forecast.runOutDate || forecast.daysLeft > leadDays) continue;
+    if (drug.refillRemindedAt) continue;
+    if (!(await claimDelivery("refill", user.lineUserId, formatDateKey(now), drug.name))) continue;
+
+    due.push({ drug, forecast });
+  }
+
+  if (due.length === 0) return;
+  await updateUser(user, (fresh) =>
+    (fresh.drugs || [])
+      .filter((drug) => due.some((d) => d.drug.name === drug.name))
+      .forEach((drug) => (drug.refillRemindedAt = formatDateKey(now)))
+  );
+
+  const list = due
+    .map(
+      ({ drug, forecast }) =>
+        `${STOCK_ALERT_ICONS[forecast.level] || "💊"} ${drug.name}: ${formatAmount(
+          drug.quantity,
+          drugUnit(drug)
+        )} (${describeSupply(drug, forecast)})`
+    )
+    .join("\n");
+
+  await push(
+    user.lineUserId,
+    `📦 ถึงเวลาเติมยาแล้วค่ะ
+━━━━━━━━━━━━━━━━━━━
+${list}
+
+💡 เติมยา: เติมยา [เลขหรือชื่อยา] [จำนวน]
+💡 เปลี่ยนการเตือนล่วงหน้า: ตั้งเตือนเติมยา [วัน]`,
+    [{ label: "📦 เติมยา", text: "เติมยา" }]
+  );
+  await notifyCaregivers(user, `📦 ยาใกล้หมด ควรเติมยา:\n${list}`);
+  console.log(`📦 Refill reminder sent to ${user.odotId}`);
+}
+
+async function handleSetRefillLead(replyToken, text, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user) {
+    return await reply(replyToken, `❌ กรุณาลงทะเบียนก่อนค่ะ`);
+  }
+
+  const arg = text.replace("ตั้งเตือนเติมยา", "").trim();
+
+  if (!arg) {
+    const current = getRefillLeadDays(user);
+    return await reply(
+      replyToken,
+      `📦 เตือนเติมยาล่วงหน้า: ${current === null ? "ปิดอยู่" : `${current} วันก่อนยาหมด`}\n\n📝 เปลี่ยน: ตั้งเตือนเติมยา [จำนวนวัน]\nตัวอย่าง: ตั้งเตือนเติมยา 5\n\n🔕 ปิด: ตั้งเตือนเติมยา ปิด`
+    );
+  }
+
+  if (arg === "ปิด") {
+    user.refillLeadDays = null;
+    await saveUser(lineUserId, user);
+    return await reply(replyToken, `🔕 ปิดการเตือนเติมยาล่วงหน้าแล้วค่ะ\n\n💡 เปิดอีกครั้ง: ตั้งเตือนเติมยา [วัน]`);
+  }
+
+  const days = parseInt(arg);
+  if (isNaN(days) || days < 0 || days > 60 || String(days) !== arg) {
+    return await reply(replyToken, `❌ จำนวนวันไม่ถูกต้องค่ะ\n\nใช้เลข 0 ถึง 60\nตัวอย่าง: ตั้งเตือนเติมยา 7`);
+  }
+
+  user.refillLeadDays = days;
+  (user.drugs || []).forEach((drug) => delete drug.refillRemindedAt);
+  await saveUser(lineUserId, user);
+
+  return await reply(
+    replyToken,
+    `✅ จะเตือนเติมยาล่วงหน้า ${days} วันก่อนยาหมดค่ะ\n\n💡 ดูวันที่ยาหมด: ดูยา`
+  );
+}
+
+// ==================== Show Drugs ====================
+
+async function handleShowDrugs(replyToken, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user) {
+    return await reply(replyToken, `❌ กรุณาลงทะเบียนก่อนค่ะ`);
+  }
+
+  if (user.drugs.length === 0) {
+    return await reply(
+      replyToken,
+      `📋 ยังไม่มียาในระบบค่ะ\n\nเพิ่มยา: เพิ่มยา [ชื่อยา] [จำนวน]\nตัวอย่าง: เพิ่มยา พาราเซตามอล 30`
+    );
+  }
+
+  return await replyMessages(replyToken, [
+    buildListFlex({
+      altText: "📋 รายการยาของคุณ",
+      title: "📋 รายการยาของคุณ",
+      rows: buildDrugRows(user),
+      quickReplyItems: [
+        { label: "📦 เติมยา", text: "เติมยา" },
+        { label: "⏰ ตั้งเวลากินยา", text: "ตั้งเวลากินยา" },
+        { label: "🗑️ ยกเลิกยา", text: "ยกเลิกยา" },
+        { label: "🕐 เวลากินยา", text: "เวลากินยา" },
+      ],
+    }),
+  ]);
+}
+
+function buildDrugRows(user) {
+  const today = getUserNow(user);
+  return user.drugs.map((drug, i) => {
+    const forecast = forecastDrug(drug, today, user.reminderTimes);
+    const icon = getStockIcon(forecast.level, "✅");
+
+    const expiry = describeNearestExpiry(drug, today);
+
+    return {
+      title: `${i + 1}. ${icon} ${drug.name}`,
+      subtitle: `📦 ${formatAmount(drug.quantity, drugUnit(drug))}\n⏳ ${describeSupply(drug, forecast)}${
+        expiry ? `\n${expiry}` : ""
+      }`,
+    };
+  });
+}
+
+function buildDrugList(user, title) {
+  let list = `${title}\n━━━━━━━━━━━━━━━━━━━\n`;
+
+  buildDrugRows(user).forEach((row) => {
+    list += `\n${row.title}\n   ${row.subtitle}\n`;
+  });
+
+  return list;
+}
+
+// ==================== Refill Drug ====================
+const REFILL_BUTTON_AMOUNTS = [10, 30];
+
+async function handleRefillStart(replyToken, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user || user.drugs.length === 0) {
+    return await reply(replyToken, `❌ ยังไม่มียาในระบบค่ะ`);
+  }
+
+  const today = getUserNow(user);
+  const rows = user.drugs.map((drug, i) => {
+    const level = getStockLevel(drug, today, user.reminderTimes);
+    const icon = level === "ok" ? "" : ` ${STOCK_ALERT_ICONS[level]}`;
+
+    return {
+      title: `${i + 1}. ${drug.name}${icon}`,
+      subtitle: formatAmount(drug.quantity, drugUnit(drug)),
+      actions: REFILL_BUTTON_AMOUNTS.map((qty) => ({
+        label: `+${qty}`,
+        data: postbackData({ action: "refill", drug: i, ref: drugRef(drug), qty }),
+        displayText: `เติมยา ${i + 1} ${qty}`,
+      })),
+    };
+  });
+
+  return await replyMessages(replyToken, [
+    buildListFlex({
+      altText: "📦 เลือกยาที่ต้องการเติม",
+      title: "📦 เลือกยาที่ต้องการเติม",
+      rows,
+      footer: `📝 กดปุ่มเพื่อเติม หรือพิมพ์: เติมยา [เลขหรือชื่อยา] [จำนวน] [วันหมดอายุ]\nตัวอย่าง: เติมยา 1 30 31/12/2026`,
+    }),
+  ]);
+}
+
+async function handleRefill(replyToken, text, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user) return;
+
+  const parts = text.replace("เติมยา ", "").trim().split(/\s+/);
+  if (parts.length < 2) {
+    return await reply(
+      replyToken,
+      `❌ รูปแบบไม่ถูกต้องค่ะ\n\nพิมพ์: เติมยา [เลขหรือชื่อยา] [จำนวน] [วันหมดอายุ]\n(วันหมดอายุใส่หรือไม่ก็ได้)\n\n💡 พิมพ์ "เติมยา" เพื่อดูรายการก่อน`
+    );
+  }
+
+  // อ่านจากท้าย: [วันหมดอายุ] ← [จำนวน] ← ที่เหลือคือชื่อยา (มีช่องว่างได้)
+  const hasExpiry = parts.length >= 3 && /[/-]/.test(parts[parts.length - 1]) && !isNaN(parseAmount(parts[parts.length - 2]));
+  const expiryInput = hasExpiry ? parts.pop() : null;
+  const qtyInput = parts.pop();
+  const qty = parseAmount(qtyInput);
+
+  if (isNaN(qty) || qty <= 0) {
+    return await reply(replyToken, `❌ ตัวเลขไม่ถูกต้องค่ะ`);
+  }
+
+  const found = resolveDrug(
+    user,
+    parts.join(" "),
+    (number) => `เติมยา ${number} ${qtyInput}${expiryInput ? ` ${expiryInput}` : ""}`
+  );
+  if (found.error) return await reply(replyToken, found.error.text, found.error.quickReplyItems);
+  const index = found.index;
+
+  const today = getUserNow(user);
+  let expiry = null;
+  if (expiryInput) {
+    expiry = parseExpiryInput(expiryInput, today);
+    if (!expiry) {
+      return await reply(
+        replyToken,
+        `❌ วันหมดอายุไม่ถูกต้องค่ะ\n\nตัวอย่าง:\n• เติมยา 1 30 31/12/2026\n• เติมยา 1 30 12/2569 (สิ้นเดือน)\n• เติมยา 1 30 2026-12-31`
+      );
+    }
+    if (expiry < formatDateKey(today)) {
+      return await reply(
+        replyToken,
+        `❌ ยาล็อตนี้หมดอายุแล้ว (${formatExpiryDate(expiry)}) ค่ะ\n\n⚠️ ไม่ควรนำมาใช้ กรุณาตรวจสอบวันหมดอายุอีกครั้ง`
+      );
+    }
+  }
+
+  const drug = found.drug;
+  addStock(drug, qty, expiry);
+  delete drug.refillRemindedAt;
+  await saveUser(lineUserId, user);
+
+  const expiryLine = expiry
+    ? `\n📅 หมดอายุ: ${formatExpiryDate(expiry)}`
+    : `\n\n💡 บันทึกวันหมดอายุด้วย:\nเติมยา ${index + 1} ${qtyInput} [วันหมดอายุ]`;
+
+  return await reply(
+    replyToken,
+    `✅ เติมยาสำเร็จ!
+━━━━━━━━━━━━━━━━━━━
+💊 ยา: ${drug.name}
+📦 เติมเพิ่ม: +${formatAmount(qty, drugUnit(drug))}
+📊 รวมทั้งหมด: ${formatAmount(drug.quantity, drugUnit(drug))}${expiryLine}`
+  );
+}
+
+// ==================== Batches & Expiry ====================
+// "31/12/2026", "2026-12-31" หรือ "12/2026" (ถือเป็นสิ้นเดือน แบบที่พิมพ์บนกล่องยา)
+function parseExpiryInput(input, today) {
+  const match = input.match(/^(\d{1,2})\/(\d{4})$/);
+  if (!match) return parseDateInput(input, today);
+
+  const m = Number(match[1]);
+  let y = Number(match[2]);
+  if (y > 2400) y -= 543; // ปี พ.ศ.
+  if (m < 1 || m > 12) return null;
+  return formatDateKey(new Date(y, m, 0));
+}
+
+function formatExpiryDate(dateKey) {
+  return parseDateKey(dateKey).toLocaleDateString("th-TH", { day: "numeric", month: "short", year: "numeric" });
+}
+
+// ยาที่หักไปมาจากล็อตที่หมดอายุแล้ว → ข้อความเตือน (null = ไม่มี)
+function describeExpiredUse(drug, usedBatches, today) {
+  const expired = usedBatches.filter((b) => getExpiryStatus(b.expiry, today) === "expired");
+  if (expired.length === 0) return null;
+  const amount = roundAmount(expired.reduce((sum, b) => sum + b.quantity, 0));
+  return `⛔ ${drug.name}: ${formatAmount(amount, drugUnit(drug))} มาจากล็อตที่หมดอายุแล้ว`;
+}
+
+// ข้อมูลยาที่เก็บใน event: แนบล็อตที่ถูกหักไว้เฉพาะยาที่มีวันหมดอายุ
+function buildDoseDrug(drug, pills, usedBatches) {
+  return {
+    name: drug.name,
+    pills,
+    unit: drugUnit(drug),
+    ...(usedBatches.length > 0 && { batches: usedBatches }),
+  };
+}
+
+// ข้อความวันหมดอายุที่ใกล้ที่สุดของยา (null = ไม่มีล็อตที่ระบุวันหมดอายุ)
+function describeNearestExpiry(drug, today) {
+  const batch = (drug.batches || []).find((b) => b.expiry);
+  if (!batch) return null;
+
+  const status = getExpiryStatus(batch.expiry, today);
+  const icon = status === "expired" ? "⛔" : status === "near" ? "⚠️" : "📅";
+  const note = status === "expired" ? " (หมดอายุแล้ว!)" : status === "near" ? " (ใกล้หมดอายุ)" : "";
+  return `${icon} หมดอายุ ${formatExpiryDate(batch.expiry)}${note} · ${formatAmount(batch.quantity, drugUnit(drug))}`;
+}
+
+// ตรวจวันหมดอายุวันละครั้ง แจ้งเมื่อล็อตใกล้หมดอายุ และอีกครั้งเมื่อหมดอายุแล้ว
+async function checkExpiryWarnings(user, now) {
+  const alerts = [];
+  const warned = [];
+  for (const [i, drug] of (user.drugs || []).entries()) {
+    for (const batch of drug.batches || []) {
+      const status = getExpiryStatus(batch.expiry, now);
+      if (status === "ok" || batch.warned === status) continue;
+      if (!(await claimDelivery("expiry", user.lineUserId, formatDateKey(now), `${drug.name}:${batch.expiry}`))) {
+        continue;
+      }
+
+      warned.push({ name: drug.name, expiry: batch.expiry, status });
+      const label = status === "expired" ? "⛔ หมดอายุแล้ว" : "⚠️ ใกล้หมดอายุ";
+      alerts.push(
+        `${label}: ${i + 1}. ${drug.name} ${formatAmount(batch.quantity, drugUnit(drug))} (${formatExpiryDate(batch.expiry)})`
+      );
+    }
+  }
+
+  if (alerts.length === 0) return;
+  await updateUser(user, (fresh) =>
+    warned.forEach(({ name, expiry, status }) => {
+      const drug = (fresh.drugs || []).find((d) => d.name === name);
+      const batch = drug && (drug.batches || []).find((b) => b.expiry === expiry);
+      if (batch) batch.warned = status;
+    })
+  );
+
+  const list = alerts.join("\n");
+  await push(
+    user.lineUserId,
+    `📅 แจ้งเตือนวันหมดอายุยาค่ะ
+━━━━━━━━━━━━━━━━━━━
+${list}
+
+⚠️ ไม่ควรกินยาที่หมดอายุแล้ว
+💡 ทิ้งยาที่หมดอายุ: ทิ้งยาหมดอายุ [เลขหรือชื่อยา]
+💡 เติมยาใหม่: เติมยา [เลขหรือชื่อยา] [จำนวน] [วันหมดอายุ]`
+  );
+  await notifyCaregivers(user, `📅 แจ้งเตือนวันหมดอายุยา:\n${list}`);
+  console.log(`📅 Expiry warning sent to ${user.odotId}`);
+}
+
+async function handleDiscardExpired(replyToken, text, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user || user.drugs.length === 0) {
+    return await reply(replyToken, `❌ ยังไม่มียาในระบบค่ะ`);
+  }
+
+  const input = text.replace("ทิ้งยาหมดอายุ", "").trim();
+  if (!input) {
+    return await reply(replyToken, `📝 พิมพ์: ทิ้งยาหมดอายุ [เลขหรือชื่อยา]\n💡 พิมพ์ "ดูยา" เพื่อดูรายการ`);
+  }
+
+  const found = resolveDrug(user, input, (number) => `ทิ้งยาหมดอายุ ${number}`);
+  if (found.error) return await reply(replyToken, found.error.text, found.error.quickReplyItems);
+  const { drug, index } = found;
+  const today = getUserNow(user);
+  const expired = (drug.batches || []).filter((b) => getExpiryStatus(b.expiry, today) === "expired");
+  if (expired.length === 0) {
+    return await reply(replyToken, `✅ ${drug.name} ไม่มีล็อตที่หมดอายุค่ะ`);
+  }
+
+  const discarded = roundAmount(expired.reduce((sum, b) => sum + b.quantity, 0));
+  drug.quantity = roundAmount(Math.max(drug.quantity - discarded, 0));
+  drug.batches = drug.batches.filter((b) => !expired.includes(b));
+  if (drug.batches.length === 0) delete drug.batches;
+  await saveUser(lineUserId, user);
+
+  return await reply(
+    replyToken,
+    `🗑️ ทิ้งยาหมดอายุแล้วค่ะ
+━━━━━━━━━━━━━━━━━━━
+💊 ยา: ${drug.name}
+📦 ทิ้ง: ${formatAmount(discarded, drugUnit(drug))}
+📊 เหลือ: ${formatAmount(drug.quantity, drugUnit(drug))}
+
+💡 เติมยาใหม่: เติมยา ${index + 1} [จำนวน] [วันหมดอายุ]`
+  );
+}
+
+// ==================== Cancel Drug ====================
+async function handleCancelStart(replyToken, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user || user.drugs.length === 0) {
+    return await reply(replyToken, `❌ ยังไม่มียาในระบบค่ะ`);
+  }
+
+  const rows = user.drugs.map((drug, i) => ({
+    title: `${i + 1}. ${drug.name}`,
+    subtitle: formatAmount(drug.quantity, drugUnit(drug)),
+    actions: [
+      {
+        label: "🗑️ ลบ",
+        data: postbackData({ action: "cancel", drug: i, ref: drugRef(drug) }),
+        displayText: `ยกเลิกยา ${i + 1}`,
+      },
+    ],
+  }));
+
+  return await replyMessages(replyToken, [
+    buildListFlex({
+      altText: "🗑️ เลือกยาที่ต้องการลบ",
+      title: "🗑️ เลือกยาที่ต้องการลบ",
+      rows,
+      footer: `📝 กดปุ่มลบ หรือพิมพ์: ยกเลิกยา [เลขหรือชื่อยา]\n⚠️ ลบแล้วไม่สามารถกู้คืนได้`,
+    }),
+  ]);
+}
+
+async function handleCancel(replyToken, text, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user) return;
+
+  const found = resolveDrug(user, text.replace("ยกเลิกยา ", ""), (number) => `ยกเลิกยา ${number}`);
+  if (found.error) return await reply(replyToken, found.error.text, found.error.quickReplyItems);
+  const { drug, index } = found;
+
+  await startFlow(lineUserId, "confirmCancel", "confirm", {
+    drugIndex: index,
+    drugName: drug.name,
+  });
+
+  return await reply(
+    replyToken,
+    `⚠️ ยืนยันการลบยา\n━━━━━━━━━━━━━━━━━━━\n💊 ยา: ${drug.name}\n📦 คงเหลือ: ${formatAmount(drug.quantity, drugUnit(drug))}\n\n❓ ต้องการลบยานี้หรือไม่?\n\n✅ พิมพ์ "ยืนยัน" หรือ "ใช่" เพื่อลบ\n❌ พิมพ์อย่างอื่นเพื่อยกเลิก`,
+    [{ label: "✅ ยืนยัน", text: "ยืนยัน" }, { label: "❌ ไม่ลบ", text: "ไม่ลบ" }]
+  );
+}
+
+// ==================== Reminder Times ====================
+async function handleShowTimes(replyToken, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user) {
+    return await reply(replyToken, `❌ กรุณาลงทะเบียนก่อนค่ะ`);
+  }
+
+  const times = user.reminderTimes || ["08:00", "20:00"];
+  const events = await getDoseLog(lineUserId, formatDateKey(getUserNow(user)));
+
+  let list = `⏰ เวลากินยาของคุณ:\n━━━━━━━━━━━━━━━━━━━\n`;
+  times.forEach((t, i) => {
+    const event = findSlotEvent(events, t);
+    const status = event ? ` ${DOSE_STATUS_LABELS[event.status]}` : "";
+    list += `${i + 1}. 🕐 ${t} น.${status}\n`;
+  });
+
+  const missed = events.filter((e) => e.status === "missed" && findSlotEvent(events, e.time) === e);
+  if (missed.length > 0) {
+    list += `\n⚠️ วันนี้พลาดไป ${missed.length} รอบ: ${missed.map((e) => e.time).join(", ")}\n💡 กินแล้ว พิมพ์ "กินยาช้า [เลข]"\n`;
+  }
+  list += `\n━━━━━━━━━━━━━━━━━━━\n💡 คำสั่งที่เกี่ยวข้อง:\n• เพิ่มเวลากินยา [เวลา]\n• ลบเวลากินยา [เลข]\n• ตั้งเวลากินยา - ตั้งว่ายาไหนกินเวลาไหน`;
+
+  return await reply(replyToken, list);
+}
+
+async function handleAddTime(replyToken, text, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user) return;
+
+  const time = normalizeTime(text.replace("เพิ่มเวลากินยา ", ""));
+  if (!time) {
+    return await reply(
+      replyToken,
+      `❌ รูปแบบเวลาไม่ถูกต้องค่ะ\n\nตัวอย่างที่ถูกต้อง:\n• เพิ่มเวลากินยา 12:00\n• เพิ่มเวลากินยา 18.30`
+    );
+  }
+
+  if (!user.reminderTimes) user.reminderTimes = ["08:00", "20:00"];
+
+  if (user.reminderTimes.includes(time)) {
+    return await reply(
+      replyToken,
+      `❌ มีเวลา ${time} อยู่แล้วค่ะ\n\n💡 พิมพ์ "เวลากินยา" เพื่อดูเวลาทั้งหมด`
+    );
+  }
+
+  user.reminderTimes.push(time);
+  user.reminderTimes.sort();
+  await saveUser(lineUserId, user);
+
+  const timeList = user.reminderTimes
+    .map((t, i) => `${i + 1}. ${t}`)
+    .join("\n");
+
+  return await reply(
+    replyToken,
+    `✅ เพิ่มเวลาสำเร็จ!
+━━━━━━━━━━━━━━━━━━━
+⏰ เวลาใหม่: ${time} น.
+
+📋 เวลากินยาทั้งหมด:
+${timeList}
+
+💡 ตั้งว่ายาไหนกินเวลาไหน:
+พิมพ์: ตั้งเวลากินยา`
+  );
+}
+
+async function handleRemoveTime(replyToken, text, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user) return;
+
+  const index = parseInt(text.replace("ลบเวลากินยา ", "").trim()) - 1;
+  const times = user.reminderTimes || ["08:00", "20:00"];
+
+  if (isNaN(index) || index < 0 || index >= times.length) {
+    return await reply(
+      replyToken,
+      `❌ ไม่พบเวลาหมายเลขนี้ค่ะ\n\n💡 พิมพ์ "เวลากินยา" เพื่อดูเวลาทั้งหมด`
+    );
+  }
+
+  if (times.length <= 1) {
+    return await reply(
+      replyToken,
+      `❌ ไม่สามารถลบได้ค่ะ\n\nต้องมีเวลากินยาอย่างน้อย 1 เวลา`
+    );
+  }
+
+  const removed = times[index];
+  user.reminderTimes.splice(index, 1);
+
+  // อัปเดต schedules ของยาทั้งหมด
+  user.drugs.forEach((drug) => {
+    drug.schedules = drug.schedules.map((s) => {
+      s.times = s.times.filter((t) => t !== index).map((t) => (t > index ? t - 1 : t));
+      return s;
+    }).filter((s) => s.times.length > 0);
+  });
+
+  await saveUser(lineUserId, user);
+
+  const timeList = user.reminderTimes
+    .map((t, i) => `${i + 1}. ${t}`)
+    .join("\n");
+
+  return await reply(
+    replyToken,
+    `✅ ลบเวลา ${removed} แล้วค่ะ\n━━━━━━━━━━━━━━━━━━━\n📋 เวลาที่เหลือ:\n${timeList}`
+  );
+}
+
+// "ตั้งเวลา 1 07.30": เปลี่ยนเวลาที่มีอยู่ ยาที่ผูกกับเวลานั้นย้ายตามไปด้วย
+async function handleChangeTime(replyToken, text, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user) {
+    return await reply(replyToken, `❌ กรุณาลงทะเบียนก่อนค่ะ`);
+  }
+
+  const [slotInput, timeInput = ""] = text.replace("ตั้งเวลา ", "").trim().split(/\s+/);
+  const times = user.reminderTimes || ["08:00", "20:00"];
+  const index = parseInt(slotInput) - 1;
+
+  if (isNaN(index) || index < 0 || index >= times.length) {
+    return await reply(
+      replyToken,
+      `❌ ไม่พบเวลาหมายเลขนี้ค่ะ\n\n💡 พิมพ์ "เวลากินยา" เพื่อดูเวลาทั้งหมด`
+    );
+  }
+
+  const time = normalizeTime(timeInput);
+  if (!time) {
+    return await reply(
+      replyToken,
+      `❌ รูปแบบเวลาไม่ถูกต้องค่ะ\n\nตัวอย่างที่ถูกต้อง:\n• ตั้งเวลา 1 07:30\n• ตั้งเวลา 2 20.00`
+    );
+  }
+  if (times.includes(time)) {
+    return await reply(
+      replyToken,
+      `❌ มีเวลา ${time} อยู่แล้วค่ะ\n\n💡 พิมพ์ "เวลากินยา" เพื่อดูเวลาทั้งหมด`
+    );
+  }
+
+  const previous = times[index];
+  const updated = [...times];
+  updated[index] = time;
+  updated.sort();
+
+  // schedules อ้างเวลาด้วยลำดับ → แปลงลำดับเดิมเป็นลำดับใหม่หลังเรียงเวลา
+  const newIndex = times.map((t, i) => updated.indexOf(i === index ? time : t));
+  user.drugs.forEach((drug) => {
+    (drug.schedules || []).forEach((s) => {
+      s.times = s.times.map((t) => newIndex[t]).sort((a, b) => a - b);
+    });
+  });
+  user.reminderTimes = updated;
+  await saveUser(lineUserId, user);
+
+  const now = getUserNow(user);
+  const yesterday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+  await moveSlotState(lineUserId, formatDateKey(now), previous, time);
+  await moveSlotState(lineUserId, formatDateKey(yesterday), previous, time, { pendingOnly: true });
+
+  const timeList = updated.map((t, i) => `${i + 1}. ${t}`).join("\n");
+
+  return await reply(
+    replyToken,
+    `✅ เปลี่ยนเวลา ${previous} เป็น ${time} น. แล้วค่ะ\n━━━━━━━━━━━━━━━━━━━\n📋 เวลากินยาทั้งหมด:\n${timeList}`
+  );
+}
+
+// ย้ายรอบที่เตือน/บันทึกไปแล้วตามเวลาใหม่: ประวัติ, สิทธิ์ส่งเตือน (กันเตือนรอบเดิมซ้ำที่เวลาใหม่) และเตือนที่เลื่อนไว้
+// pendingOnly: ย้ายเฉพาะรอบที่ยังรอบันทึก (รอบเมื่อวานที่บันทึกแล้วคงเวลาเดิมไว้ในประวัติ)
+// missedCheck ที่ค้างด้วยเวลาเดิมถูกข้ามเอง (เวลาไม่อยู่ใน reminderTimes แล้ว) ส่วน checkPendingSlots ตรวจรอบที่ย้ายแทน
+async function moveSlotState(lineUserId, dateKey, from, to, { pendingOnly = false } = {}) {
+  const events = await getDoseLog(lineUserId, dateKey);
+  const event = findSlotEvent(events, from);
+  if (event && !(pendingOnly && event.status !== "pending")) {
+    events.forEach((e) => {
+      if (e.time === from) e.time = to;
+      if (e.slotTime === from) e.slotTime = to;
+    });
+    await saveDoseLog(lineUserId, dateKey, events);
+    await claimDelivery("remind", lineUserId, dateKey, to);
+    if (event.followUpAt) await claimDelivery("followup", lineUserId, dateKey, to);
+  }
+
+  const snoozeDue = await getSnoozeDue(lineUserId, dateKey, from);
+  if (snoozeDue) {
+    await cancelSnooze(lineUserId, dateKey, from);
+    await setSnoozeDue(lineUserId, dateKey, to, snoozeDue);
+  }
+}
+
+// ==================== Set Drug Schedule ====================
+async function handleSetScheduleStart(replyToken, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user || user.drugs.length === 0) {
+    return await reply(
+      replyToken,
+      `❌ ยังไม่มียาในระบบค่ะ\n\n💡 เพิ่มยาก่อน:\nเพิ่มยา [ชื่อ] [จำนวน]`
+    );
+  }
+
+  const times = user.reminderTimes || ["08:00", "20:00"];
+
+  let msg = `⏰ ตั้งเวลากินยา\n━━━━━━━━━━━━━━━━━━━\n\n📋 เวลาทั้งหมด:\n`;
+  times.forEach((t, i) => {
+    msg += `${i + 1}. 🕐 ${t} น.\n`;
+  });
+
+  msg += `\n━━━━━━━━━━━━━━━━━━━\n💊 รายการยาและตารางกิน:\n`;
+
+  user.drugs.forEach((drug, i) => {
+    msg += `\n${i + 1}. ${drug.name} (${formatAmount(drug.quantity, drugUnit(drug))})\n`;
+    if (drug.prn) {
+      msg += `   🩹 ยาตามอาการ (พักเตือนตามเวลา)\n`;
+    }
+
+    if (!drug.schedules || drug.schedules.length === 0) {
+      msg += `   ⏰ ยังไม่ได้ตั้งเวลา\n`;
+    } else {
+      drug.schedules.forEach((s) => {
+        const timeLabels = s.times.map((t) => t + 1).join(",");
+        msg += `   ⏰ เวลา ${timeLabels} - กิน ${formatAmount(s.pills, drugUnit(drug))}\n`;
+        if (Object.keys(pickScheduleRule(s)).length > 0) {
+          msg += `      📅 ${describeSchedule(s)}\n`;
+        }
+      });
+      if (drug.phases) {
+        msg += `   📉 ลดยา (ต่อครั้ง):\n${describePhases(drug, getUserNow(user)).replace(/^/gm, "   ")}\n`;
+      }
+    }
+  });
+
+  msg += `\n━━━━━━━━━━━━━━━━━━━\n📝 วิธีตั้งเวลา:\n\n`;
+  msg += `ตั้งเวลากินยา [เวลา] [เลขยา] [จำนวนต่อครั้ง]\n\n`;
+  msg += `━━━━━━━━━━━━━━━━━━━\n📌 ตัวอย่าง:\n\n`;
+  msg += `• ตั้งเวลากินยา 1 1 2\n`;
+  msg += `  → เวลาที่ 1, ยาเลข 1, กิน 2 เม็ด\n\n`;
+  msg += `• ตั้งเวลากินยา 1,2 3 1\n`;
+  msg += `  → เวลาที่ 1 และ 2, ยาเลข 3, กิน 1 เม็ด\n\n`;
+  msg += `• ตั้งเวลากินยา 1 1,2,3 1\n`;
+  msg += `  → เวลาที่ 1, ยาเลข 1,2,3, กิน 1 เม็ด\n\n`;
+  msg += `• ตั้งเวลากินยา 2 1 0.5\n`;
+  msg += `  → เวลาที่ 2, ยาเลข 1, กินครึ่งเม็ด (ใช้ทศนิยมได้)\n\n`;
+  msg += `━━━━━━━━━━━━━━━━━━━\n📅 กินบางวัน / คอร์สยา: พิมพ์ "ตั้งวันกินยา"\n`;
+  msg += `💡 พิมพ์ "help ตั้งเวลากินยา" ดูรายละเอียดเพิ่ม`;
+
+  return await reply(replyToken, msg);
+}
+
+async function handleSetSchedule(replyToken, text, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user) return;
+
+  const parts = text.replace("ตั้งเวลากินยา ", "").trim().split(/\s+/);
+
+  if (parts.length < 3) {
+    return await reply(
+      replyToken,
+      `❌ รูปแบบไม่ถูกต้องค่ะ\n\nพิมพ์: ตั้งเวลากินยา [เวลา] [เลขยา] [จำนวนต่อครั้ง]\n\nตัวอย่าง:\n• ตั้งเวลากินยา 1 1 2\n• ตั้งเวลากินยา 1,2 3 1\n\n💡 พิมพ์ "ตั้งเวลากินยา" ดูรายละเอียด`
+    );
+  }
+
+  // [เวลา] [ยา...] [จำนวน]: ชื่อยาอยู่ตรงกลาง มีช่องว่างได้ คั่นหลายตัวด้วย ,
+  const timeInput = parts[0];
+  const pillsInput = parts[parts.length - 1];
+  const drugInputs = parts.slice(1, -1).join(" ").split(",").map((d) => d.trim()).filter(Boolean);
+  const pills = parseAmount(pillsInput);
+
+  if (isNaN(pills) || pills <= 0) {
+    return await reply(
+      replyToken,
+      `❌ จำนวนต่อครั้งไม่ถูกต้องค่ะ\nต้องเป็นตัวเลขมากกว่า 0 (ทศนิยมได้ เช่น 0.5)`
+    );
+  }
+
+  const times = user.reminderTimes || ["08:00", "20:00"];
+
+  // แปลง "1,2" เป็น [0, 1]
+  const selectedTimes = timeInput
+    .split(",")
+    .map((t) => parseInt(t.trim()) - 1)
+    .filter((t) => !isNaN(t) && t >= 0 && t < times.length);
+
+  if (selectedTimes.length === 0) {
+    return await reply(
+      replyToken,
+      `❌ เวลาไม่ถูกต้องค่ะ\n\nใช้เลข 1 ถึง ${times.length}\nหรือคั่นด้วย , เช่น 1,2`
+    );
+  }
+
+  // แปลง "1,พารา,3" เป็น [0, 1, 2]
+  const selectedDrugs = [];
+  for (const [i, input] of drugInputs.entries()) {
+    const found = resolveDrug(user, input, (number) => {
+      const replaced = drugInputs.map((d, j) => (j === i ? number : d)).join(",");
+      return `ตั้งเวลากินยา ${timeInput} ${replaced} ${pillsInput}`;
+    });
+    if (found.error) return await reply(replyToken, found.error.text, found.error.quickReplyItems);
+    if (!selectedDrugs.includes(found.index)) selectedDrugs.push(found.index);
+  }
+
+  if (selectedDrugs.length === 0) {
+    return await reply(
+      replyToken,
+      `❌ เลขยาไม่ถูกต้องค่ะ\n\nใช้เลข 1 ถึง ${user.drugs.length}\nหรือคั่นด้วย , เช่น 1,2,3`
+    );
+  }
+
+  // ตั้งค่าให้ยาที่เลือก
+  selectedDrugs.forEach((drugIdx) => {
+    const drug = user.drugs[drugIdx];
+    const rule = pickScheduleRule((drug.schedules || [])[0]);
+
+    // ลบ schedule เดิมของเวลาที่ซ้ำกัน
+    drug.schedules = (drug.schedules || []).filter((s) => {
+      return !s.times.some((t) => selectedTimes.includes(t));
+    });
+
+    // เพิ่ม schedule ใหม่ (ใช้วันกินยา/คอร์สเดิมของยานั้น) ยาตามอาการจะกลับเป็นยากินตามเวลา
+    delete drug.prn;
+    drug.schedules.push({
+      times: selectedTimes,
+      pills: pills,
+      ...rule,
+    });
+  });
+
+  await saveUser(lineUserId, user);
+
+  const timeLabels = selectedTimes.map((t) => `${t + 1}. ${times[t]}`).join("\n");
+  const drugLabels = selectedDrugs
+    .map((d) => `${d + 1}. ${user.drugs[d].name} - ${formatAmount(pills, drugUnit(user.drugs[d]))}/ครั้ง`)
+    .join("\n");
+
+  return await reply(
+    replyToken,
+    `✅ ตั้งเวลาสำเร็จ!
+━━━━━━━━━━━━━━━━━━━
+
+⏰ เวลา:
+${timeLabels}
+
+💊 ยา:
+${drugLabels}
+
+━━━━━━━━━━━━━━━━━━━
+💡 พิมพ์ "ตั้งเวลากินยา" ดูตารางทั้งหมด`
+  );
+}
+
+// ==================== Schedule Rules ====================
+async function handleSetRuleStart(replyToken, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user || user.drugs.length === 0) {
+    return await reply(
+      replyToken,
+      `❌ ยังไม่มียาในระบบค่ะ\n\n💡 เพิ่มยาก่อน:\nเพิ่มยา [ชื่อ] [จำนวน]`
+    );
+  }
+
+  let msg = `📅 ตั้งวันกินยา / คอร์สยา\n━━━━━━━━━━━━━━━━━━━\n`;
+  user.drugs.forEach((drug, i) => {
+    const schedules = drug.schedules || [];
+    const descriptions = new Set(schedules.map(describeSchedule));
+    msg += `\n${i + 1}. ${drug.name}\n`;
+    if (schedules.length === 0) {
+      msg += `   ⏰ ยังไม่ได้ตั้งเวลา\n`;
+    } else if (descriptions.size === 1) {
+      msg += `   📅 ${[...descriptions][0]}\n`;
+    } else {
+      // แต่ละเวลามีวันกินต่างกัน (ตั้งด้วย "เวลา N")
+      schedules.forEach((s) => {
+        msg += `   📅 เวลา ${s.times.map((t) => t + 1).join(",")}: ${describeSchedule(s)}\n`;
+      });
+    }
+  });
+
+  msg += `\n━━━━━━━━━━━━━━━━━━━\n📝 พิมพ์: ตั้งวันกินยา [เลขยา] [เงื่อนไข]\n\n`;
+  msg += `📌 ตัวอย่าง:\n`;
+  msg += `• ตั้งวันกินยา 1 จ,พ,ศ\n  → กินเฉพาะวันจันทร์ พุธ ศุกร์\n`;
+  msg += `• ตั้งวันกินยา 2 วันเว้นวัน\n`;
+  msg += `• ตั้งวันกินยา 2 ทุก 3 วัน\n`;
+  msg += `• ตั้งวันกินยา 3 7 วัน\n  → คอร์ส 7 วัน เริ่มวันนี้\n`;
+  msg += `• ตั้งวันกินยา 3 เริ่ม 1/11 ถึง 14/11\n`;
+  msg += `• ตั้งวันกินยา 4 ทุก 7 วัน เวลา 2\n  → เฉพาะเวลาที่ 2 เวลาอื่นกินตามเดิม\n`;
+  msg += `• ตั้งวันกินยา 1 ทุกวัน\n  → กลับเป็นกินทุกวัน`;
+
+  return await reply(replyToken, msg);
+}
+
+async function handleSetRule(replyToken, text, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user) {
+    return await reply(replyToken, `❌ กรุณาลงทะเบียนก่อนค่ะ`);
+  }
+
+  const tokens = text.replace("ตั้งวันกินยา ", "").trim().split(/\s+/).filter(Boolean);
+
+  if (tokens.length < 2) {
+    return await reply(
+      replyToken,
+      `❌ รูปแบบไม่ถูกต้องค่ะ\n\nพิมพ์: ตั้งวันกินยา [เลขยา] [เงื่อนไข]\nตัวอย่าง: ตั้งวันกินยา 1 จ,พ,ศ\n\n💡 พิมพ์ "ตั้งวันกินยา" ดูรายละเอียด`
+    );
+  }
+
+  // "เวลา N" ท้ายคำสั่ง = ตั้งเฉพาะเวลานั้น ไม่ระบุ = ทุกเวลาของยานี้
+  const times = user.reminderTimes || ["08:00", "20:00"];
+  let timeIndex = null;
+  if (tokens.length >= 4 && tokens[tokens.length - 2] === "เวลา") {
+    timeIndex = parseInt(ARG_TYPES.number(tokens.pop())) - 1;
+    tokens.pop();
+    if (isNaN(timeIndex) || timeIndex < 0 || timeIndex >= times.length) {
+      return await reply(
+        replyToken,
+        `❌ ไม่พบเวลาหมายเลขนี้ค่ะ\n\n💡 พิมพ์ "เวลากินยา" เพื่อดูเวลาทั้งหมด`
+      );
+    }
+  }
+
+  // ชื่อยามีช่องว่างได้: ตัดชื่อยาให้สั้นที่สุดที่คำที่เหลือเป็นเงื่อนไขที่ถูกต้อง เช่น "ยา ความดัน จ,พ,ศ"
+  const today = getUserNow(user);
+  const ruleText = (at) => ARG_TYPES.spec(tokens.slice(at).join(" "));
+  const splitAt = tokens.findIndex((_, at) => at > 0 && !parseScheduleRule(ruleText(at), today).error);
+  const drugInput = ARG_TYPES.drug(tokens.slice(0, splitAt === -1 ? 1 : splitAt).join(" "));
+  const ruleInput = ruleText(splitAt === -1 ? 1 : splitAt);
+
+  const timeSuffix = timeIndex === null ? "" : ` เวลา ${timeIndex + 1}`;
+  const found = resolveDrug(user, drugInput, (number) => `ตั้งวันกินยา ${number} ${ruleInput}${timeSuffix}`);
+  if (found.error) return await reply(replyToken, found.error.text, found.error.quickReplyItems);
+  const { drug } = found;
+  if (!drug.schedules || drug.schedules.length === 0) {
+    return await reply(
+      replyToken,
+      `❌ ${drug.name} ยังไม่ได้ตั้งเวลากินค่ะ\n\n💡 ตั้งเวลาก่อน: ตั้งเวลากินยา`
+    );
+  }
+
+  const rule = parseScheduleRule(ruleInput, today);
+  if (rule.error) {
+    return await reply(
+      replyToken,
+      `❌ ${rule.error} ค่ะ\n\n💡 พิมพ์ "ตั้งวันกินยา" ดูตัวอย่าง`
+    );
+  }
+
+  // ตั้งเฉพาะเวลาเดียว: แยกเวลานั้นออกจาก schedule เดิมเป็น schedule ของตัวเอง (จำนวนต่อครั้งเท่าเดิม)
+  const source = timeIndex === null ? null : drug.schedules.find((s) => s.times.includes(timeIndex));
+  if (timeIndex !== null && !source) {
+    return await reply(
+      replyToken,
+      `❌ ${drug.name} ไม่ได้กินเวลาที่ ${timeIndex + 1} (${times[timeIndex]} น.) ค่ะ\n\n💡 พิมพ์ "ตั้งเวลากินยา" ดูตารางกินยา`
+    );
+  }
+  const targets = source ? [{ ...source, times: [timeIndex] }] : drug.schedules;
+
+  const invalid = targets.some((schedule) => {
+    const preview = { ...schedule };
+    applyScheduleRule(preview, rule, today);
+    return preview.startDate && preview.endDate && preview.endDate < preview.startDate;
+  });
+  if (invalid) {
+    return await reply(replyToken, `❌ วันสิ้นสุดต้องไม่ก่อนวันเริ่มค่ะ`);
+  }
+
+  if (source) {
+    source.times = source.times.filter((t) => t !== timeIndex);
+    drug.schedules = drug.schedules.filter((s) => s.times.length > 0).concat(targets);
+  }
+  targets.forEach((schedule) => applyScheduleRule(schedule, rule, today));
+  await saveUser(lineUserId, user);
+
+  return await reply(
+    replyToken,
+    `✅ ตั้งวันกินยาสำเร็จ!
+━━━━━━━━━━━━━━━━━━━
+💊 ยา: ${drug.name}${source ? `\n⏰ เฉพาะเวลาที่ ${timeIndex + 1} (${times[timeIndex]} น.)` : ""}
+📅 ${describeSchedule(targets[0])}
+${targets[0].endDate ? "\n🎯 เมื่อครบคอร์สจะหยุดเตือนและแจ้งให้ทราบค่ะ\n" : ""}
+💡 พิมพ์ "ตั้งวันกินยา" ดูทั้งหมด`
+  );
+}
+
+// คอร์สที่เลยวันสิ้นสุดแล้ว (รวมช่วงลดยาช่วงสุดท้าย): ลบ schedule ออก (หยุดเตือน) และแจ้งผู้ใช้ครั้งเดียว
+async function finishEndedCourses(user, now) {
+  const todayKey = formatDateKey(now);
+  const finished = endCourses(user.drugs || [], todayKey);
+
+  if (finished.length === 0) return;
+  await updateUser(user, (fresh) => endCourses(fresh.drugs || [], todayKey));
+
+  const list = finished
+    .map(
+      ({ drug, endDate }) =>
+        `💊 ${drug.name} (ถึง ${formatShortDate(endDate)}) เหลือ ${formatAmount(drug.quantity, drugUnit(drug))}`
+    )
+    .join("\n");
+
+  await push(
+    user.lineUserId,
+    `🎉 ครบคอร์สยาแล้วค่ะ
+━━━━━━━━━━━━━━━━━━━
+${list}
+
+⏰ หยุดเตือนยาเหล่านี้แล้ว
+
+💡 ลบยาออกจากรายการ: ยกเลิกยา
+💡 กินต่อ: ตั้งเวลากินยา`
+  );
+  await notifyCaregivers(user, `🎉 ผู้ป่วยครบคอร์สยาแล้ว:\n${list}`);
+  console.log(`🎉 Course finished for ${user.odotId}`);
+}
+
+// ตัด schedule ที่เลย endDate ออก (ช่วงลดยาจบ = ตัดทั้งหมด) คืนยาที่ไม่เหลือ schedule แล้ว = ครบคอร์ส
+function endCourses(drugs, todayKey) {
+  const finished = [];
+
+  drugs.forEach((drug) => {
+    const schedules = drug.schedules || [];
+    const taper = getTaperWindow(drug);
+    const taperEnded = taper && taper.endDate < todayKey;
+    const active = taperEnded ? [] : schedules.filter((s) => !s.endDate || s.endDate >= todayKey);
+    if (active.length === schedules.length) return;
+
+    const ended = taperEnded ? taper : schedules.find((s) => s.endDate && s.endDate < todayKey);
+    drug.schedules = active;
+    if (active.length === 0) {
+      delete drug.phases;
+      delete drug.announcedPhase;
+      finished.push({ drug, endDate: ended.endDate });
+    }
+  });
+  return finished;
+}
+
+// ==================== Tapering ====================
+async function handleSetTaper(replyToken, text, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user) {
+    return await reply(replyToken, `❌ กรุณาลงทะเบียนก่อนค่ะ`);
+  }
+
+  const usage = `📉 ตั้งลดยา (ขนาดยาเปลี่ยนตามช่วงวัน)
+━━━━━━━━━━━━━━━━━━━
+📝 พิมพ์: ตั้งลดยา [เลขยา] [จำนวน]x[วัน] ...
+
+📌 ตัวอย่าง:
+• ตั้งลดยา 1 4x5 3x5 2x5 1x5
+  → ครั้งละ 4, 3, 2, 1 (ช่วงละ 5 วัน เริ่มวันนี้)
+• ตั้งลดยา 1 4x5 3x5 เริ่ม 1/11
+• ตั้งลดยา 1 ยกเลิก
+
+💡 ใช้กับเวลากินที่ตั้งไว้ด้วย "ตั้งเวลากินยา"
+🎉 ครบทุกช่วงแล้วระบบหยุดเตือนและแจ้งให้ทราบ`;
+
+  const words = text.replace("ตั้งลดยา", "").trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) {
+    return await reply(replyToken, usage);
+  }
+
+  // ชื่อยามีช่องว่างได้: ชื่อยาคือคำก่อนช่วงยาแรก / "เริ่ม" / "ยกเลิก"
+  const splitAt = words.findIndex(
+    (word, at) => at > 0 && (PHASE_PATTERN.test(ARG_TYPES.spec(word)) || word === "เริ่ม" || word === "ยกเลิก")
+  );
+  if (splitAt === -1) {
+    return await reply(replyToken, `❌ รูปแบบไม่ถูกต้องค่ะ\n\n${usage}`);
+  }
+  const drugInput = ARG_TYPES.drug(words.slice(0, splitAt).join(" "));
+  const tokens = [drugInput, ...words.slice(splitAt).map(ARG_TYPES.spec)];
+
+  const found = resolveDrug(user, drugInput, (number) => `ตั้งลดยา ${number} ${tokens.slice(1).join(" ")}`);
+  if (found.error) return await reply(replyToken, found.error.text, found.error.quickReplyItems);
+  const drug = found.drug;
+  if (!drug.schedules || drug.schedules.length === 0) {
+    return await reply(
+      replyToken,
+      `❌ ${drug.name} ยังไม่ได้ตั้งเวลากินค่ะ\n\n💡 ตั้งเวลาก่อน: ตั้งเวลากินยา`
+    );
+  }
+
+  if (tokens[1] === "ยกเลิก") {
+    delete drug.phases;
+    delete drug.announcedPhase;
+    await saveUser(lineUserId, user);
+    return await reply(
+      replyToken,
+      `✅ ยกเลิกการลดยา ${drug.name} แล้วค่ะ\n\n💊 กลับไปกินตามจำนวนใน "ตั้งเวลากินยา" และวันใน "ตั้งวันกินยา"`
+    );
+  }
+
+  const today = getUserNow(user);
+  let startDate = formatDateKey(today);
+  const startIndex = tokens.indexOf("เริ่ม");
+  if (startIndex !== -1) {
+    startDate = parseDateInput(tokens[startIndex + 1] || "", today);
+    if (!startDate) {
+      return await reply(replyToken, `❌ วันเริ่มไม่ถูกต้องค่ะ\nตัวอย่าง: เริ่ม 1/11`);
+    }
+    tokens.splice(startIndex, 2);
+  }
+
+  const phases = parsePhases(tokens.slice(1), startDate);
+  if (!phases) {
+    return await reply(replyToken, `❌ รูปแบบช่วงยาไม่ถูกต้องค่ะ\n\n${usage}`);
+  }
+
+  drug.phases = phases;
+  delete drug.announcedPhase;
+  await saveUser(lineUserId, user);
+
+  return await reply(
+    replyToken,
+    `✅ ตั้งลดยาสำเร็จ!
+━━━━━━━━━━━━━━━━━━━
+💊 ยา: ${drug.name}
+📉 ขนาดยาต่อครั้ง:
+${describePhases(drug, today)}
+
+🔔 จะแจ้งให้ทราบทุกครั้งที่เปลี่ยนขนาดยาค่ะ`
+  );
+}
+
+// แจ้งเมื่อเข้าช่วงขนาดยาใหม่ (ครั้งเดียวต่อช่วง จำไว้ใน drug.announcedPhase)
+async function announcePhaseChanges(user, now) {
+  const drugs = user.drugs || [];
+  if (!drugs.some((drug) => isNewPhase(drug, now))) return;
+  const changes = [];
+
+  await updateUser(user, (fresh) =>
+    (fresh.drugs || []).forEach((drug) => {
+      if (!isNewPhase(drug, now)) return;
+      const phase = getCurrentPhase(drug, now);
+      const index = drug.phases.indexOf(phase);
+      drug.announcedPhase = phase.startDate;
+      if (index > 0) changes.push({ drug, from: drug.phases[index - 1].pills, phase });
+    })
+  );
+  if (changes.length === 0) return;
+
+  const list = changes
+    .map(
+      ({ drug, from, phase }) =>
+        `💊 ${drug.name}: ${from} → ${formatAmount(phase.pills, drugUnit(drug))}/ครั้ง (ถึง ${formatShortDate(phase.endDate)})`
+    )
+    .join("\n");
+
+  await push(user.lineUserId, `📉 เปลี่ยนขนาดยาตั้งแต่วันนี้ค่ะ\n━━━━━━━━━━━━━━━━━━━\n${list}`);
+  await notifyCaregivers(user, `📉 ผู้ป่วยเปลี่ยนขนาดยาตั้งแต่วันนี้:\n${list}`);
+  console.log(`📉 Phase change sent to ${user.odotId}`);
+}
+
+function isNewPhase(drug, now) {
+  const phase = getCurrentPhase(drug, now);
+  return !!phase && drug.announcedPhase !== phase.startDate;
+}
+
+// ==================== Take Drug ====================
+async function handleLateStart(replyToken, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user) return;
+
+  const times = user.reminderTimes || ["08:00", "20:00"];
+
+  let list = `⏰ เลือกเวลาที่กินยาช้า:\n━━━━━━━━━━━━━━━━━━━\n`;
+  times.forEach((t, i) => {
+    list += `${i + 1}. 🕐 ${t} น.\n`;
+  });
+  list += `\n━━━━━━━━━━━━━━━━━━━\n📝 พิมพ์: กินยาช้า [เลข]\nตัวอย่าง: กินยาช้า 1\n\n💡 ใช้คำสั่งนี้เมื่อกินยาช้าเกิน 30 นาที`;
 
-    เพิ่มยา: `💊 วิธีเพิ่มยา
-━━━━━━━━━━━━━━━━━━━
-🔹 คำสั่ง:
-เพิ่มยา [ชื่อยา] [จำนวน]
+  return await reply(replyToken, list);
+}
 
-📌 ตัวอย่าง:
-• เพิ่มยา พาราเซตามอล 30
-• เพิ่มยา ยาลดความดัน 20
-• เพิ่มยา วิตามินซี 60
+async function handleTakeDrug(replyToken, text, lineUserId, isLate) {
+  const user = await getUser(lineUserId);
+  if (!user) {
+    return await reply(replyToken, `❌ กรุณาลงทะเบียนก่อนค่ะ`);
+  }
 
-━━━━━━━━━━━━━━━━━━━
-✅ สิ่งที่เกิดขึ้น:
-• ยาจะถูกเพิ่มเข้าระบบ
-• ค่าเริ่มต้น: กินทุกเวลา 1 เม็ด
-• ใช้ "ตั้งเวลากินยา" ปรับแต่ง`,
+  const cmd = isLate ? "กินยาช้า " : "กินยา ";
+  // "กินยา 1 ยกเว้น ความดัน,เบาหวาน เพราะ แพทย์สั่งงด"
+  const [slotPart, exceptPart] = text.replace(cmd, "").split("ยกเว้น");
+  const index = parseInt(slotPart.trim()) - 1;
+  const times = user.reminderTimes || ["08:00", "20:00"];
 
-    เติมยา: `📦 วิธีเติมยา
-━━━━━━━━━━━━━━━━━━━
-🔹 ขั้นตอน:
-1. พิมพ์ "เติมยา"
-2. ดูรายการยาพร้อมหมายเลข
-3. พิมพ์ "เติมยา [เลข] [จำนวน]"
+  if (isNaN(index) || index < 0 || index >= times.length) {
+    return await reply(
+      replyToken,
+      `❌ ไม่พบเวลาหมายเลขนี้ค่ะ\n\n💡 พิมพ์ "${
+        isLate ? "กินยาช้า" : "เวลากินยา"
+      }" เพื่อดูรายการ`
+    );
+  }
 
-📌 ตัวอย่าง:
-Step 1: พิมพ์ "เติมยา"
-Step 2: ระบบแสดง
-  1. พาราฯ (5 เม็ด) 🔴
-  2. ยาลดความดัน (15 เม็ด)
-Step 3: พิมพ์ "เติมยา 1 30"
+  const slotDate = resolveSlotDate(user, index, getUserNow(user));
+  let exclude = [];
+  if (exceptPart !== undefined) {
+    const { names, reason } = parseSkipReason(exceptPart);
+    const resolved = resolveSlotDrugs(user, index, slotDate, names);
+    if (resolved.error) return await reply(replyToken, resolved.error);
+    exclude = resolved.drugs.map((drug) => ({ name: drug.name, reason: reason || DEFAULT_SKIP_REASON }));
+  }
 
-━━━━━━━━━━━━━━━━━━━
-✅ ผลลัพธ์:
-ยาเลข 1 จะมีจำนวนเพิ่มขึ้น 30 เม็ด`,
+  return await recordSlotDose(replyToken, user, index, {
+    isLate,
+    slotDate,
+    source: "command",
+    exclude,
+  });
+}
 
-    ยกเลิกยา: `🗑️ วิธียกเลิก/ลบยา
-━━━━━━━━━━━━━━━━━━━
-🔹 ขั้นตอน:
-1. พิมพ์ "ยกเลิกยา"
-2. ดูรายการยาพร้อมหมายเลข
-3. พิมพ์ "ยกเลิกยา [เลข]"
-4. พิมพ์ "ยืนยัน" เพื่อลบ
+// หักยาทุกตัวในรอบ index บันทึกประวัติ และตอบกลับ (ใช้ร่วมกับ sticker/คำยืนยัน)
+// รอบที่บันทึกว่ากินไปแล้วในวันเดียวกัน ต้องยืนยันก่อน (confirmed) กันกินยาซ้ำ
+// exclude: [{ name, reason }] ยาที่ไม่กินในรอบนี้ (รวมกับยาที่กดข้ามรายตัวไว้ก่อนหน้า)
+async function recordSlotDose(replyToken, user, index, { isLate, slotDate, source, confirmed = false, exclude = [] }) {
+  const lineUserId = user.lineUserId;
+  const times = user.reminderTimes || ["08:00", "20:00"];
 
-📌 ตัวอย่าง:
-Step 1: พิมพ์ "ยกเลิกยา"
-Step 2: พิมพ์ "ยกเลิกยา 1"
-Step 3: ระบบถามยืนยัน
-Step 4: พิมพ์ "ยืนยัน"
+  if (user.drugs.length === 0) {
+    return await reply(
+      replyToken,
+      `❌ ยังไม่มียาในระบบค่ะ\n\n💡 เพิ่มยาก่อน:\nเพิ่มยา [ชื่อยา] [จำนวน]`
+    );
+  }
 
+  const dateKey = formatDateKey(slotDate);
+  const events = await getDoseLog(lineUserId, dateKey);
+  // ดูทุก event ของรอบ ไม่ใช่แค่ล่าสุด: หลังกินแล้วอาจมี event อื่นต่อท้าย (เช่น pending จากเตือนที่ส่งทีหลัง)
+  const previous =
+    events.filter((e) => e.time === times[index] && !e.undoneAt && TAKEN_STATUSES.includes(e.status)).pop() || null;
+  const isRepeat = !!previous;
+
+  if (isRepeat && !confirmed) {
+    await startFlow(lineUserId, "confirmRepeatDose", "confirm", {
+      index,
+      time: times[index],
+      dateKey,
+      isLate,
+      source,
+      exclude,
+    });
+    return await reply(
+      replyToken,
+      `⛔ รอบ ${times[index]} น. บันทึกว่ากินไปแล้วค่ะ
 ━━━━━━━━━━━━━━━━━━━
-⚠️ คำเตือน:
-ลบแล้วไม่สามารถกู้คืนได้!`,
+🕐 บันทึกเมื่อ ${previous.takenAt} น.
+${previous.drugs.map((d) => `💊 ${d.name} ${formatAmount(d.pills, d.unit)}`).join("\n")}
+
+${describeDaySlots(user, events, slotDate)}
+
+⚠️ กินซ้ำอาจเป็นอันตราย
+💡 ถ้ากินเพิ่มจริง พิมพ์ "ยืนยัน" (ระบบจะแจ้งผู้ดูแล)
+💡 ถ้ากดผิด ไม่ต้องทำอะไรค่ะ`,
+      [
+        { label: "ยืนยันกินซ้ำ", text: "ยืนยัน" },
+        { label: "ไม่ได้กินซ้ำ", text: "ยกเลิก" },
+      ]
+    );
+  }
 
-    ดูยา: `📋 วิธีดูรายการยา
-━━━━━━━━━━━━━━━━━━━
-🔹 คำสั่ง:
-ดูยา หรือ รายการยา
+  const skipped = getSkippedDrugs(events, times[index]);
+  exclude.forEach((e) => skipped.set(e.name, e.reason));
 
-━━━━━━━━━━━━━━━━━━━
-🎨 ความหมายสัญลักษณ์:
+  // กรองเฉพาะยาที่ต้องกินเวลานี้
+  let status = "";
+  let hasDrugs = false;
+  const takenDrugs = [];
+  const skippedDrugs = [];
+  const stockAlerts = [];
 
-✅ สีเขียว (ปกติ)
-   มียามากกว่า 10 เม็ด
+  user.drugs.forEach((drug) => {
+    const schedule = getSlotSchedule(drug, index, slotDate);
 
-🟡 สีเหลือง (เหลือน้อย)
-   มียาเหลือ 6-10 เม็ด
-   ควรเตรียมซื้อเพิ่ม
+    if (schedule) {
+      hasDrugs = true;
+      const pills = getDosePills(drug, schedule, slotDate);
+      const unit = drugUnit(drug);
+
+      if (skipped.has(drug.name)) {
+        skippedDrugs.push({ name: drug.name, pills, unit, reason: skipped.get(drug.name) });
+        status += `⏭️ ${drug.name}: ข้าม (${skipped.get(drug.name)})\n`;
+      } else if (drug.quantity >= pills) {
+        const levelBefore = getStockLevel(drug, getUserNow(user), times);
+        const usedBatches = consumeStock(drug, pills, getUserNow(user));
+        takenDrugs.push(buildDoseDrug(drug, pills, usedBatches));
+
+        const levelAfter = getStockLevel(drug, getUserNow(user), times);
+        const drop = describeStockDrop(drug, levelBefore, levelAfter);
+        if (drop) stockAlerts.push(drop);
+
+        const icon = getStockIcon(levelAfter, "💊");
+
+        status += `${icon} ${drug.name}: กิน ${formatAmount(pills, unit)} (เหลือ ${formatAmount(drug.quantity, unit)})\n`;
+        const expiredUse = describeExpiredUse(drug, usedBatches, getUserNow(user));
+        if (expiredUse) {
+          status += `${expiredUse}\n`;
+          stockAlerts.push(expiredUse);
+        }
+      } else {
+        status += `🚫 ${drug.name}: หมดแล้ว (ต้องการ ${formatAmount(pills, unit)})!\n`;
+        stockAlerts.push(`🚫 ${drug.name}: หมดแล้ว (ต้องการ ${formatAmount(pills, unit)})`);
+      }
+    }
+  });
 
-🔴 สีแดง (ใกล้หมด!)
-   มียาเหลือเพียง 1-5 เม็ด
-   ต้องซื้อเพิ่มด่วน!
+  if (!hasDrugs) {
+    return await reply(
+      replyToken,
+      `📋 วันนี้ไม่มียาที่ต้องกินเวลา ${times[index]} น.\n\n💡 พิมพ์ "ตั้งเวลากินยา" / "ตั้งวันกินยา" เพื่อดูตาราง`
+    );
+  }
 
-🚫 หมดแล้ว
-   ไม่มียาเหลือเลย (0 เม็ด)`,
+  if (takenDrugs.length === 0 && stockAlerts.length === 0) {
+    return await reply(
+      replyToken,
+      `❓ รอบ ${times[index]} น. ไม่เหลือยาที่ต้องกินแล้วค่ะ\n\n💡 ถ้าไม่กินทั้งรอบ พิมพ์ "ข้ามยา ${index + 1}"`
+    );
+  }
 
-    เวลากินยา: `⏰ วิธีจัดการเวลากินยา
-━━━━━━━━━━━━━━━━━━━
-🔹 ดูเวลาทั้งหมด:
-เวลากินยา หรือ ดูเวลากินยา
+  await saveUser(lineUserId, user);
 
-🔹 เพิ่มเวลาใหม่:
-เพิ่มเวลากินยา [เวลา]
+  if (stockAlerts.length > 0) {
+    await notifyCaregivers(user, `⚠️ แจ้งเตือนสต็อกยา:\n${stockAlerts.join("\n")}`);
+  }
 
-📌 ตัวอย่าง:
-• เพิ่มเวลากินยา 12:00
-• เพิ่มเวลากินยา 18.30
-• เพิ่มเวลากินยา 06:00
+  const event = {
+    slot: index,
+    time: times[index],
+    takenAt: formatTime(getUserNow(user)),
+    status: isLate ? "late" : "ontime",
+    drugs: takenDrugs,
+    ...(skippedDrugs.length > 0 && { skippedDrugs }),
+    ...(isRepeat && { repeat: true }),
+    source,
+    createdAt: new Date().toISOString(),
+  };
+  events.push(event);
+  await saveDoseLog(lineUserId, dateKey, events);
+  await cancelSnooze(lineUserId, dateKey, times[index]);
+
+  if (isRepeat) {
+    await notifyCaregivers(
+      user,
+      `⚠️ ผู้ป่วยยืนยันบันทึกกินยารอบ ${times[index]} น. ซ้ำ (ครั้งก่อน ${previous.takenAt} น.)`
+    );
+  }
 
-🔹 ลบเวลา:
-ลบเวลากินยา [เลข]
+  const lateText = isLate ? " (กินช้า)" : isRepeat ? " (กินซ้ำ)" : "";
+  const dateStr = slotDate.toLocaleDateString("th-TH", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
 
-📌 ตัวอย่าง:
-ลบเวลากินยา 3
+  return await reply(
+    replyToken,
+    `✅ บันทึกการกินยาสำเร็จ!${lateText}\n━━━━━━━━━━━━━━━━━━━\n⏰ เวลากินยา: ${times[index]} น.\n📅 วันที่: ${dateStr}\n\n📊 สถานะยาหลังกิน:\n${status}\n${describeDaySlots(
+      user,
+      events,
+      slotDate
+    )}`
+  );
+}
 
-━━━━━━━━━━━━━━━━━━━
-✅ หมายเหตุ:
-• เวลาเริ่มต้น: 08:00, 20:00
-• เพิ่มได้ไม่จำกัดจำนวน
-• ใช้เครื่องหมาย : หรือ . ได้
-• ต้องมีอย่างน้อย 1 เวลา`,
+const TAKEN_STATUSES = ["ontime", "late"];
 
-    ตั้งเวลากินยา: `⏰ วิธีตั้งเวลากินยาแต่ละตัว
-━━━━━━━━━━━━━━━━━━━
-🔹 ขั้นตอน:
-1. พิมพ์ "ตั้งเวลากินยา"
-2. ดูรายการยาและเวลา
-3. พิมพ์ "ตั้งเวลากินยา [เวลา] [เลขยา] [จำนวนเม็ด]"
+// สรุปรอบที่บันทึกแล้ว/ยังไม่บันทึกของวันนั้น (เฉพาะรอบที่มียาต้องกิน)
+function describeDaySlots(user, events, slotDate) {
+  const times = user.reminderTimes || ["08:00", "20:00"];
+  const isToday = formatDateKey(slotDate) === formatDateKey(getUserNow(user));
+  const lines = [];
 
-━━━━━━━━━━━━━━━━━━━
-📝 รูปแบบคำสั่ง:
+  times.forEach((time, index) => {
+    if (!user.drugs.some((drug) => getSlotSchedule(drug, index, slotDate))) return;
+    const event = findSlotEvent(events, time);
+    lines.push(`${index + 1}. ${time} ${event ? DOSE_STATUS_LABELS[event.status] : "⬜ ยังไม่บันทึก"}`);
+  });
 
-ตั้งเวลากินยา [เวลา] [เลขยา] [จำนวนเม็ด]
+  return `📋 รอบของ${isToday ? "วันนี้" : `วันที่ ${formatShortDate(formatDateKey(slotDate))}`}:\n${lines.join("\n")}`;
+}
 
-🔹 [เวลา] = เลขเวลา (1, 2, 3...)
-   - ใช้เลขเดียว: 1
-   - ใช้หลายเวลา: 1,2
+defineFlow("confirmRepeatDose", {
+  confirm: async ({ replyToken, lineUserId, text, state }) => {
+    await clearState(lineUserId);
 
-🔹 [เลขยา] = เลขลำดับยา (1, 2, 3...)
-   - ใช้ยาเดียว: 1
-   - ใช้หลายยา: 1,2,3
+    if (text !== "ยืนยัน" && text !== "ใช่" && text.toLowerCase() !== "y") {
+      return await reply(replyToken, "👍 ไม่บันทึกซ้ำค่ะ ยาไม่ถูกหัก");
+    }
 
-🔹 [จำนวนเม็ด] = จำนวนเม็ดที่กิน
+    const user = await getUser(lineUserId);
+    if (!user) return;
 
-━━━━━━━━━━━━━━━━━━━
-📌 ตัวอย่างแบบง่าย:
+    const { index, time, dateKey, isLate, source, exclude } = state.data;
+    const times = user.reminderTimes || ["08:00", "20:00"];
+    if (times[index] !== time) {
+      return await reply(replyToken, `❌ เวลากินยาเปลี่ยนไปแล้วค่ะ\n\n💡 พิมพ์ "เวลากินยา" เพื่อดูรายการล่าสุด`);
+    }
 
-• ตั้งเวลากินยา 1 1 2
-  → เวลาที่ 1, ยาเลข 1, กิน 2 เม็ด
+    const now = getUserNow(user);
+    return await recordSlotDose(replyToken, user, index, {
+      isLate,
+      slotDate: dateKey === formatDateKey(now) ? now : parseDateKey(dateKey),
+      source,
+      confirmed: true,
+      exclude,
+    });
+  },
+});
 
-• ตั้งเวลากินยา 2 3 1
-  → เวลาที่ 2, ยาเลข 3, กิน 1 เม็ด
+// ==================== Undo Dose ====================
+// "ยกเลิกการกิน" = ยกเลิกบันทึกล่าสุด, "ยกเลิกการกิน [เลขเวลา]" = รอบนั้นของวันนี้, "ยกเลิกการกิน [ชื่อยา]" = ยาตามอาการ
+// คืนยาเข้าสต็อก และทำเครื่องหมาย undoneAt ไว้ใน event เดิม (รอบจะกลับไปเป็นสถานะก่อนหน้า)
+// บันทึกข้ามยกเลิกได้เหมือนกัน แต่ไม่มียาต้องคืน
+const UNDOABLE_STATUSES = ["ontime", "late", "prn", "skipped", "drugSkipped"];
+const SKIP_STATUSES = ["skipped", "drugSkipped"];
 
-━━━━━━━━━━━━━━━━━━━
-📌 ตัวอย่างแบบซับซ้อน:
+async function handleUndoDose(replyToken, text, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user) {
+    return await reply(replyToken, `❌ กรุณาลงทะเบียนก่อนค่ะ`);
+  }
 
-• ตั้งเวลากินยา 1,2 1 2
-  → เวลาที่ 1 และ 2, ยาเลข 1, กิน 2 เม็ด
+  const arg = text.replace("ยกเลิกการกิน", "").trim();
+  const times = user.reminderTimes || ["08:00", "20:00"];
+  const now = getUserNow(user);
+  const todayKey = formatDateKey(now);
+  const yesterdayKey = formatDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1));
+
+  const logs = { [yesterdayKey]: await getDoseLog(lineUserId, yesterdayKey) };
+  logs[todayKey] = await getDoseLog(lineUserId, todayKey);
+
+  const isUndoable = (e) => UNDOABLE_STATUSES.includes(e.status) && !e.undoneAt;
+  let candidates = [];
+  if (!arg) {
+    // บันทึกล่าสุด (รวมเมื่อวาน เผื่อกินรอบดึกหลังเที่ยงคืน)
+    candidates = Object.entries(logs).flatMap(([dateKey, events]) =>
+      events.filter(isUndoable).map((event) => ({ dateKey, event }))
+    );
+  } else if (/^\d+$/.test(arg)) {
+    const index = parseInt(arg) - 1;
+    if (index < 0 || index >= times.length) {
+      return await reply(replyToken, `❌ ไม่พบเวลาหมายเลขนี้ค่ะ\n\n💡 พิมพ์ "เวลากินยา" เพื่อดูรายการ`);
+    }
+    // สถานะของรอบ หรือการข้ามยารายตัวในรอบนั้น (เรียงตามลำดับที่บันทึก เอาอันล่าสุด)
+    const event = findSlotEvent(logs[todayKey], times[index]);
+    candidates = logs[todayKey]
+      .filter((e) => isUndoable(e) && (e === event || (e.status === "drugSkipped" && e.slotTime === times[index])))
+      .map((e) => ({ dateKey: todayKey, event: e }));
+  } else {
+    const matches = findDrugsByName(user, arg);
+    candidates = logs[todayKey]
+      .filter((e) => e.status === "prn" && isUndoable(e))
+      .filter((e) => e.drugs.some((d) => matches.some((m) => m.name === d.name)))
+      .map((event) => ({ dateKey: todayKey, event }));
+  }
 
-• ตั้งเวลากินยา 1 1,2,3 1
-  → เวลาที่ 1, ยาเลข 1,2,3, กิน 1 เม็ด
+  if (candidates.length === 0) {
+    return await reply(
+      replyToken,
+      `ℹ️ ไม่พบบันทึกการกินยา${arg ? ` "${arg}" ` : ""}ของวันนี้ที่ยกเลิกได้ค่ะ
 
-• ตั้งเวลากินยา 1,2 3,4 2
-  → เวลาที่ 1 และ 2, ยาเลข 3 และ 4, กิน 2 เม็ด
+💡 วิธีใช้:
+• ยกเลิกการกิน - ยกเลิกบันทึกล่าสุด
+• ยกเลิกการกิน [เลขเวลา] - ยกเลิกรอบนั้นของวันนี้
+• ยกเลิกการกิน [ชื่อยา] - ยกเลิกยาตามอาการ
+• ประวัติ 1 - ดูบันทึกวันนี้`
+    );
+  }
 
-━━━━━━━━━━━━━━━━━━━
-💡 กรณีใช้งานจริง:
+  candidates.sort((a, b) => new Date(a.event.createdAt) - new Date(b.event.createdAt));
+  const { dateKey, event } = candidates.pop();
+
+  const isSkip = SKIP_STATUSES.includes(event.status);
+  const restored = [];
+  if (!isSkip) {
+    event.drugs.forEach((d) => {
+      const drug = user.drugs.find((x) => x.name === d.name);
+      if (!drug) return;
+      restoreStock(drug, d.pills, d.batches);
+      restored.push(`💊 ${drug.name}: คืน ${formatAmount(d.pills, d.unit)} (เหลือ ${formatAmount(drug.quantity, d.unit)})`);
+    });
+    await saveUser(lineUserId, user);
+  }
 
-มียา 4 ตัว, เวลา 2 เวลา (08:00, 20:00)
+  event.undoneAt = formatTime(now);
+  event.undoneSource = "command";
+  await saveDoseLog(lineUserId, dateKey, logs[dateKey]);
+
+  const slotTime = event.time || event.slotTime;
+  const label = slotTime ? `รอบ ${slotTime} น.` : "ยาตามอาการ";
+  const loggedAt = event.takenAt ? ` (บันทึกเมื่อ ${event.takenAt} น.)` : "";
+  const current = slotTime ? findSlotEvent(logs[dateKey], slotTime) : null;
+  const statusLine = slotTime
+    ? `\n📋 สถานะรอบนี้: ${current ? DOSE_STATUS_LABELS[current.status] : "➖ ไม่มีบันทึก"}`
+    : "";
+
+  // เวลานั้นอาจถูกลบไปแล้ว → ไม่มีเลขเวลาให้อ้าง
+  const slotNumber = slotTime ? times.indexOf(slotTime) + 1 : 0;
+  const retryHint = (prefix) => {
+    if (!slotTime) return `💡 ${prefix}: กิน [ชื่อยา]`;
+    if (slotNumber === 0) return `💡 เวลา ${slotTime} น. ถูกลบไปแล้ว พิมพ์ "เวลากินยา" เพื่อดูรายการ`;
+    return `💡 ${prefix}: กินยา ${slotNumber}`;
+  };
 
-ต้องการ:
-- เช้า: พาราฯ 2 เม็ด, วิตามิน 1 เม็ด
-- เย็น: ยาลดความดัน 1 เม็ด
+  await notifyCaregivers(user, `↩️ ยกเลิกบันทึก${isSkip ? "การข้ามยา" : "การกินยา"}${label}${loggedAt}`);
 
-วิธีตั้ง:
-1. ตั้งเวลากินยา 1 1 2
-   (เช้า กินพาราฯ 2 เม็ด)
+  if (isSkip) {
+    return await reply(
+      replyToken,
+      `↩️ ยกเลิกบันทึกการข้ามยาแล้วค่ะ
+━━━━━━━━━━━━━━━━━━━
+⏰ ${label}
+📅 วันที่: ${formatShortDate(dateKey)}${statusLine}
 
-2. ตั้งเวลากินยา 1 3 1
-   (เช้า กินวิตามิน 1 เม็ด)
+📋 ยาที่เคยบันทึกว่าข้าม:
+${event.drugs.map((d) => `💊 ${d.name} - ${formatAmount(d.pills, d.unit)}`).join("\n") || "-"}
 
-3. ตั้งเวลากินยา 2 2 1
-   (เย็น กินยาลดความดัน 1 เม็ด)`,
+${retryHint("กินแล้ว บันทึกใหม่")}`
+    );
+  }
 
-    กินยา: `✅ วิธีบันทึกการกินยา
+  return await reply(
+    replyToken,
+    `↩️ ยกเลิกบันทึกการกินยาแล้วค่ะ
 ━━━━━━━━━━━━━━━━━━━
-มี 2 แบบ:
+⏰ ${label}${loggedAt}
+📅 วันที่: ${formatShortDate(dateKey)}${statusLine}
 
-━━━━━━━━━━━━━━━━━━━
-🟢 แบบที่ 1: กินตรงเวลา
-━━━━━━━━━━━━━━━━━━━
-ใช้เมื่อ: กินยาภายใน 30 นาที
-หลังจากเวลาที่ระบบเตือน
+📦 คืนยาเข้าสต็อก:
+${restored.join("\n") || "-"}
 
-🔹 คำสั่ง:
-กินยา [หมายเลขเวลา]
+${retryHint("กินจริงแล้ว บันทึกใหม่")}`
+  );
+}
 
-📌 ตัวอย่าง:
-• กินยา 1 = กินยาเวลาที่ 1 (08:00)
-• กินยา 2 = กินยาเวลาที่ 2 (20:00)
+// ==================== Quick Confirm ====================
+// ส่งสติกเกอร์ หรือพิมพ์ "กินแล้ว" → เลือกรอบที่ใกล้เวลาปัจจุบันที่สุดให้อัตโนมัติ
+const CONFIRM_KEYWORDS = ["กินแล้ว", "ทานแล้ว", "ok", "โอเค"];
+const CONFIRM_WINDOW_MINUTES = 180;
+const LATE_AFTER_MINUTES = 30;
 
-━━━━━━━━━━━━━━━━━━━
-🟡 แบบที่ 2: กินยาช้า
-━━━━━━━━━━━━━━━━━━━
-ใช้เมื่อ: กินยาช้าเกิน 30 นาที
+function isConfirmKeyword(text) {
+  return CONFIRM_KEYWORDS.includes(text.toLowerCase());
+}
 
-🔹 ขั้นตอน:
-1. พิมพ์ "กินยาช้า"
-2. ดูรายการเวลา
-3. พิมพ์ "กินยาช้า [เลข]"
+// หารอบที่ใกล้ที่สุดภายใน ±CONFIRM_WINDOW_MINUTES โดยเลือกรอบที่ยังไม่บันทึกก่อน
+// รอบ time ที่ใกล้ now ที่สุดอยู่วันไหน (-1 เมื่อวาน / 0 วันนี้ / 1 พรุ่งนี้) และห่างกี่นาที (บวก = เลยเวลามาแล้ว)
+// เช่น รอบ 23:00 ตอน 00:30 → { dayOffset: -1, diff: 90 }
+function getSlotDayOffset(time, now) {
+  const diff = now.getHours() * 60 + now.getMinutes() - timeToMinutes(time);
+  if (diff > 12 * 60) return { dayOffset: 1, diff: diff - 24 * 60 };
+  if (diff < -12 * 60) return { dayOffset: -1, diff: diff + 24 * 60 };
+  return { dayOffset: 0, diff };
+}
 
-📌 ตัวอย่าง:
-กินยาช้า 1
+// วันที่ของรอบ index ที่ผู้ใช้สั่งตอนนี้ เช่น "กินยา 2" ตอน 00:30 ของรอบ 23:00 = รอบของเมื่อวาน
+// คำสั่งระบุเลขเวลาไม่บันทึกล่วงหน้าไปวันพรุ่งนี้ (วันนี้คืน now เพื่อให้ยังมีเวลาอยู่)
+function resolveSlotDate(user, index, now) {
+  const times = user.reminderTimes || ["08:00", "20:00"];
+  const { dayOffset } = getSlotDayOffset(times[index], now);
+  if (dayOffset >= 0) return now;
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate() + dayOffset);
+}
 
-━━━━━━━━━━━━━━━━━━━
-✅ ผลลัพธ์:
-• ระบบบันทึกการกินยา
-• จำนวนยาลดลงตามที่กำหนด
-• แสดงสถานะยาที่เหลือ`,
+function findNearestSlot(user, now, events) {
+  const times = user.reminderTimes || ["08:00", "20:00"];
+  const candidates = [];
 
-    รีเซ็ท: `🔄 วิธีรีเซ็ทข้อมูล
-━━━━━━━━━━━━━━━━━━━
-🔹 คำสั่ง:
-รีเซ็ท หรือ รีเซ็ทข้อมูล
+  times.forEach((time, index) => {
+    const { dayOffset, diff } = getSlotDayOffset(time, now);
+    if (Math.abs(diff) > CONFIRM_WINDOW_MINUTES) return;
 
-🔹 ขั้นตอน:
-1. พิมพ์ "รีเซ็ท"
-2. ระบบจะถามยืนยัน
-3. พิมพ์ "ยืนยันรีเซ็ท"
+    const slotDate = new Date(now.getFullYear(), now.getMonth(), now.getDate() + dayOffset);
+    if (!user.drugs.some((drug) => getSlotSchedule(drug, index, slotDate))) return;
 
-━━━━━━━━━━━━━━━━━━━
-⚠️ ข้อมูลที่จะถูกลบ:
+    const dateKey = formatDateKey(slotDate);
+    const logged = isSlotDone(findSlotEvent(events[dateKey] || [], time));
 
-❌ รายการยาทั้งหมด
-❌ เวลากินยาที่ตั้งไว้
-❌ ตารางกินยา
-❌ ข้อมูลผู้ใช้ทั้งหมด
+    candidates.push({ index, time, diff, slotDate, logged });
+  });
 
-━━━━━━━━━━━━━━━━━━━
-⚠️ คำเตือนสำคัญ:
-ข้อมูลที่ลบแล้วไม่สามารถกู้คืนได้!
-กรุณาตรวจสอบให้แน่ใจก่อนยืนยัน
+  candidates.sort((a, b) => a.logged - b.logged || Math.abs(a.diff) - Math.abs(b.diff));
+  return candidates[0] || null;
+}
 
-━━━━━━━━━━━━━━━━━━━
-✅ หลังรีเซ็ท:
-ต้องลงทะเบียนใหม่อีกครั้ง
-พิมพ์: ลงทะเบียน [รหัสผู้ป่วย]`,
-  };
+async function handleQuickConfirm(replyToken, lineUserId, source) {
+  const user = await getUser(lineUserId);
+  if (!user) {
+    return await reply(replyToken, `❌ กรุณาลงทะเบียนก่อนค่ะ`);
+  }
 
-  const text =
-    helps[topic] ||
-    `❓ ไม่พบหัวข้อ "${topic}"
+  const now = getUserNow(user);
+  const events = {};
+  for (const offset of [-1, 0, 1]) {
+    const dateKey = formatDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset));
+    events[dateKey] = await getDoseLog(lineUserId, dateKey);
+  }
 
-📚 หัวข้อที่มี:
-• help ลงทะเบียน
-• help เพิ่มยา
-• help เติมยา
-• help ยกเลิกยา
-• help ดูยา
-• help เวลากินยา
-• help ตั้งเวลากินยา
-• help กินยา
-• help รีเซ็ท
-
-💡 พิมพ์ "help" เพื่อดูภาพรวมทั้งหมด`;
+  const slot = findNearestSlot(user, now, events);
 
-  return await reply(replyToken, text);
+  if (!slot) {
+    return await reply(
+      replyToken,
+      `❓ ตอนนี้ไม่มีรอบกินยาที่ใกล้เวลาค่ะ
+(ยืนยันได้ภายใน ${CONFIRM_WINDOW_MINUTES / 60} ชั่วโมงก่อน/หลังเวลาเตือน)
+
+💡 ระบุรอบเอง:
+• กินยา [เลข] - กินตรงเวลา
+• กินยาช้า [เลข] - กินช้า
+• เวลากินยา - ดูรายการเวลา`
+    );
+  }
+
+  if (slot.logged) {
+    return await reply(
+      replyToken,
+      `ℹ️ รอบ ${slot.time} น. บันทึกไปแล้วค่ะ\n\n${describeDaySlots(
+        user,
+        events[formatDateKey(slot.slotDate)],
+        slot.slotDate
+      )}\n\n💡 ถ้าเป็นรอบอื่น พิมพ์ "กินยา [เลข]"`
+    );
+  }
+
+  return await recordSlotDose(replyToken, user, slot.index, {
+    isLate: slot.diff > LATE_AFTER_MINUTES,
+    slotDate: slot.slotDate,
+    source,
+  });
 }
 
-// ==================== Register ====================
-async function handleRegister(replyToken, text, lineUserId) {
-  const odotId = text.replace("ลงทะเบียน ", "").trim();
+// ==================== Skip & Snooze ====================
+const DEFAULT_SNOOZE_MINUTES = 15;
+const MAX_SNOOZE_MINUTES = 120;
 
-  const existing = await getUser(lineUserId);
-  if (existing) {
+async function handleSkipSlot(replyToken, text, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user) {
+    return await reply(replyToken, `❌ กรุณาลงทะเบียนก่อนค่ะ`);
+  }
+
+  // "ข้ามยา 1" = ทั้งรอบ, "ข้ามยา 1 ความดัน เพราะ แพทย์สั่งงด" = เฉพาะยาตัวนั้น
+  const [slotArg, ...rest] = text.replace("ข้ามยา ", "").trim().split(/\s+/);
+  const index = parseInt(slotArg) - 1;
+  const times = user.reminderTimes || ["08:00", "20:00"];
+
+  if (isNaN(index) || index < 0 || index >= times.length) {
     return await reply(
       replyToken,
-      `❌ คุณลงทะเบียนแล้วค่ะ\n📋 รหัสผู้ป่วย: ${existing.odotId}\n\n💡 หากต้องการเริ่มใหม่:\nพิมพ์: รีเซ็ท`
+      `❌ ไม่พบเวลาหมายเลขนี้ค่ะ\n\n💡 พิมพ์ "เวลากินยา" เพื่อดูรายการ`
     );
   }
 
-  const newUser = {
-    odotId,
-    lineUserId,
-    drugs: [],
-    reminderTimes: ["08:00", "20:00"],
-    createdAt: new Date().toISOString(),
+  const slotDate = resolveSlotDate(user, index, getUserNow(user));
+  if (rest.length > 0) {
+    const { names, reason } = parseSkipReason(rest.join(" "));
+    return await startSkipDrug(replyToken, user, index, slotDate, names.join(","), reason, "command");
+  }
+
+  return await recordSlotSkip(replyToken, user, index, slotDate, "command");
+}
+
+// ==================== Skip Single Drug ====================
+const DEFAULT_SKIP_REASON = "ไม่ระบุเหตุผล";
+const SKIP_REASON_CHOICES = ["แพทย์สั่งงด", "มีอาการข้างเคียง", "ยาหมด", "ลืมพกยา"];
+
+// "ความดัน, ยาเบาหวาน ชนิดเม็ด เพราะ แพทย์สั่งงด" → { names: ["ความดัน", "ยาเบาหวาน ชนิดเม็ด"], reason: "แพทย์สั่งงด" }
+// แยกยาด้วย "," เท่านั้น เพราะชื่อยามีช่องว่างได้
+function parseSkipReason(input) {
+  const [namePart, ...reasonParts] = input.split("เพราะ");
+  return {
+    names: namePart
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean),
+    reason: reasonParts.join("เพราะ").trim() || null,
   };
+}
 
-  await saveUser(lineUserId, newUser);
+// แปลงชื่อยาเป็นยาที่ต้องกินในรอบนั้น → { drugs } หรือ { error }
+function resolveSlotDrugs(user, index, slotDate, names) {
+  const due = user.drugs.filter((drug) => getSlotSchedule(drug, index, slotDate));
+  const dueList = due.map((d) => `💊 ${d.name}`).join("\n") || "-";
+
+  if (names.length === 0) {
+    return { error: `❌ กรุณาระบุชื่อยาค่ะ\n\n📋 ยารอบนี้:\n${dueList}` };
+  }
+
+  const drugs = [];
+  for (const name of names) {
+    const matches = findDrugsByName(user, name).filter((drug) => due.includes(drug));
+    if (matches.length !== 1) {
+      const problem = matches.length === 0 ? `ไม่พบยา "${name}" ในรอบนี้` : `"${name}" ตรงกับยาหลายตัว`;
+      return { error: `❌ ${problem}ค่ะ\n\n📋 ยารอบนี้:\n${dueList}` };
+    }
+    if (!drugs.includes(matches[0])) drugs.push(matches[0]);
+  }
+  return { drugs };
+}
+
+// ข้ามยารายตัว: ถ้าไม่ระบุเหตุผลจะถามก่อน (ปุ่มในข้อความเตือนก็มาทางนี้)
+async function startSkipDrug(replyToken, user, index, slotDate, nameText, reason, source) {
+  const times = user.reminderTimes || ["08:00", "20:00"];
+  const resolved = resolveSlotDrugs(user, index, slotDate, (nameText || "").split(",").filter(Boolean));
+  if (resolved.error) return await reply(replyToken, resolved.error);
+
+  const dateKey = formatDateKey(slotDate);
+  const event = findSlotEvent(await getDoseLog(user.lineUserId, dateKey), times[index]);
+  if (isSlotDone(event)) {
+    return await reply(
+      replyToken,
+      `ℹ️ รอบ ${times[index]} น. บันทึกไปแล้วค่ะ\n\n💡 บันทึกผิด พิมพ์ "ยกเลิกการกิน ${index + 1}" แล้วบันทึกใหม่`
+    );
+  }
+
+  const names = resolved.drugs.map((d) => d.name);
+  if (reason) {
+    return await recordDrugSkip(replyToken, user, index, dateKey, names, reason, source);
+  }
 
+  await startFlow(user.lineUserId, "skipDrugReason", "reason", {
+    index,
+    time: times[index],
+    dateKey,
+    names,
+    source,
+  });
   return await reply(
     replyToken,
-    `✅ ลงทะเบียนสำเร็จ!
-━━━━━━━━━━━━━━━━━━━
-📋 รหัสผู้ป่วย: ${odotId}
-⏰ เวลาเตือน: 08:00, 20:00
+    `⏭️ ข้าม ${names.join(", ")} รอบ ${times[index]} น.\n━━━━━━━━━━━━━━━━━━━\n📝 เพราะอะไรคะ? เลือกหรือพิมพ์เหตุผล`,
+    [...SKIP_REASON_CHOICES.map((r) => ({ label: r, text: r })), { label: "ไม่ระบุ", text: DEFAULT_SKIP_REASON }]
+  );
+}
 
-💡 ขั้นตอนต่อไป:
-1. เพิ่มยา: เพิ่มยา [ชื่อ] [จำนวน]
-2. ตั้งเวลา: ตั้งเวลากินยา
+defineFlow("skipDrugReason", {
+  reason: async ({ replyToken, lineUserId, text, state }) => {
+    await clearState(lineUserId);
+
+    const user = await getUser(lineUserId);
+    if (!user) return;
+
+    const { index, time, dateKey, names, source } = state.data;
+    const times = user.reminderTimes || ["08:00", "20:00"];
+    if (times[index] !== time) {
+      return await reply(replyToken, `❌ เวลากินยาเปลี่ยนไปแล้วค่ะ\n\n💡 พิมพ์ "เวลากินยา" เพื่อดูรายการล่าสุด`);
+    }
+
+    return await recordDrugSkip(replyToken, user, index, dateKey, names, text.trim(), source);
+  },
+});
+
+// บันทึกการข้ามยารายตัว ถ้ายาทุกตัวในรอบถูกข้ามแล้ว ถือว่าข้ามทั้งรอบ (หยุดเตือนซ้ำ)
+async function recordDrugSkip(replyToken, user, index, dateKey, names, reason, source) {
+  const times = user.reminderTimes || ["08:00", "20:00"];
+  const time = times[index];
+  const slotDate = parseDateKey(dateKey);
+  const events = await getDoseLog(user.lineUserId, dateKey);
+
+  const skippedDrugs = [];
+  user.drugs.forEach((drug) => {
+    const schedule = getSlotSchedule(drug, index, slotDate);
+    if (!schedule || !names.includes(drug.name)) return;
+    skippedDrugs.push({ name: drug.name, pills: getDosePills(drug, schedule, slotDate), unit: drugUnit(drug), reason });
+  });
+
+  if (skippedDrugs.length === 0) {
+    return await reply(replyToken, `❌ รายการยาเปลี่ยนไปแล้วค่ะ\n\n💡 พิมพ์ "ดูยา" เพื่อดูรายการล่าสุด`);
+  }
+
+  events.push({
+    slot: index,
+    slotTime: time,
+    status: "drugSkipped",
+    drugs: skippedDrugs,
+    source,
+    createdAt: new Date().toISOString(),
+  });
+
+  const skipped = getSkippedDrugs(events, time);
+  const due = user.drugs.filter((drug) => getSlotSchedule(drug, index, slotDate));
+  const remaining = due.filter((drug) => !skipped.has(drug.name));
+
+  if (remaining.length === 0) {
+    events.push({
+      slot: index,
+      time,
+      status: "skipped",
+      drugs: due.map((drug) => ({
+        name: drug.name,
+        pills: getDosePills(drug, getSlotSchedule(drug, index, slotDate), slotDate),
+        unit: drugUnit(drug),
+        reason: skipped.get(drug.name),
+      })),
+      source,
+      createdAt: new Date().toISOString(),
+    });
+    await cancelSnooze(user.lineUserId, dateKey, time);
+  }
+  await saveDoseLog(user.lineUserId, dateKey, events);
 
-📚 ดูวิธีใช้:
-พิมพ์: help`
+  const skippedList = skippedDrugs.map((d) => `⏭️ ${d.name} - ${formatAmount(d.pills, d.unit)}`).join("\n");
+  const nextStep =
+    remaining.length > 0
+      ? `💊 ยังต้องกิน:\n${remaining.map((d) => `• ${d.name}`).join("\n")}\n\n✅ กินแล้ว พิมพ์ "กินยา ${index + 1}"`
+      : `📋 ข้ามยาทุกตัวในรอบนี้แล้ว จะไม่เตือนซ้ำค่ะ`;
+
+  return await reply(
+    replyToken,
+    `⏭️ บันทึกว่าข้ามยาแล้วค่ะ (รอบ ${time} น.)
+━━━━━━━━━━━━━━━━━━━
+${skippedList}
+📝 เหตุผล: ${reason}
+
+${nextStep}`
   );
 }
 
-// ==================== Add Drug ====================
-async function handleAddDrug(replyToken, text, lineUserId) {
-  const user = await getUser(lineUserId);
-  if (!user) {
-    return await reply(
-      replyToken,
-      `❌ กรุณาลงทะเบียนก่อนค่ะ\n\nพิมพ์: ลงทะเบียน [รหัสผู้ป่วย]\nตัวอย่าง: ลงทะเบียน HN12345`
-    );
-  }
-
-  const parts = text.replace("เพิ่มยา ", "").trim().split(" ");
-  if (parts.length < 2) {
-    return await reply(
-      replyToken,
-      `❌ รูปแบบไม่ถูกต้องค่ะ\n\nพิมพ์: เพิ่มยา [ชื่อยา] [จำนวน]\nตัวอย่าง: เพิ่มยา พาราเซตามอล 30\n\n💡 พิมพ์ "help เพิ่มยา" ดูรายละเอียด`
-    );
-  }
+// ข้ามทั้งรอบ: บันทึกประวัติโดยไม่หักยา และหยุดการเตือนซ้ำของรอบนั้น
+async function recordSlotSkip(replyToken, user, index, slotDate, source) {
+  const times = user.reminderTimes || ["08:00", "20:00"];
+  const drugs = [];
 
-  const quantity = parseInt(parts.pop());
-  const name = parts.join(" ");
+  user.drugs.forEach((drug) => {
+    const schedule = getSlotSchedule(drug, index, slotDate);
+    if (schedule) {
+      drugs.push({ name: drug.name, pills: getDosePills(drug, schedule, slotDate), unit: drugUnit(drug) });
+    }
+  });
 
-  if (isNaN(quantity) || quantity <= 0) {
+  if (drugs.length === 0) {
     return await reply(
       replyToken,
-      `❌ จำนวนไม่ถูกต้องค่ะ\nต้องเป็นตัวเลขมากกว่า 0`
+      `📋 วันนี้ไม่มียาที่ต้องกินเวลา ${times[index]} น.\n\n💡 พิมพ์ "ตั้งเวลากินยา" / "ตั้งวันกินยา" เพื่อดูตาราง`
     );
   }
 
-  // ค่าเริ่มต้น: กินทุกเวลา 1 เม็ด
-  const times = user.reminderTimes || ["08:00", "20:00"];
-  const defaultSchedule = {
-    times: times.map((_, idx) => idx), // [0, 1]
-    pills: 1,
-  };
-
-  user.drugs.push({
-    name,
-    quantity,
-    schedules: [defaultSchedule],
+  await logDoseEvent(user.lineUserId, formatDateKey(slotDate), {
+    slot: index,
+    time: times[index],
+    status: "skipped",
+    drugs,
+    source,
+    createdAt: new Date().toISOString(),
   });
-  await saveUser(lineUserId, user);
+  await cancelSnooze(user.lineUserId, formatDateKey(slotDate), times[index]);
 
   return await reply(
     replyToken,
-    `✅ เพิ่มยาสำเร็จ!
-━━━━━━━━━━━━━━━━━━━
-💊 ยา: ${name}
-📦 จำนวน: ${quantity} เม็ด
-⏰ ค่าเริ่มต้น: กินทุกเวลา 1 เม็ด
-
-💡 ปรับเวลา/จำนวนเม็ด:
-พิมพ์: ตั้งเวลากินยา`
+    `⏭️ บันทึกว่าข้ามยารอบ ${times[index]} น. แล้วค่ะ\n━━━━━━━━━━━━━━━━━━━\n${drugs
+      .map((d) => `💊 ${d.name} - ${formatAmount(d.pills, d.unit)}`)
+      .join("\n")}\n\n📦 ไม่หักจำนวนยาในรอบนี้`
   );
 }
 
-// ==================== Show Drugs ====================
-async function handleShowDrugs(replyToken, lineUserId) {
+// "เลื่อน [นาที]" → เลื่อนรอบที่ใกล้เวลาตอนนี้และยังไม่ได้บันทึก
+async function handleSnooze(replyToken, text, lineUserId) {
   const user = await getUser(lineUserId);
   if (!user) {
     return await reply(replyToken, `❌ กรุณาลงทะเบียนก่อนค่ะ`);
   }
 
-  if (user.drugs.length === 0) {
+  const arg = text.replace("เลื่อน", "").replace("นาที", "").trim();
+  const minutes = arg ? parseInt(arg) : DEFAULT_SNOOZE_MINUTES;
+  if (isNaN(minutes) || minutes < 1 || minutes > MAX_SNOOZE_MINUTES || (arg && String(minutes) !== arg)) {
     return await reply(
       replyToken,
-      `📋 ยังไม่มียาในระบบค่ะ\n\nเพิ่มยา: เพิ่มยา [ชื่อยา] [จำนวน]\nตัวอย่าง: เพิ่มยา พาราเซตามอล 30`
+      `❌ จำนวนนาทีไม่ถูกต้องค่ะ\n\nใช้เลข 1 ถึง ${MAX_SNOOZE_MINUTES}\nตัวอย่าง: เลื่อน 30`
     );
   }
 
-  let list = `📋 รายการยาของคุณ:\n━━━━━━━━━━━━━━━━━━━\n`;
-
-  user.drugs.forEach((drug, i) => {
-    let icon = "✅";
-    let note = "";
-
-    // คำนวณจาก schedule ว่าต้องใช้ต่อวันเท่าไหร่
-    const dailyUse = drug.schedules.reduce((sum, s) => sum + (s.pills || 1), 0);
+  const now = getUserNow(user);
+  const events = {};
+  for (const offset of [-1, 0, 1]) {
+    const dateKey = formatDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset));
+    events[dateKey] = await getDoseLog(lineUserId, dateKey);
+  }
 
-    if (drug.quantity <= 0) {
-      icon = "🚫";
-      note = " → หมดแล้ว!";
-    } else if (drug.quantity <= dailyUse * 5) {
-      icon = "🔴";
-      note = " → ใกล้หมด!";
-    } else if (drug.quantity <= dailyUse * 10) {
-      icon = "🟡";
-      note = " → เหลือน้อย";
-    }
+  const slot = findNearestSlot(user, now, events);
+  if (!slot || slot.logged || slot.diff < 0) {
+    return await reply(
+      replyToken,
+      `❓ ตอนนี้ไม่มีรอบกินยาที่รอบันทึกค่ะ\n\n💡 เลื่อนได้หลังจากได้รับข้อความเตือนแล้ว`
+    );
+  }
 
-    list += `\n${i + 1}. ${icon} ${drug.name}\n   📦 ${drug.quantity} เม็ด${note}\n`;
-  });
+  return await snoozeReminder(replyToken, user, slot.index, minutes, formatDateKey(slot.slotDate));
+}
 
-  list += `\n━━━━━━━━━━━━━━━━━━━\n💡 คำสั่งที่เกี่ยวข้อง:\n• เติมยา - เติมจำนวนยา\n• ตั้งเวลากินยา - ดูตารางกินยา\n• ยกเลิกยา - ลบยา`;
+// เลื่อนเตือนเก็บใน store (ไม่ใช้ setTimeout) เพื่อให้รอดการ restart และตามส่งได้เหมือนเตือนปกติ:
+// snooze:{นาที UTC} = set ของ "lineUserId|dateKey|time", snoozeOf:{lineUserId}:{dateKey}:{time} = นาที UTC ที่จะเตือน
+// ทั้งสองอย่างหมดอายุเอง (DELIVERY_TTL_SECONDS) ถ้านาทีนั้นไม่ถูกประมวลผล
 
-  return await reply(replyToken, list);
+function snoozeKey(lineUserId, dateKey, time) {
+  return `snoozeOf:${lineUserId}:${dateKey}:${time}`;
 }
 
-// ==================== Refill Drug ====================
-async function handleRefillStart(replyToken, lineUserId) {
-  const user = await getUser(lineUserId);
-  if (!user || user.drugs.length === 0) {
-    return await reply(replyToken, `❌ ยังไม่มียาในระบบค่ะ`);
+async function getSnoozeDue(lineUserId, dateKey, time) {
+  try {
+    return Number(await store.get(snoozeKey(lineUserId, dateKey, time))) || null;
+  } catch (error) {
+    console.error("❌ Redis Get Snooze Error:", error.message);
+    return null;
   }
+}
 
-  let list = `📦 เลือกยาที่ต้องการเติม:\n━━━━━━━━━━━━━━━━━━━\n`;
-
-  user.drugs.forEach((drug, i) => {
-    let icon = "";
-    const dailyUse = drug.schedules.reduce((sum, s) => sum + (s.pills || 1), 0);
-
-    if (drug.quantity <= 0) icon = " 🚫";
-    else if (drug.quantity <= dailyUse * 5) icon = " 🔴";
-    else if (drug.quantity <= dailyUse * 10) icon = " 🟡";
+async function scheduleSnooze(lineUserId, dateKey, time, minutes) {
+  const now = Date.now();
+  const due = now - (now % (60 * 1000)) + minutes * 60 * 1000;
+  await setSnoozeDue(lineUserId, dateKey, time, due);
+  return due;
+}
 
-    list += `${i + 1}. ${drug.name} (${drug.quantity} เม็ด)${icon}\n`;
-  });
+// เลื่อนซ้ำได้ (แทนที่ของเดิม)
+async function setSnoozeDue(lineUserId, dateKey, time, due) {
+  await cancelSnooze(lineUserId, dateKey, time);
 
-  list += `\n━━━━━━━━━━━━━━━━━━━\n📝 พิมพ์: เติมยา [เลข] [จำนวน]\nตัวอย่าง: เติมยา 1 30`;
+  await store.sadd(`snooze:${due}`, `${lineUserId}|${dateKey}|${time}`);
+  await store.expire(`snooze:${due}`, DELIVERY_TTL_SECONDS);
+  await store.set(snoozeKey(lineUserId, dateKey, time), String(due), { ex: DELIVERY_TTL_SECONDS });
+}
 
-  return await reply(replyToken, list);
+// เรียกเมื่อบันทึกรอบแล้ว (กิน/ข้าม) เพื่อไม่ให้เตือนที่เลื่อนไว้ดังอีก
+async function cancelSnooze(lineUserId, dateKey, time) {
+  try {
+    const due = await getSnoozeDue(lineUserId, dateKey, time);
+    if (!due) return;
+    await store.srem(`snooze:${due}`, `${lineUserId}|${dateKey}|${time}`);
+    await store.del(snoozeKey(lineUserId, dateKey, time));
+  } catch (error) {
+    console.error("❌ Redis Cancel Snooze Error:", error.message);
+  }
 }
 
-async function handleRefill(replyToken, text, lineUserId) {
-  const user = await getUser(lineUserId);
-  if (!user) return;
+async function processDueSnoozes(instant, options = {}) {
+  const members = await takeDueMembers(`snooze:${instant}`);
 
-  const parts = text.replace("เติมยา ", "").trim().split(" ");
-  if (parts.length < 2) {
-    return await reply(
-      replyToken,
-      `❌ รูปแบบไม่ถูกต้องค่ะ\n\nพิมพ์: เติมยา [เลข] [จำนวน]\n\n💡 พิมพ์ "เติมยา" เพื่อดูรายการก่อน`
-    );
-  }
+  for (const member of members) {
+    const [lineUserId, dateKey, time] = member.split("|");
+    try {
+      if ((await getSnoozeDue(lineUserId, dateKey, time)) !== instant) continue;
+      await store.del(snoozeKey(lineUserId, dateKey, time));
+      if (!(await claimDelivery("snooze", lineUserId, dateKey, `${time}@${instant}`))) continue;
 
-  const index = parseInt(parts[0]) - 1;
-  const qty = parseInt(parts[1]);
+      const user = await getUser(lineUserId);
+      if (!user) continue;
+      const index = (user.reminderTimes || ["08:00", "20:00"]).indexOf(time);
+      if (index === -1) continue;
 
-  if (isNaN(index) || isNaN(qty) || qty <= 0) {
-    return await reply(replyToken, `❌ ตัวเลขไม่ถูกต้องค่ะ`);
+      const event = findSlotEvent(await getDoseLog(lineUserId, dateKey), time);
+      if (isSlotDone(event)) continue;
+
+      await sendDrugReminder(user, time, index + 1, index, { dateKey, snoozed: true, delayed: options.delayed });
+    } catch (error) {
+      console.error("❌ Snooze Error:", error.message);
+    }
   }
+}
 
-  if (index < 0 || index >= user.drugs.length) {
-    return await reply(
-      replyToken,
-      `❌ ไม่พบยาหมายเลขนี้ค่ะ\n\n💡 พิมพ์ "เติมยา" เพื่อดูรายการ`
-    );
+// เตือนซ้ำอีกครั้งหลัง minutes นาที ถ้ารอบนั้นยังไม่ได้บันทึก
+async function snoozeReminder(replyToken, user, index, minutes, dateKey) {
+  const times = user.reminderTimes || ["08:00", "20:00"];
+  const time = times[index];
+
+  if (isSlotDone(findSlotEvent(await getDoseLog(user.lineUserId, dateKey), time))) {
+    return await reply(replyToken, `ℹ️ รอบ ${time} น. บันทึกไปแล้วค่ะ ไม่ต้องเลื่อน`);
   }
 
-  user.drugs[index].quantity += qty;
-  await saveUser(lineUserId, user);
+  await scheduleSnooze(user.lineUserId, dateKey, time, minutes);
 
+  const at = formatTime(new Date(getUserNow(user).getTime() + minutes * 60 * 1000));
   return await reply(
     replyToken,
-    `✅ เติมยาสำเร็จ!
-━━━━━━━━━━━━━━━━━━━
-💊 ยา: ${user.drugs[index].name}
-📦 เติมเพิ่ม: +${qty} เม็ด
-📊 รวมทั้งหมด: ${user.drugs[index].quantity} เม็ด`
+    `⏰ รับทราบค่ะ จะเตือนยารอบ ${time} น. อีกครั้งเวลา ${at} น.\n\n💡 ถ้าบันทึกกินยาก่อนถึงเวลา ระบบจะยกเลิกการเตือนนี้ให้เอง`
   );
 }
 
-// ==================== Cancel Drug ====================
-async function handleCancelStart(replyToken, lineUserId) {
+// ==================== As-needed (PRN) ====================
+// drug.prn = { pills, minIntervalHours, maxPerDay } ยาตามอาการไม่เตือนตามเวลา
+// schedules เดิมเก็บไว้ (พักไว้) และกลับมาใช้เมื่อ "ตั้งเวลากินยา" ยานั้นอีกครั้ง
+// บันทึกใน dose log เป็น { status: "prn", takenAt, drugs } ไม่มี time จึงไม่ปนกับรอบเวลา
+const PRN_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+function formatPrnRule(drug) {
+  const prn = drug.prn;
+  return `ครั้งละ ${formatAmount(prn.pills, drugUnit(drug))}, ห่างกันอย่างน้อย ${prn.minIntervalHours} ชม., ไม่เกิน ${prn.maxPerDay} ครั้ง/24 ชม.`;
+}
+
+// มื้อยาตามอาการของยานี้ใน 24 ชม.ที่ผ่านมา (ใหม่สุดก่อน)
+async function getRecentPrnDoses(user, drugName) {
+  const now = getUserNow(user);
+  const doses = [];
+  for (const offset of [-1, 0]) {
+    const dateKey = formatDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset));
+    (await getDoseLog(user.lineUserId, dateKey)).forEach((event) => {
+      if (event.status !== "prn" || event.undoneAt || !event.drugs.some((d) => d.name === drugName)) return;
+      if (Date.now() - new Date(event.createdAt).getTime() < PRN_LOOKBACK_MS) doses.push(event);
+    });
+  }
+  return doses.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+// เหตุผลที่ยังไม่ควรกิน (null = กินได้)
+function checkPrnLimits(user, drug, doses) {
+  const prn = drug.prn;
+  if (doses.length >= prn.maxPerDay) {
+    return `กินครบ ${prn.maxPerDay} ครั้งใน 24 ชม. แล้ว`;
+  }
+  if (doses.length > 0) {
+    const nextAt = new Date(doses[0].createdAt).getTime() + prn.minIntervalHours * 60 * 60 * 1000;
+    if (Date.now() < nextAt) {
+      const localNext = getLocalNow(getUserTimezone(user), new Date(nextAt));
+      return `เพิ่งกินไปเมื่อ ${doses[0].takenAt} น. ต้องห่างกัน ${prn.minIntervalHours} ชม. (กินได้อีกหลัง ${formatTime(localNext)} น.)`;
+    }
+  }
+  return null;
+}
+
+async function handleSetPrnStart(replyToken, lineUserId) {
   const user = await getUser(lineUserId);
   if (!user || user.drugs.length === 0) {
-    return await reply(replyToken, `❌ ยังไม่มียาในระบบค่ะ`);
+    return await reply(
+      replyToken,
+      `❌ ยังไม่มียาในระบบค่ะ\n\n💡 เพิ่มยาก่อน:\nเพิ่มยา [ชื่อ] [จำนวน]`
+    );
   }
 
-  let list = `🗑️ เลือกยาที่ต้องการลบ:\n━━━━━━━━━━━━━━━━━━━\n`;
+  let msg = `🩹 ตั้งยาตามอาการ (กินเมื่อมีอาการ)\n━━━━━━━━━━━━━━━━━━━\n`;
   user.drugs.forEach((drug, i) => {
-    list += `${i + 1}. ${drug.name} (${drug.quantity} เม็ด)\n`;
+    msg += `\n${i + 1}. ${drug.name}\n`;
+    msg += drug.prn ? `   🩹 ${formatPrnRule(drug)}\n` : `   ⏰ กินตามเวลา\n`;
   });
-  list += `\n━━━━━━━━━━━━━━━━━━━\n📝 พิมพ์: ยกเลิกยา [เลข]\nตัวอย่าง: ยกเลิกยา 1\n\n⚠️ ลบแล้วไม่สามารถกู้คืนได้`;
 
-  return await reply(replyToken, list);
+  msg += `\n━━━━━━━━━━━━━━━━━━━\n📝 พิมพ์: ตั้งยาตามอาการ [เลขยา] [ครั้งละ] [ห่างกี่ชม.] [สูงสุดกี่ครั้ง/วัน]\n\n`;
+  msg += `📌 ตัวอย่าง:\n• ตั้งยาตามอาการ 1 2 4 4\n  → ครั้งละ 2 เม็ด ห่างกัน 4 ชม. ไม่เกิน 4 ครั้ง/วัน\n\n`;
+  msg += `💊 เวลากิน พิมพ์: กิน [ชื่อยา]\n`;
+  msg += `💡 กลับเป็นยากินตามเวลา: ตั้งเวลากินยา`;
+
+  return await reply(replyToken, msg);
 }
 
-async function handleCancel(replyToken, text, lineUserId) {
+async function handleSetPrn(replyToken, text, lineUserId) {
   const user = await getUser(lineUserId);
-  if (!user) return;
-
-  const index = parseInt(text.replace("ยกเลิกยา ", "").trim()) - 1;
+  if (!user) {
+    return await reply(replyToken, `❌ กรุณาลงทะเบียนก่อนค่ะ`);
+  }
 
-  if (isNaN(index) || index < 0 || index >= user.drugs.length) {
+  // [ยา] [ครั้งละ] [ห่างกี่ชม.] [สูงสุด]: อ่านตัวเลข 3 ตัวจากท้าย ที่เหลือคือชื่อยา
+  const tokens = text.replace("ตั้งยาตามอาการ ", "").trim().split(/\s+/);
+  const numbers = tokens.slice(-3);
+  const [pills, minIntervalHours, maxPerDay] = numbers.map(parseAmount);
+  const drugInput = tokens.slice(0, -3).join(" ");
+
+  if (
+    tokens.length < 4 ||
+    !(pills > 0) ||
+    !(minIntervalHours >= 0) ||
+    !Number.isInteger(maxPerDay) ||
+    maxPerDay <= 0
+  ) {
     return await reply(
       replyToken,
-      `❌ ไม่พบยาหมายเลขนี้ค่ะ\n\n💡 พิมพ์ "ยกเลิกยา" เพื่อดูรายการ`
+      `❌ รูปแบบไม่ถูกต้องค่ะ\n\nพิมพ์: ตั้งยาตามอาการ [เลขยา] [ครั้งละ] [ห่างกี่ชม.] [สูงสุดกี่ครั้ง/วัน]\nตัวอย่าง: ตั้งยาตามอาการ 1 2 4 4\n\n💡 พิมพ์ "ตั้งยาตามอาการ" ดูรายการยา`
     );
   }
 
-  const drug = user.drugs[index];
+  const found = resolveDrug(user, drugInput, (number) => `ตั้งยาตามอาการ ${number} ${numbers.join(" ")}`);
+  if (found.error) return await reply(replyToken, found.error.text, found.error.quickReplyItems);
+  const drug = found.drug;
 
-  userStates[lineUserId] = {
-    action: "confirmCancel",
-    drugIndex: index,
-  };
+  drug.prn = { pills, minIntervalHours, maxPerDay };
+  await saveUser(lineUserId, user);
 
+  const paused = (drug.schedules || []).length > 0 ? `\n💡 ตารางเวลาเดิมเก็บไว้ กลับมาใช้ได้ด้วย "ตั้งเวลากินยา"` : "";
   return await reply(
     replyToken,
-    `⚠️ ยืนยันการลบยา\n━━━━━━━━━━━━━━━━━━━\n💊 ยา: ${drug.name}\n📦 คงเหลือ: ${drug.quantity} เม็ด\n\n❓ ต้องการลบยานี้หรือไม่?\n\n✅ พิมพ์ "ยืนยัน" หรือ "ใช่" เพื่อลบ\n❌ พิมพ์อย่างอื่นเพื่อยกเลิก`
+    `✅ ตั้ง ${drug.name} เป็นยาตามอาการแล้วค่ะ
+━━━━━━━━━━━━━━━━━━━
+🩹 ${formatPrnRule(drug)}
+⏰ ไม่เตือนตามเวลาแล้ว${paused}
+
+💊 เวลากิน พิมพ์: กิน ${drug.name}`
   );
 }
 
-// ==================== Reminder Times ====================
-async function handleShowTimes(replyToken, lineUserId) {
+async function handleTakePrn(replyToken, text, lineUserId) {
   const user = await getUser(lineUserId);
   if (!user) {
     return await reply(replyToken, `❌ กรุณาลงทะเบียนก่อนค่ะ`);
   }
 
-  const times = user.reminderTimes || ["08:00", "20:00"];
-
-  let list = `⏰ เวลากินยาของคุณ:\n━━━━━━━━━━━━━━━━━━━\n`;
-  times.forEach((t, i) => {
-    list += `${i + 1}. 🕐 ${t} น.\n`;
-  });
-  list += `\n━━━━━━━━━━━━━━━━━━━\n💡 คำสั่งที่เกี่ยวข้อง:\n• เพิ่มเวลากินยา [เวลา]\n• ลบเวลากินยา [เลข]\n• ตั้งเวลากินยา - ตั้งว่ายาไหนกินเวลาไหน`;
-
-  return await reply(replyToken, list);
-}
-
-async function handleAddTime(replyToken, text, lineUserId) {
-  const user = await getUser(lineUserId);
-  if (!user) return;
-
-  let time = text.replace("เพิ่มเวลากินยา ", "").trim().replace(".", ":");
+  const found = resolveDrug(user, text.replace("กิน ", ""), (number, drug) => `กิน ${drug.name}`);
+  if (found.error) return await reply(replyToken, found.error.text, found.error.quickReplyItems);
 
-  const parts = time.split(":");
-  if (parts.length === 2) {
-    time = `${parts[0].padStart(2, "0")}:${parts[1].padStart(2, "0")}`;
+  const drug = found.drug;
+  if (!drug.prn) {
+    return await reply(
+      replyToken,
+      `ℹ️ ${drug.name} เป็นยากินตามเวลาค่ะ\n\n💡 บันทึกตามรอบ: กินยา [เลขเวลา]\n💡 ตั้งเป็นยาตามอาการ: ตั้งยาตามอาการ`
+    );
   }
-
-  const regex = /^([01]?[0-9]|2[0-3]):([0-5][0-9])$/;
-  if (!regex.test(time)) {
+  if (drug.quantity < drug.prn.pills) {
     return await reply(
       replyToken,
-      `❌ รูปแบบเวลาไม่ถูกต้องค่ะ\n\nตัวอย่างที่ถูกต้อง:\n• เพิ่มเวลากินยา 12:00\n• เพิ่มเวลากินยา 18.30`
+      `🚫 ${drug.name} เหลือ ${formatAmount(drug.quantity, drugUnit(drug))} ไม่พอกิน ${formatAmount(
+        drug.prn.pills,
+        drugUnit(drug)
+      )} ค่ะ\n\n💡 เติมยา: เติมยา`
     );
   }
 
-  if (!user.reminderTimes) user.reminderTimes = ["08:00", "20:00"];
+  const doses = await getRecentPrnDoses(user, drug.name);
+  const reason = checkPrnLimits(user, drug, doses);
 
-  if (user.reminderTimes.includes(time)) {
+  if (reason) {
+    await startFlow(lineUserId, "confirmPrnDose", "confirm", { drugName: drug.name });
     return await reply(
       replyToken,
-      `❌ มีเวลา ${time} อยู่แล้วค่ะ\n\n💡 พิมพ์ "เวลากินยา" เพื่อดูเวลาทั้งหมด`
+      `⛔ ยังไม่ควรกิน ${drug.name} ตอนนี้ค่ะ
+━━━━━━━━━━━━━━━━━━━
+⚠️ ${reason}
+🩹 ${formatPrnRule(drug)}
+
+💡 หากแพทย์แนะนำให้กินได้ พิมพ์ "ยืนยัน" เพื่อบันทึก
+(ระบบจะแจ้งผู้ดูแลด้วย)`,
+      [
+        { label: "ยืนยันกิน", text: "ยืนยัน" },
+        { label: "ไม่กิน", text: "ยกเลิก" },
+      ]
     );
   }
 
-  user.reminderTimes.push(time);
-  user.reminderTimes.sort();
-  await saveUser(lineUserId, user);
+  return await recordPrnDose(replyToken, user, drug, doses.length, false);
+}
 
-  const timeList = user.reminderTimes
-    .map((t, i) => `${i + 1}. ${t}`)
-    .join("\n");
+async function recordPrnDose(replyToken, user, drug, dosesBefore, overLimit) {
+  const now = getUserNow(user);
+  const pills = drug.prn.pills;
+  const unit = drugUnit(drug);
+  const levelBefore = getStockLevel(drug, now, user.reminderTimes);
+  const usedBatches = consumeStock(drug, pills, now);
+  await saveUser(user.lineUserId, user);
+
+  await logDoseEvent(user.lineUserId, formatDateKey(now), {
+    status: "prn",
+    takenAt: formatTime(now),
+    drugs: [buildDoseDrug(drug, pills, usedBatches)],
+    ...(overLimit && { overLimit: true }),
+    source: "command",
+    createdAt: new Date().toISOString(),
+  });
 
+  const levelAfter = getStockLevel(drug, now, user.reminderTimes);
+  const drop = describeStockDrop(drug, levelBefore, levelAfter);
+  const expiredUse = describeExpiredUse(drug, usedBatches, now);
+  const alerts = [drop, expiredUse].filter(Boolean);
+  if (overLimit) {
+    alerts.push(`⛔ กิน ${drug.name} เกินเงื่อนไขยาตามอาการ (${formatPrnRule(drug)})`);
+  }
+  if (alerts.length > 0) {
+    await notifyCaregivers(user, `⚠️ แจ้งเตือนยาตามอาการ:\n${alerts.join("\n")}`);
+  }
+
+  const count = dosesBefore + 1;
   return await reply(
     replyToken,
-    `✅ เพิ่มเวลาสำเร็จ!
+    `✅ บันทึกการกินยาตามอาการแล้วค่ะ${overLimit ? " (เกินเงื่อนไข)" : ""}
 ━━━━━━━━━━━━━━━━━━━
-⏰ เวลาใหม่: ${time} น.
-
-📋 เวลากินยาทั้งหมด:
-${timeList}
-
-💡 ตั้งว่ายาไหนกินเวลาไหน:
-พิมพ์: ตั้งเวลากินยา`
+💊 ${drug.name}: กิน ${formatAmount(pills, unit)} (เหลือ ${formatAmount(drug.quantity, unit)})${
+      expiredUse ? `\n${expiredUse}` : ""
+    }
+🕐 เวลา: ${formatTime(now)} น.
+📊 ใน 24 ชม.: ${count}/${drug.prn.maxPerDay} ครั้ง
+⏳ กินได้อีกครั้งหลัง ${formatTime(
+      new Date(now.getTime() + drug.prn.minIntervalHours * 60 * 60 * 1000)
+    )} น.`
   );
 }
 
-async function handleRemoveTime(replyToken, text, lineUserId) {
-  const user = await getUser(lineUserId);
-  if (!user) return;
+defineFlow("confirmPrnDose", {
+  confirm: async ({ replyToken, lineUserId, text, state }) => {
+    await clearState(lineUserId);
 
-  const index = parseInt(text.replace("ลบเวลากินยา ", "").trim()) - 1;
-  const times = user.reminderTimes || ["08:00", "20:00"];
+    if (text !== "ยืนยัน" && text !== "ใช่" && text.toLowerCase() !== "y") {
+      return await reply(replyToken, "👍 ไม่บันทึกค่ะ รอให้ครบเวลาก่อนนะคะ");
+    }
 
-  if (isNaN(index) || index < 0 || index >= times.length) {
-    return await reply(
-      replyToken,
-      `❌ ไม่พบเวลาหมายเลขนี้ค่ะ\n\n💡 พิมพ์ "เวลากินยา" เพื่อดูเวลาทั้งหมด`
-    );
-  }
+    const user = await getUser(lineUserId);
+    const drug = user && user.drugs.find((d) => d.name === state.data.drugName);
+    if (!drug || !drug.prn) {
+      return await reply(replyToken, `❌ ไม่พบยาตามอาการนี้แล้วค่ะ\n\n💡 พิมพ์ "ดูยา" เพื่อดูรายการล่าสุด`);
+    }
+    if (drug.quantity < drug.prn.pills) {
+      return await reply(replyToken, `🚫 ${drug.name} เหลือไม่พอแล้วค่ะ\n\n💡 เติมยา: เติมยา`);
+    }
 
-  if (times.length <= 1) {
-    return await reply(
-      replyToken,
-      `❌ ไม่สามารถลบได้ค่ะ\n\nต้องมีเวลากินยาอย่างน้อย 1 เวลา`
-    );
-  }
+    const doses = await getRecentPrnDoses(user, drug.name);
+    return await recordPrnDose(replyToken, user, drug, doses.length, true);
+  },
+});
 
-  const removed = times[index];
-  user.reminderTimes.splice(index, 1);
+// ==================== History ====================
+const DOSE_STATUS_LABELS = {
+  pending: "⏳ รอบันทึก",
+  ontime: "✅ กินตรงเวลา",
+  late: "🟡 กินช้า",
+  skipped: "⏭️ ข้าม",
+  missed: "❌ ไม่ได้กิน",
+  prn: "🩹 ตามอาการ",
+};
+
+// รายการยาใต้แต่ละรอบในประวัติ แยก กิน / ข้าม (พร้อมเหตุผล) / ไม่ได้กิน
+function describeSlotDrugs(events, event) {
+  const list = (drugs) => drugs.map((d) => `${d.name} ${formatAmount(d.pills, d.unit)}`).join(", ");
+  let text = "";
+
+  if (TAKEN_STATUSES.includes(event.status) && event.drugs.length > 0) {
+    text += `      💊 กิน: ${list(event.drugs)}\n`;
+  }
+  if (event.status === "missed" && event.drugs.length > 0) {
+    text += `      ❌ ไม่ได้กิน: ${list(event.drugs)}\n`;
+  }
 
-  // อัปเดต schedules ของยาทั้งหมด
-  user.drugs.forEach((drug) => {
-    drug.schedules = drug.schedules.map((s) => {
-      s.times = s.times.filter((t) => t !== index).map((t) => (t > index ? t - 1 : t));
-      return s;
-    }).filter((s) => s.times.length > 0);
+  const skipped = getSkippedDrugs(events, event.time);
+  const skippedDrugs = event.status === "skipped" ? event.drugs : event.skippedDrugs || [];
+  skippedDrugs.forEach((d) => skipped.set(d.name, d.reason || skipped.get(d.name)));
+  skipped.forEach((reason, name) => {
+    text += `      ⏭️ ข้าม: ${name}${reason ? ` (${reason})` : ""}\n`;
   });
-
-  await saveUser(lineUserId, user);
-
-  const timeList = user.reminderTimes
-    .map((t, i) => `${i + 1}. ${t}`)
-    .join("\n");
-
-  return await reply(
-    replyToken,
-    `✅ ลบเวลา ${removed} แล้วค่ะ\n━━━━━━━━━━━━━━━━━━━\n📋 เวลาที่เหลือ:\n${timeList}`
-  );
+  return text;
 }
 
-// ==================== Set Drug Schedule ====================
-async function handleSetScheduleStart(replyToken, lineUserId) {
+async function handleHistory(replyToken, dayText, lineUserId) {
   const user = await getUser(lineUserId);
-  if (!user || user.drugs.length === 0) {
+  if (!user) {
+    return await reply(replyToken, `❌ กรุณาลงทะเบียนก่อนค่ะ`);
+  }
+
+  const days = dayText.trim() ? parseInt(dayText.trim()) : 7;
+  if (isNaN(days) || days <= 0 || days > MAX_HISTORY_VIEW_DAYS) {
     return await reply(
       replyToken,
-      `❌ ยังไม่มียาในระบบค่ะ\n\n💡 เพิ่มยาก่อน:\nเพิ่มยา [ชื่อ] [จำนวน]`
+      `❌ จำนวนวันไม่ถูกต้องค่ะ\n\nใช้เลข 1 ถึง ${MAX_HISTORY_VIEW_DAYS}\nตัวอย่าง: ประวัติ 7`
     );
   }
 
   const times = user.reminderTimes || ["08:00", "20:00"];
+  const today = getUserNow(user);
 
-  let msg = `⏰ ตั้งเวลากินยา\n━━━━━━━━━━━━━━━━━━━\n\n📋 เวลาทั้งหมด:\n`;
-  times.forEach((t, i) => {
-    msg += `${i + 1}. 🕐 ${t} น.\n`;
-  });
+  const dayBlocks = [];
 
-  msg += `\n━━━━━━━━━━━━━━━━━━━\n💊 รายการยาและตารางกิน:\n`;
+  for (let i = 0; i < days; i++) {
+    const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - i);
+    const events = await getDoseLog(lineUserId, formatDateKey(day));
+    const dayLabel = day.toLocaleDateString("th-TH", {
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+    });
 
-  user.drugs.forEach((drug, i) => {
-    msg += `\n${i + 1}. ${drug.name} (${drug.quantity} เม็ด)\n`;
+    let msg = `\n📅 ${dayLabel}\n`;
 
-    if (!drug.schedules || drug.schedules.length === 0) {
-      msg += `   ⏰ ยังไม่ได้ตั้งเวลา\n`;
-    } else {
-      drug.schedules.forEach((s) => {
-        const timeLabels = s.times.map((t) => t + 1).join(",");
-        msg += `   ⏰ เวลา ${timeLabels} - กิน ${s.pills} เม็ด\n`;
+    // รอบที่ยังไม่มีสถานะ แต่มียาที่ถูกข้ามรายตัวไว้แล้ว
+    const skippedTimes = events.filter((e) => e.status === "drugSkipped" && !e.undoneAt).map((e) => e.slotTime);
+
+    // แสดงตามเวลาปัจจุบัน + เวลาเก่าที่ถูกลบไปแล้วแต่ยังมีบันทึก
+    const loggedTimes = events.filter((e) => e.time).map((e) => e.time);
+    const slotTimes = [...new Set([...times, ...loggedTimes])].sort();
+    slotTimes.forEach((time) => {
+      const event = findSlotEvent(events, time);
+      if (!event) {
+        msg += `   🕐 ${time} ➖ ไม่มีบันทึก\n`;
+        if (skippedTimes.includes(time)) msg += describeSlotDrugs(events, { time, drugs: [] });
+        return;
+      }
+      const takenAt = event.takenAt ? ` (${event.takenAt} น.)` : "";
+      const repeat = event.repeat ? " ⚠️ กินซ้ำ" : "";
+      msg += `   🕐 ${time} ${DOSE_STATUS_LABELS[event.status]}${takenAt}${repeat}\n`;
+      msg += describeSlotDrugs(events, event);
+    });
+
+    events
+      .filter((e) => e.status === "prn" && !e.undoneAt)
+      .forEach((e) => {
+        const pills = e.drugs.map((d) => `${d.name} ${formatAmount(d.pills, d.unit)}`).join(", ");
+        msg += `   ${DOSE_STATUS_LABELS.prn} ${e.takenAt} น. ${pills}${e.overLimit ? " ⛔" : ""}\n`;
       });
-    }
-  });
 
-  msg += `\n━━━━━━━━━━━━━━━━━━━\n📝 วิธีตั้งเวลา:\n\n`;
-  msg += `ตั้งเวลากินยา [เวลา] [เลขยา] [จำนวนเม็ด]\n\n`;
-  msg += `━━━━━━━━━━━━━━━━━━━\n📌 ตัวอย่าง:\n\n`;
-  msg += `• ตั้งเวลากินยา 1 1 2\n`;
-  msg += `  → เวลาที่ 1, ยาเลข 1, กิน 2 เม็ด\n\n`;
-  msg += `• ตั้งเวลากินยา 1,2 3 1\n`;
-  msg += `  → เวลาที่ 1 และ 2, ยาเลข 3, กิน 1 เม็ด\n\n`;
-  msg += `• ตั้งเวลากินยา 1 1,2,3 1\n`;
-  msg += `  → เวลาที่ 1, ยาเลข 1,2,3, กิน 1 เม็ด\n\n`;
-  msg += `━━━━━━━━━━━━━━━━━━━\n💡 พิมพ์ "help ตั้งเวลากินยา" ดูรายละเอียดเพิ่ม`;
+    events
+      .filter((e) => e.undoneAt)
+      .forEach((e) => {
+        const slotTime = e.time || e.slotTime;
+        const label = slotTime ? `🕐 ${slotTime}` : DOSE_STATUS_LABELS.prn;
+        const what = SKIP_STATUSES.includes(e.status) ? "การข้าม" : "";
+        const loggedAt = e.takenAt ? `บันทึก ${e.takenAt} น. → ` : "";
+        msg += `   ↩️ ยกเลิก${what} ${label} (${loggedAt}ยกเลิก ${e.undoneAt} น.)\n`;
+      });
+
+    dayBlocks.push(msg);
+  }
+
+  // ยาวเกินที่ตอบได้ในครั้งเดียว → ตัดวันเก่าสุดออกทีละวัน
+  let shownDays = days;
+  let chunks;
+  for (;;) {
+    const header = `📖 ประวัติการกินยา ${shownDays} วันล่าสุด\n━━━━━━━━━━━━━━━━━━━\n`;
+    const footer =
+      shownDays < days
+        ? `\n━━━━━━━━━━━━━━━━━━━\n⚠️ ข้อมูลยาวเกินไป แสดงได้ ${shownDays} จาก ${days} วันค่ะ\n💡 ดูช่วงที่สั้นลง เช่น ประวัติ ${Math.max(1, Math.floor(shownDays / 2))}`
+        : `\n━━━━━━━━━━━━━━━━━━━\n💡 ดูย้อนหลังหลายวัน: ประวัติ [จำนวนวัน]\nตัวอย่าง: ประวัติ 14`;
+    chunks = packTextBlocks([header, ...dayBlocks.slice(0, shownDays), footer]);
+    if (chunks.length <= MAX_REPLY_MESSAGES || shownDays === 1) break;
+    shownDays--;
+  }
 
-  return await reply(replyToken, msg);
+  return await replyMessages(replyToken, chunks.slice(0, MAX_REPLY_MESSAGES).map((text) => textMessage(text)));
 }
 
-async function handleSetSchedule(replyToken, text, lineUserId) {
-  const user = await getUser(lineUserId);
+// ==================== Caregivers ====================
+// ผู้ป่วยออกรหัสครั้งเดียว → ผู้ดูแลพิมพ์ "ผูกบัญชี [รหัส]" เพื่อรับแจ้งเตือนแทน
+const PAIR_CODE_TTL_SECONDS = 10 * 60;
+const MAX_CAREGIVERS = 5;
+// กันเดารหัส 6 หลัก: ผิดครบ MAX_PAIR_ATTEMPTS ครั้ง ล็อก PAIR_LOCKOUT_SECONDS (นับใหม่ทุกครั้งที่ผิด)
+const MAX_PAIR_ATTEMPTS = 5;
+const PAIR_LOCKOUT_SECONDS = 15 * 60;
+
+async function notifyCaregivers(user, text) {
+  for (const caregiver of user.caregivers || []) {
+    await push(
+      caregiver.lineUserId,
+      `👨‍👩‍👧 แจ้งเตือนผู้ป่วย ${user.odotId}\n━━━━━━━━━━━━━━━━━━━\n${text}`
+    );
+  }
+}
+
+async function unlinkAllCaregivers(user) {
   if (!user) return;
+  for (const caregiver of user.caregivers || []) {
+    const patients = await getCaregiverPatients(caregiver.lineUserId);
+    await saveCaregiverPatients(
+      caregiver.lineUserId,
+      patients.filter((id) => id !== user.lineUserId)
+    );
+    await push(caregiver.lineUserId, `ℹ️ ผู้ป่วย ${user.odotId} ลบข้อมูลแล้ว\nยกเลิกการผูกบัญชีอัตโนมัติค่ะ`);
+  }
+}
 
-  const parts = text.replace("ตั้งเวลากินยา ", "").trim().split(" ");
+async function handleInviteCaregiver(replyToken, lineUserId) {
+  const user = await getUser(lineUserId);
+  if (!user) {
+    return await reply(replyToken, `❌ กรุณาลงทะเบียนก่อนค่ะ`);
+  }
 
-  if (parts.length < 3) {
+  if ((user.caregivers || []).length >= MAX_CAREGIVERS) {
     return await reply(
       replyToken,
-      `❌ รูปแบบไม่ถูกต้องค่ะ\n\nพิมพ์: ตั้งเวลากินยา [เวลา] [เลขยา] [จำนวนเม็ด]\n\nตัวอย่าง:\n• ตั้งเวลากินยา 1 1 2\n• ตั้งเวลากินยา 1,2 3 1\n\n💡 พิมพ์ "ตั้งเวลากินยา" ดูรายละเอียด`
+      `❌ มีผู้ดูแลครบ ${MAX_CAREGIVERS} คนแล้วค่ะ\n\n💡 พิมพ์ "ผู้ดูแล" เพื่อดูรายชื่อ`
     );
   }
 
-  const timeInput = parts[0];
-  const drugInput = parts[1];
-  const pills = parseInt(parts[2]);
+  // สุ่มรหัส 6 หลักจนกว่าจะไม่ซ้ำกับรหัสที่ยังไม่หมดอายุ
+  let code;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const candidate = String(Math.floor(100000 + Math.random() * 900000));
+    const ok = await store.set(`pair:${candidate}`, lineUserId, {
+      nx: true,
+      ex: PAIR_CODE_TTL_SECONDS,
+    });
+    if (ok) {
+      code = candidate;
+      break;
+    }
+  }
 
-  if (isNaN(pills) || pills <= 0) {
+  if (!code) {
+    return await reply(replyToken, "❌ เกิดข้อผิดพลาด กรุณาลองใหม่ค่ะ");
+  }
+
+  return await reply(
+    replyToken,
+    `👨‍👩‍👧 เชิญผู้ดูแล
+━━━━━━━━━━━━━━━━━━━
+🔑 รหัสผูกบัญชี: ${code}
+⏳ ใช้ได้ภายใน ${PAIR_CODE_TTL_SECONDS / 60} นาที (ใช้ได้ครั้งเดียว)
+
+📝 ให้ผู้ดูแลเพิ่มเพื่อน Bot นี้
+แล้วพิมพ์: ผูกบัญชี ${code}
+
+━━━━━━━━━━━━━━━━━━━
+✅ ผู้ดูแลจะได้รับแจ้งเตือน:
+• เมื่อพลาดการกินยา
+• เมื่อยาใกล้หมด / หมด
+• ดูรายการยาได้ด้วย "ดูยาผู้ป่วย"`
+  );
+}
+
+async function handleLinkCaregiver(replyToken, text, lineUserId) {
+  const code = text.replace("ผูกบัญชี ", "").trim();
+  const attemptsKey = `pairTry:${lineUserId}`;
+  const attempts = Number(await store.get(attemptsKey)) || 0;
+
+  if (attempts >= MAX_PAIR_ATTEMPTS) {
     return await reply(
       replyToken,
-      `❌ จำนวนเม็ดไม่ถูกต้องค่ะ\nต้องเป็นตัวเลขมากกว่า 0`
+      `⛔ ใส่รหัสผิดหลายครั้งเกินไปค่ะ\n\n⏳ ลองใหม่ได้อีกครั้งใน ${PAIR_LOCKOUT_SECONDS / 60} นาที`
     );
   }
 
-  const times = user.reminderTimes || ["08:00", "20:00"];
-
-  // แปลง "1,2" เป็น [0, 1]
-  const selectedTimes = timeInput
-    .split(",")
-    .map((t) => parseInt(t.trim()) - 1)
-    .filter((t) => !isNaN(t) && t >= 0 && t < times.length);
+  const patientId = /^\d{6}$/.test(code) ? await store.get(`pair:${code}`) : null;
 
-  if (selectedTimes.length === 0) {
+  if (!patientId) {
+    await store.set(attemptsKey, attempts + 1, { ex: PAIR_LOCKOUT_SECONDS });
     return await reply(
       replyToken,
-      `❌ เวลาไม่ถูกต้องค่ะ\n\nใช้เลข 1 ถึง ${times.length}\nหรือคั่นด้วย , เช่น 1,2`
+      `❌ รหัสไม่ถูกต้องหรือหมดอายุแล้วค่ะ\n\n💡 ให้ผู้ป่วยพิมพ์ "เชิญผู้ดูแล" เพื่อขอรหัสใหม่`
     );
   }
 
-  // แปลง "1,2,3" เป็น [0, 1, 2]
-  const selectedDrugs = drugInput
-    .split(",")
-    .map((d) => parseInt(d.trim()) - 1)
-    .filter((d) => !isNaN(d) && d >= 0 && d < user.drugs.length);
+  if (patientId === lineUserId) {
+    return await reply(replyToken, `❌ ไม่สามารถผูกบัญชีกับตัวเองได้ค่ะ`);
+  }
 
-  if (selectedDrugs.length === 0) {
+  // จองรหัสด้วย SET NX ก่อน → ผู้ดูแลสองคนใช้รหัสเดียวกันพร้อมกัน มีคนเดียวที่ได้
+  const claimed = await store.set(`pairUsed:${code}`, lineUserId, { nx: true, ex: PAIR_CODE_TTL_SECONDS });
+  if (!claimed) {
     return await reply(
       replyToken,
-      `❌ เลขยาไม่ถูกต้องค่ะ\n\nใช้เลข 1 ถึง ${user.drugs.length}\nหรือคั่นด้วย , เช่น 1,2,3`
+      `❌ รหัสนี้ถูกใช้ไปแล้วค่ะ\n\n💡 ให้ผู้ป่วยพิมพ์ "เชิญผู้ดูแล" เพื่อขอรหัสใหม่`
     );
   }
+  await store.del(`pair:${code}`);
+  await store.del(attemptsKey);
 
-  // ตั้งค่าให้ยาที่เลือก
-  selectedDrugs.forEach((drugIdx) => {
-    const drug = user.drugs[drugIdx];
-
-    // ลบ schedule เดิมของเวลาที่ซ้ำกัน
-    drug.schedules = (drug.schedules || []).filter((s) => {
-      return !s.times.some((t) => selectedTimes.includes(t));
-    });
+  const patient = await getUser(patientId);
+  if (!patient) {
+    return await reply(replyToken, `❌ ไม่พบข้อมูลผู้ป่วยค่ะ`);
+  }
 
-    // เพิ่ม schedule ใหม่
-    drug.schedules.push({
-      times: selectedTimes,
-      pills: pills,
-    });
-  });
+  if (!patient.caregivers) patient.caregivers = [];
+  if (!patient.caregivers.some((c) => c.lineUserId === lineUserId)) {
+    // ผู้ป่วยอาจออกรหัสไว้หลายอัน → ตรวจจำนวนผู้ดูแลอีกครั้งตอนใช้รหัส
+    if (patient.caregivers.length >= MAX_CAREGIVERS) {
+      return await reply(
+        replyToken,
+        `❌ ผู้ป่วย ${patient.odotId} มีผู้ดูแลครบ ${MAX_CAREGIVERS} คนแล้วค่ะ\n\n💡 ให้ผู้ป่วยลบผู้ดูแลเดิมก่อน แล้วขอรหัสใหม่`
+      );
+    }
+    patient.caregivers.push({ lineUserId, linkedAt: new Date().toISOString() });
+    await saveUser(patientId, patient);
+  }
 
-  await saveUser(lineUserId, user);
+  const patients = await getCaregiverPatients(lineUserId);
+  if (!patients.includes(patientId)) {
+    patients.push(patientId);
+    await saveCaregiverPatients(lineUserId, patients);
+  }
 
-  const timeLabels = selectedTimes.map((t) => `${t + 1}. ${times[t]}`).join("\n");
-  const drugLabels = selectedDrugs
-    .map((d) => `${d + 1}. ${user.drugs[d].name}`)
-    .join("\n");
+  await push(patientId, `✅ มีผู้ดูแลผูกบัญชีกับคุณแล้วค่ะ\n\n💡 พิมพ์ "ผู้ดูแล" เพื่อดูรายชื่อ`);
 
   return await reply(
     replyToken,
-    `✅ ตั้งเวลาสำเร็จ!
+    `✅ ผูกบัญชีสำเร็จ!
 ━━━━━━━━━━━━━━━━━━━
+👤 ผู้ป่วย: ${patient.odotId}
 
-⏰ เวลา:
-${timeLabels}
-
-💊 ยา:
-${drugLabels}
-
-📦 จำนวน: ${pills} เม็ด/ครั้ง
+🔔 คุณจะได้รับแจ้งเตือนเมื่อ:
+• ผู้ป่วยพลาดการกินยา
+• ยาใกล้หมด / หมด
 
-━━━━━━━━━━━━━━━━━━━
-💡 พิมพ์ "ตั้งเวลากินยา" ดูตารางทั้งหมด`
+💡 คำสั่งที่เกี่ยวข้อง:
+• ดูยาผู้ป่วย - ดูรายการยา
+• ผู้ดูแล - ดูบัญชีที่ผูกไว้`
   );
 }
 
-// ==================== Take Drug ====================
-async function handleLateStart(replyToken, lineUserId) {
+async function handleShowCaregivers(replyToken, lineUserId) {
   const user = await getUser(lineUserId);
-  if (!user) return;
+  const patientIds = await getCaregiverPatients(lineUserId);
 
-  const times = user.reminderTimes || ["08:00", "20:00"];
+  if (!user && patientIds.length === 0) {
+    return await reply(
+      replyToken,
+      `❌ ยังไม่มีบัญชีที่ผูกไว้ค่ะ\n\n💡 ผู้ป่วย: พิมพ์ "เชิญผู้ดูแล"\n💡 ผู้ดูแล: พิมพ์ "ผูกบัญชี [รหัส]"`
+    );
+  }
 
-  let list = `⏰ เลือกเวลาที่กินยาช้า:\n━━━━━━━━━━━━━━━━━━━\n`;
-  times.forEach((t, i) => {
-    list += `${i + 1}. 🕐 ${t} น.\n`;
-  });
-  list += `\n━━━━━━━━━━━━━━━━━━━\n📝 พิมพ์: กินยาช้า [เลข]\nตัวอย่าง: กินยาช้า 1\n\n💡 ใช้คำสั่งนี้เมื่อกินยาช้าเกิน 30 นาที`;
+  let msg = `👨‍👩‍👧 บัญชีที่ผูกไว้\n━━━━━━━━━━━━━━━━━━━\n`;
 
-  return await reply(replyToken, list);
+  if (user) {
+    const caregivers = user.caregivers || [];
+    msg += `\n🔔 ผู้ดูแลของคุณ:\n`;
+    if (caregivers.length === 0) {
+      msg += `   ยังไม่มี (พิมพ์ "เชิญผู้ดูแล")\n`;
+    }
+    caregivers.forEach((c, i) => {
+      const date = getLocalNow(getUserTimezone(user), new Date(c.linkedAt)).toLocaleDateString("th-TH", {
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+      });
+      msg += `${i + 1}. ผู้ดูแลคนที่ ${i + 1} (ผูกเมื่อ ${date})\n`;
+    });
+    if (caregivers.length > 0) {
+      msg += `📝 ยกเลิก: ยกเลิกผู้ดูแล [เลข]\n`;
+    }
+  }
+
+  if (patientIds.length > 0) {
+    msg += `\n👤 ผู้ป่วยที่คุณดูแล:\n`;
+    for (let i = 0; i < patientIds.length; i++) {
+      const patient = await getUser(patientIds[i]);
+      msg += `${i + 1}. ${patient ? patient.odotId : "(ไม่พบข้อมูล)"}\n`;
+    }
+    msg += `📝 ดูยา: ดูยาผู้ป่วย [เลข]\n📝 ยกเลิก: ยกเลิกผูกบัญชี [เลข]\n`;
+  }
+
+  return await reply(replyToken, msg.trim());
 }
 
-async function handleTakeDrug(replyToken, text, lineUserId, isLate) {
+async function handleRemoveCaregiver(replyToken, text, lineUserId) {
   const user = await getUser(lineUserId);
-  if (!user) {
-    return await reply(replyToken, `❌ กรุณาลงทะเบียนก่อนค่ะ`);
-  }
+  if (!user) return;
 
-  const cmd = isLate ? "กินยาช้า " : "กินยา ";
-  const index = parseInt(text.replace(cmd, "").trim()) - 1;
-  const times = user.reminderTimes || ["08:00", "20:00"];
+  const caregivers = user.caregivers || [];
+  const index = parseInt(text.replace("ยกเลิกผู้ดูแล ", "").trim()) - 1;
 
-  if (isNaN(index) || index < 0 || index >= times.length) {
+  if (isNaN(index) || index < 0 || index >= caregivers.length) {
     return await reply(
       replyToken,
-      `❌ ไม่พบเวลาหมายเลขนี้ค่ะ\n\n💡 พิมพ์ "${
-        isLate ? "กินยาช้า" : "เวลากินยา"
-      }" เพื่อดูรายการ`
+      `❌ ไม่พบผู้ดูแลหมายเลขนี้ค่ะ\n\n💡 พิมพ์ "ผู้ดูแล" เพื่อดูรายชื่อ`
     );
   }
 
-  if (user.drugs.length === 0) {
+  const [removed] = caregivers.splice(index, 1);
+  user.caregivers = caregivers;
+  await saveUser(lineUserId, user);
+
+  const patients = await getCaregiverPatients(removed.lineUserId);
+  await saveCaregiverPatients(
+    removed.lineUserId,
+    patients.filter((id) => id !== lineUserId)
+  );
+  await push(removed.lineUserId, `ℹ️ ผู้ป่วย ${user.odotId} ยกเลิกการผูกบัญชีแล้วค่ะ`);
+
+  return await reply(replyToken, `✅ ยกเลิกผู้ดูแลคนที่ ${index + 1} แล้วค่ะ`);
+}
+
+async function handleUnlinkPatient(replyToken, text, lineUserId) {
+  const patientIds = await getCaregiverPatients(lineUserId);
+  const index = parseInt(text.replace("ยกเลิกผูกบัญชี ", "").trim()) - 1;
+
+  if (isNaN(index) || index < 0 || index >= patientIds.length) {
     return await reply(
       replyToken,
-      `❌ ยังไม่มียาในระบบค่ะ\n\n💡 เพิ่มยาก่อน:\nเพิ่มยา [ชื่อยา] [จำนวน]`
+      `❌ ไม่พบผู้ป่วยหมายเลขนี้ค่ะ\n\n💡 พิมพ์ "ผู้ดูแล" เพื่อดูรายชื่อ`
     );
   }
 
-  // กรองเฉพาะยาที่ต้องกินเวลานี้
-  let status = "";
-  let hasDrugs = false;
-
-  user.drugs.forEach((drug) => {
-    const schedule = (drug.schedules || []).find((s) => s.times.includes(index));
-
-    if (schedule) {
-      hasDrugs = true;
-      const pills = schedule.pills || 1;
+  const [patientId] = patientIds.splice(index, 1);
+  await saveCaregiverPatients(lineUserId, patientIds);
 
-      if (drug.quantity >= pills) {
-        drug.quantity -= pills;
+  const patient = await getUser(patientId);
+  if (patient) {
+    patient.caregivers = (patient.caregivers || []).filter((c) => c.lineUserId !== lineUserId);
+    await saveUser(patientId, patient);
+    await push(patientId, `ℹ️ ผู้ดูแล 1 คนยกเลิกการผูกบัญชีแล้วค่ะ`);
+  }
 
-        let icon = "💊";
-        const dailyUse = drug.schedules.reduce((sum, s) => sum + (s.pills || 1), 0);
+  return await reply(
+    replyToken,
+    `✅ ยกเลิกการผูกบัญชีกับผู้ป่วย ${patient ? patient.odotId : ""} แล้วค่ะ`
+  );
+}
 
-        if (drug.quantity <= 0) icon = "🚫";
-        else if (drug.quantity <= dailyUse * 5) icon = "🔴";
-        else if (drug.quantity <= dailyUse * 10) icon = "🟡";
+async function handleShowPatientDrugs(replyToken, text, lineUserId) {
+  const patientIds = await getCaregiverPatients(lineUserId);
+  if (patientIds.length === 0) {
+    return await reply(
+      replyToken,
+      `❌ ยังไม่ได้ผูกบัญชีกับผู้ป่วยค่ะ\n\n💡 พิมพ์: ผูกบัญชี [รหัส]`
+    );
+  }
 
-        status += `${icon} ${drug.name}: กิน ${pills} เม็ด (เหลือ ${drug.quantity} เม็ด)\n`;
-      } else {
-        status += `🚫 ${drug.name}: หมดแล้ว (ต้องการ ${pills} เม็ด)!\n`;
-      }
-    }
-  });
+  // ดูแลคนเดียวไม่ต้องระบุเลข
+  const arg = text.replace("ดูยาผู้ป่วย", "").trim();
+  const index = arg ? parseInt(arg) - 1 : patientIds.length === 1 ? 0 : NaN;
 
-  if (!hasDrugs) {
+  if (isNaN(index) || index < 0 || index >= patientIds.length) {
     return await reply(
       replyToken,
-      `📋 ไม่มียาที่ต้องกินเวลา ${times[index]} น.\n\n💡 พิมพ์ "ตั้งเวลากินยา" เพื่อตั้งค่า`
+      `❌ กรุณาระบุเลขผู้ป่วยค่ะ\n\n📝 พิมพ์: ดูยาผู้ป่วย [เลข]\n💡 พิมพ์ "ผู้ดูแล" เพื่อดูรายชื่อ`
     );
   }
 
-  await saveUser(lineUserId, user);
+  const patient = await getUser(patientIds[index]);
+  if (!patient) {
+    return await reply(replyToken, `❌ ไม่พบข้อมูลผู้ป่วยค่ะ`);
+  }
 
-  const lateText = isLate ? " (กินช้า)" : "";
-  const utcNow = new Date();
-  const now = new Date(utcNow.getTime() + (7 * 60 * 60 * 1000) + (utcNow.getTimezoneOffset() * 60 * 1000));
-  const dateStr = now.toLocaleDateString("th-TH", {
-    year: "numeric",
-    month: "long",
-    day: "numeric",
-  });
+  if (patient.drugs.length === 0) {
+    return await reply(replyToken, `📋 ผู้ป่วย ${patient.odotId} ยังไม่มียาในระบบค่ะ`);
+  }
 
-  return await reply(
-    replyToken,
-    `✅ บันทึกการกินยาสำเร็จ!${lateText}\n━━━━━━━━━━━━━━━━━━━\n⏰ เวลากินยา: ${times[index]} น.\n📅 วันที่: ${dateStr}\n\n📊 สถานะยาหลังกิน:\n${status}`
-  );
+  return await reply(replyToken, buildDrugList(patient, `📋 รายการยาของผู้ป่วย ${patient.odotId}:`));
 }
 
 // ==================== Reset ====================
@@ -1206,9 +4432,7 @@ async function handleResetStart(replyToken, lineUserId) {
     );
   }
 
-  userStates[lineUserId] = {
-    action: "confirmReset",
-  };
+  await startFlow(lineUserId, "confirmReset", "confirm");
 
   return await reply(
     replyToken,
@@ -1220,6 +4444,7 @@ async function handleResetStart(replyToken, lineUserId) {
 ❌ รายการยา: ${user.drugs.length} รายการ
 ❌ เวลากินยา: ${user.reminderTimes.length} เวลา
 ❌ ตารางกินยาทั้งหมด
+❌ ประวัติการกินยา
 ❌ ข้อมูลผู้ใช้ทั้งหมด
 
 ━━━━━━━━━━━━━━━━━━━
@@ -1232,23 +4457,671 @@ async function handleResetStart(replyToken, lineUserId) {
 ❓ ต้องการรีเซ็ทหรือไม่?
 
 ✅ พิมพ์ "ยืนยันรีเซ็ท" เพื่อลบข้อมูล
-❌ พิมพ์อย่างอื่นเพื่อยกเลิก`
+❌ พิมพ์อย่างอื่นเพื่อยกเลิก`,
+    [{ label: "⚠️ ยืนยันรีเซ็ท", text: "ยืนยันรีเซ็ท" }, { label: "❌ ไม่รีเซ็ท", text: "ไม่รีเซ็ท" }]
   );
 }
 
 async function handleResetConfirm(replyToken, lineUserId) {
-  // Handled in handleUserState
-  return null;
+  // ยืนยันจริงถูกจัดการใน flow "confirmReset" → มาถึงตรงนี้แปลว่าหมดเวลายืนยันแล้ว
+  return await reply(
+    replyToken,
+    `⏳ หมดเวลายืนยันแล้วค่ะ (${STATE_TTL_SECONDS / 60} นาที)\n\n💡 พิมพ์ "รีเซ็ท" เพื่อเริ่มใหม่`
+  );
+}
+
+// ==================== Command Registry ====================
+// หัวข้อ help: รายการคำสั่งสร้างจาก COMMANDS ตาม topic, examples = ตัวอย่างพร้อมคำอธิบาย, notes = หมายเหตุท้ายสุด
+const HELP_TOPICS = [
+  {
+    key: "ลงทะเบียน",
+    title: "📝 เริ่มต้นใช้งาน",
+    notes: `✅ หลังลงทะเบียน:
+• เวลาเตือนเริ่มต้น: 08:00, 20:00
+• สามารถเพิ่มยาได้เลย
+• ระบบจะเตือนตามเวลาที่ตั้งไว้`,
+  },
+  {
+    key: "เพิ่มยา",
+    title: "💊 จัดการยา",
+    notes: `✅ หมายเหตุ:
+• ไม่ระบุหน่วย = เม็ด (ใช้ ml, พัฟ, หยด ฯลฯ ได้)
+• ค่าเริ่มต้น: กินทุกเวลา 1 หน่วย ปรับด้วย "ตั้งเวลากินยา"
+• ระบุยาได้ทั้งเลขยาและชื่อยา/ต้นชื่อ เช่น "เติมยา 1 30" หรือ "เติมยา พารา 30"
+• ระบบใช้ล็อตที่หมดอายุก่อนก่อน และเตือนเมื่อเหลือ ${EXPIRY_WARN_DAYS} วันก่อนหมดอายุ
+• เตือนเติมยาล่วงหน้า ${DEFAULT_REFILL_LEAD_DAYS} วันก่อนยาหมด (ค่าเริ่มต้น)
+⚠️ ลบยาแล้วไม่สามารถกู้คืนได้`,
+    examples: [
+      `🎨 ความหมายสัญลักษณ์ใน "ดูยา":
+
+✅ สีเขียว (ปกติ)
+   ยาพอใช้ ${STOCK_LOW_DAYS} วันขึ้นไป
+
+🟡 สีเหลือง (เหลือน้อย)
+   ยาพอใช้ ${STOCK_CRITICAL_DAYS}-${STOCK_LOW_DAYS - 1} วัน
+   ควรเตรียมซื้อเพิ่ม
+
+🔴 สีแดง (ใกล้หมด!)
+   ยาพอใช้ไม่ถึง ${STOCK_CRITICAL_DAYS} วัน
+   ต้องซื้อเพิ่มด่วน!
+
+🚫 หมดแล้ว
+   ไม่มียาเหลือเลย
+
+⏳ ใต้ชื่อยาจะบอกว่าเหลือพอกี่วัน
+และยาจะหมดวันที่เท่าไหร่
+(คิดจากเวลากิน วันกิน และช่วงลดยา)`,
+    ],
+  },
+  {
+    key: "เวลากินยา",
+    title: "⏰ จัดการเวลา",
+    notes: `✅ หมายเหตุ:
+• เวลาเริ่มต้น: 08:00, 20:00
+• เพิ่มได้ไม่จำกัดจำนวน ต้องมีอย่างน้อย 1 เวลา
+• ใช้เครื่องหมาย : หรือ . ได้ เช่น 18:30 หรือ 18.30
+• สรุปยาประจำวันค่าเริ่มต้น 12:00
+• เขตเวลาค่าเริ่มต้น Asia/Bangkok`,
+  },
+  {
+    key: "ตั้งเวลากินยา",
+    title: "📅 ตั้งเวลาแต่ละยา",
+    notes: `🔹 [เลขเวลา] = เลขเวลาใน "เวลากินยา" หลายเวลาคั่นด้วย , เช่น 1,2
+🔹 [ยา] = เลขยาหรือชื่อยา หลายตัวคั่นด้วย , เช่น 1,3 หรือ พารา,ความดัน
+🔹 [ครั้งละ] = จำนวนที่กิน ตามหน่วยของยา (ทศนิยมได้ เช่น 0.5)
+
+🎉 ครบคอร์สแล้วระบบหยุดเตือนและแจ้งให้ทราบ
+🔔 ลดยาตามช่วงวัน: แจ้งทุกครั้งที่เปลี่ยนขนาดยา`,
+    examples: [
+      `📌 ตัวอย่างแบบง่าย:
+
+• ตั้งเวลากินยา 1 1 2
+  → เวลาที่ 1, ยาเลข 1, กิน 2 เม็ด
+
+• ตั้งเวลากินยา 2 3 1
+  → เวลาที่ 2, ยาเลข 3, กิน 1 เม็ด`,
+      `📌 ตัวอย่างแบบซับซ้อน:
+
+• ตั้งเวลากินยา 1,2 1 2
+  → เวลาที่ 1 และ 2, ยาเลข 1, กิน 2 เม็ด
+
+• ตั้งเวลากินยา 1 1,2,3 1
+  → เวลาที่ 1, ยาเลข 1,2,3, กิน 1 เม็ด
+
+• ตั้งเวลากินยา 1,2 3,4 2
+  → เวลาที่ 1 และ 2, ยาเลข 3 และ 4, กิน 2 เม็ด`,
+      `💡 กรณีใช้งานจริง:
+
+มียา 4 ตัว, เวลา 2 เวลา (08:00, 20:00)
+
+ต้องการ:
+- เช้า: พาราฯ 2 เม็ด, วิตามิน 1 เม็ด
+- เย็น: ยาลดความดัน 1 เม็ด
+
+วิธีตั้ง:
+1. ตั้งเวลากินยา 1 1 2
+   (เช้า กินพาราฯ 2 เม็ด)
+
+2. ตั้งเวลากินยา 1 3 1
+   (เช้า กินวิตามิน 1 เม็ด)
+
+3. ตั้งเวลากินยา 2 2 1
+   (เย็น กินยาลดความดัน 1 เม็ด)`,
+      `📅 กินบางวัน / คอร์สยา:
+
+• ตั้งวันกินยา 1 จ,พ,ศ
+  → กินเฉพาะวันจันทร์ พุธ ศุกร์
+• ตั้งวันกินยา 2 ทุก 7 วัน
+  → เช่น methotrexate สัปดาห์ละครั้ง
+• ตั้งวันกินยา 3 วันเว้นวัน
+• ตั้งวันกินยา 4 7 วัน
+  → คอร์สยาปฏิชีวนะ 7 วัน เริ่มวันนี้
+• ตั้งวันกินยา 4 เริ่ม 1/11 ถึง 14/11
+• ตั้งวันกินยา 2 ทุก 7 วัน เวลา 2
+  → เฉพาะเวลาที่ 2 เวลาอื่นกินตามเดิม
+• ตั้งวันกินยา 1 ทุกวัน
+  → กลับเป็นกินทุกวัน`,
+      `📉 ลดขนาดยาตามช่วงวัน (เช่น prednisolone):
+
+• ตั้งลดยา 1 4x5 3x5 2x5 1x5
+  → 4 เม็ด 5 วัน แล้วลดลงทีละ 1 เม็ด
+• ตั้งลดยา 1 ยกเลิก`,
+    ],
+  },
+  {
+    key: "กินยา",
+    title: "✅ บันทึกการกิน",
+    notes: `🎉 วิธีง่ายสุด:
+กดปุ่ม "กินแล้ว" ในข้อความเตือน ส่งสติกเกอร์อะไรก็ได้
+หรือพิมพ์ "กินแล้ว", "ทานแล้ว", "ok", "โอเค"
+→ ระบบเลือกรอบที่ใกล้เวลาตอนนี้ให้เอง
+
+✅ หมายเหตุ:
+• กินช้าเกิน 30 นาที ใช้ "กินยาช้า"
+• ถ้ายังไม่บันทึกภายใน ${FOLLOW_UP_MINUTES} นาที ระบบจะเตือนซ้ำ
+• ถ้าเลย ${MISSED_AFTER_MINUTES / 60} ชั่วโมง ระบบจะบันทึกว่าไม่ได้กิน
+• ยกเลิกการกินจะคืนจำนวนยาเข้าสต็อกให้อัตโนมัติ`,
+  },
+  {
+    key: "ยาตามอาการ",
+    title: "🩹 ยาตามอาการ (กินเมื่อมีอาการ)",
+    notes: `✅ หมายเหตุ:
+• ยาตามอาการจะไม่เตือนตามเวลา
+• หักจำนวนยาทุกครั้งที่บันทึก
+• ถ้ากินถี่หรือเกินจำนวนครั้ง ระบบจะเตือนและถามยืนยันก่อน
+  (ถ้ายืนยันจะแจ้งผู้ดูแลด้วย)
+• กลับเป็นยากินตามเวลา: ตั้งเวลากินยา`,
+  },
+  {
+    key: "ประวัติ",
+    title: "📖 ประวัติการกิน",
+    notes: `🎨 ความหมายสัญลักษณ์:
+✅ กินตรงเวลา
+🟡 กินช้า (เกิน 30 นาที)
+⏳ เตือนแล้ว รอบันทึก
+⏭️ ข้าม (ตั้งใจไม่กินรอบนี้)
+❌ ไม่ได้กิน (เลยเวลาแล้วไม่ได้บันทึก)
+🩹 ยาตามอาการ (⛔ = กินเกินเงื่อนไข)
+➖ ไม่มีบันทึก
+
+💡 ดูย้อนหลังได้สูงสุด 30 วัน`,
+  },
+  {
+    key: "ผู้ดูแล",
+    title: "👨‍👩‍👧 ผู้ดูแล/ครอบครัว",
+    notes: `ให้ลูกหลาน/ผู้ดูแลรับแจ้งเตือนแทนได้ (สูงสุด 5 คน)
+1. ผู้ป่วยพิมพ์ "เชิญผู้ดูแล"
+2. ระบบให้รหัส 6 หลัก (ใช้ได้ 10 นาที)
+3. ผู้ดูแลเพิ่มเพื่อน Bot แล้วพิมพ์ "ผูกบัญชี [รหัส]"
+
+🔔 ผู้ดูแลจะได้รับแจ้งเตือน:
+• เมื่อผู้ป่วยพลาดการกินยา
+• เมื่อยาใกล้หมด / หมด`,
+  },
+  {
+    key: "รีเซ็ท",
+    title: "🔄 รีเซ็ทข้อมูล",
+    notes: `⚠️ ข้อมูลที่จะถูกลบ:
+❌ รายการยา เวลากินยา และตารางกินยาทั้งหมด
+❌ ประวัติการกินยา
+❌ ข้อมูลผู้ใช้ทั้งหมด
+
+ข้อมูลที่ลบแล้วไม่สามารถกู้คืนได้!
+หลังรีเซ็ทต้องลงทะเบียนใหม่อีกครั้ง`,
+  },
+];
+
+// คำสั่งทั้งหมดอยู่ที่นี่ที่เดียว: handleMessage ใช้จับคู่ข้อความ และ help สร้างจากรายการนี้
+// args: ชนิดของ argument ใช้แปลงรูปแบบที่พิมพ์ได้หลายแบบให้ handler เดิมเข้าใจ
+//   rest = กินทุกคำที่เหลือ (เช่น ชื่อยาที่มีช่องว่าง), optional = ไม่ใส่ก็ได้ (ชื่อกลุ่ม = ใส่ครบทั้งกลุ่มหรือไม่ใส่เลย)
+// bare: คำอธิบายเมื่อพิมพ์ชื่อคำสั่งอย่างเดียว / true = ให้ handler ตอบเอง / ไม่มี = ต้องใส่ argument
+const COMMANDS = [
+  {
+    name: "help",
+    aliases: ["วิธีใช้", "ช่วยเหลือ"],
+    args: [{ label: "หัวข้อ", type: "text", rest: true }],
+    bare: "ดูคำสั่งทั้งหมด",
+    description: "ดูรายละเอียดแต่ละหมวด",
+    examples: ["help เติมยา"],
+    run: ({ replyToken, argText }) => (argText ? sendTopicHelp(replyToken, argText) : sendMainHelp(replyToken)),
+  },
+
+  // --- เริ่มต้นใช้งาน ---
+  {
+    name: "ลงทะเบียน",
+    topic: "ลงทะเบียน",
+    args: [{ label: "รหัสผู้ป่วย", type: "word" }],
+    description: "ลงทะเบียนเริ่มใช้งาน",
+    examples: ["ลงทะเบียน HN12345"],
+    run: ({ replyToken, text, lineUserId }) => handleRegister(replyToken, text, lineUserId),
+  },
+
+  // --- จัดการยา ---
+  {
+    name: "เพิ่มยา",
+    aliases: ["เพิ่ม"],
+    topic: "เพิ่มยา",
+    quick: true,
+    args: [
+      { label: "ชื่อยา", type: "text", rest: true },
+      { label: "จำนวน", type: "number" },
+      { label: "หน่วย", type: "word", optional: true },
+      { label: "ครั้งละ", type: "number", optional: "schedule" },
+      { label: "เลขเวลา", type: "list", optional: "schedule" },
+    ],
+    bare: "เพิ่มยาแบบถามทีละขั้น",
+    description: "เพิ่มยาแบบพิมพ์ครั้งเดียว",
+    examples: ["เพิ่มยา พาราเซตามอล 30", "เพิ่มยา ยาแก้ไอ 120 ml", "เพิ่ม พารา 20 2 1 (ครั้งละ 2 เม็ด เวลาที่ 1)"],
+    run: ({ replyToken, text, lineUserId, argText }) =>
+      argText ? handleAddDrug(replyToken, text, lineUserId) : handleAddDrugWizardStart(replyToken, lineUserId),
+  },
+  {
+    name: "ดูยา",
+    aliases: ["รายการยา", "ยา", "สรุป"],
+    topic: "เพิ่มยา",
+    quick: true,
+    bare: "ดูรายการยาทั้งหมด",
+    run: ({ replyToken, lineUserId }) => handleShowDrugs(replyToken, lineUserId),
+  },
+  {
+    name: "เติมยา",
+    aliases: ["เติม"],
+    topic: "เพิ่มยา",
+    quick: true,
+    args: [
+      { label: "เลขหรือชื่อยา", type: "drug", rest: true },
+      { label: "จำนวน", type: "number" },
+      { label: "วันหมดอายุ", type: "date", optional: true },
+    ],
+    bare: "เติมจำนวนยา (เลือกจากรายการ)",
+    description: "เติมยา วันหมดอายุใส่หรือไม่ก็ได้",
+    examples: ["เติมยา พารา 30", "เติมยา 1 30 31/12/2026"],
+    run: ({ replyToken, text, lineUserId, argText }) =>
+      argText ? handleRefill(replyToken, text, lineUserId) : handleRefillStart(replyToken, lineUserId),
+  },
+  {
+    name: "ยกเลิกยา",
+    aliases: ["ลบยา", "ลบ"],
+    topic: "เพิ่มยา",
+    args: [{ label: "เลขหรือชื่อยา", type: "drug", rest: true }],
+    bare: "เลือกยาที่จะลบจากรายการ",
+    description: "ลบยาออกจากระบบ (มีการยืนยัน)",
+    examples: ["ยกเลิกยา พารา"],
+    run: ({ replyToken, text, lineUserId, argText }) =>
+      argText ? handleCancel(replyToken, text, lineUserId) : handleCancelStart(replyToken, lineUserId),
+  },
+  {
+    name: "ตั้งหน่วยยา",
+    topic: "เพิ่มยา",
+    args: [
+      { label: "เลขหรือชื่อยา", type: "drug", rest: true },
+      { label: "หน่วย", type: "word" },
+    ],
+    bare: true,
+    description: "เปลี่ยนหน่วยของยา",
+    examples: ["ตั้งหน่วยยา 2 ml"],
+    run: ({ replyToken, text, lineUserId }) => handleSetUnit(replyToken, text, lineUserId),
+  },
+  {
+    name: "ทิ้งยาหมดอายุ",
+    topic: "เพิ่มยา",
+    args: [{ label: "เลขหรือชื่อยา", type: "drug", rest: true }],
+    bare: true,
+    description: "ตัดล็อตที่หมดอายุออกจากสต็อก",
+    run: ({ replyToken, text, lineUserId }) => handleDiscardExpired(replyToken, text, lineUserId),
+  },
+  {
+    name: "ตั้งเตือนเติมยา",
+    topic: "เพิ่มยา",
+    args: [{ label: "วัน|ปิด", type: "number" }],
+    bare: true,
+    description: "เตือนก่อนยาหมดกี่วัน หรือปิดการเตือน",
+    examples: ["ตั้งเตือนเติมยา 7", "ตั้งเตือนเติมยา ปิด"],
+    run: ({ replyToken, text, lineUserId }) => handleSetRefillLead(replyToken, text, lineUserId),
+  },
+
+  // --- จัดการเวลา ---
+  {
+    name: "เวลากินยา",
+    aliases: ["ดูเวลากินยา", "เวลา"],
+    topic: "เวลากินยา",
+    quick: true,
+    bare: "ดูเวลาเตือนทั้งหมด",
+    run: ({ replyToken, lineUserId }) => handleShowTimes(replyToken, lineUserId),
+  },
+  {
+    name: "เพิ่มเวลากินยา",
+    topic: "เวลากินยา",
+    args: [{ label: "เวลา", type: "time" }],
+    description: "เพิ่มเวลาเตือน",
+    examples: ["เพิ่มเวลากินยา 12:00", "เพิ่มเวลากินยา 18.30"],
+    run: ({ replyToken, text, lineUserId }) => handleAddTime(replyToken, text, lineUserId),
+  },
+
+  {
+    name: "ตั้งเวลา",
+    topic: "เวลากินยา",
+    args: [
+      { label: "เลขเวลา", type: "number" },
+      { label: "เวลา", type: "time" },
+    ],
+    description: "เปลี่ยนเวลาเตือนที่มีอยู่",
+    examples: ["ตั้งเวลา 1 07.30"],
+    run: ({ replyToken, text, lineUserId }) => handleChangeTime(replyToken, text, lineUserId),
+  },
+  {
+    name: "ลบเวลากินยา",
+    topic: "เวลากินยา",
+    args: [{ label: "เลขเวลา", type: "number" }],
+    description: "ลบเวลาเตือน",
+    examples: ["ลบเวลากินยา 3"],
+    run: ({ replyToken, text, lineUserId }) => handleRemoveTime(replyToken, text, lineUserId),
+  },
+  {
+    name: "ตั้งเวลาสรุป",
+    topic: "เวลากินยา",
+    args: [{ label: "เวลา", type: "time" }],
+    bare: true,
+    description: "เปลี่ยนเวลาสรุปยาประจำวัน",
+    examples: ["ตั้งเวลาสรุป 21:00"],
+    run: ({ replyToken, text, lineUserId }) => handleSetDigestTime(replyToken, text, lineUserId),
+  },
+  {
+    name: "ปิดสรุป",
+    topic: "เวลากินยา",
+    bare: "ปิดสรุปยาประจำวัน",
+    run: ({ replyToken, text, lineUserId }) => handleSetDigestTime(replyToken, text, lineUserId),
+  },
+  {
+    name: "ตั้งเขตเวลา",
+    topic: "เวลากินยา",
+    args: [{ label: "เขตเวลา", type: "word" }],
+    bare: "ดูเขตเวลาปัจจุบัน",
+    description: "เปลี่ยนเขตเวลา",
+    examples: ["ตั้งเขตเวลา Asia/Tokyo"],
+    run: ({ replyToken, text, lineUserId }) => handleSetTimezone(replyToken, text, lineUserId),
+  },
+
+  // --- ตั้งเวลาแต่ละยา ---
+  {
+    name: "ตั้งเวลากินยา",
+    topic: "ตั้งเวลากินยา",
+    quick: true,
+    args: [
+      { label: "เลขเวลา", type: "list" },
+      { label: "ยา", type: "drugs", rest: true },
+      { label: "ครั้งละ", type: "number" },
+    ],
+    bare: "ดูตารางว่ายาไหนกินเวลาไหน",
+    description: "กำหนดว่ายาไหนกินเวลาไหน ครั้งละเท่าไหร่",
+    examples: ["ตั้งเวลากินยา 1 1 2", "ตั้งเวลากินยา 1,2 พารา,ความดัน 1"],
+    run: ({ replyToken, text, lineUserId, argText }) =>
+      argText ? handleSetSchedule(replyToken, text, lineUserId) : handleSetScheduleStart(replyToken, lineUserId),
+  },
+  {
+    name: "ตั้งวันกินยา",
+    topic: "ตั้งเวลากินยา",
+    // ชื่อยามีช่องว่างได้ handler แยกชื่อยากับเงื่อนไขเอง
+    args: [
+      { label: "เลขหรือชื่อยา", type: "text", rest: true },
+      { label: "เงื่อนไข", type: "text" },
+    ],
+    bare: "ดูวันกินยาของยาแต่ละตัว",
+    description: "กินบางวัน / คอร์สยา (ต่อท้าย เวลา [เลข] เพื่อตั้งเฉพาะเวลานั้น)",
+    examples: ["ตั้งวันกินยา 1 จ,พ,ศ", "ตั้งวันกินยา 2 ทุก 7 วัน", "ตั้งวันกินยา 3 7 วัน"],
+    run: ({ replyToken, text, lineUserId, argText }) =>
+      argText ? handleSetRule(replyToken, text, lineUserId) : handleSetRuleStart(replyToken, lineUserId),
+  },
+  {
+    name: "ตั้งลดยา",
+    topic: "ตั้งเวลากินยา",
+    args: [
+      { label: "เลขหรือชื่อยา", type: "text", rest: true },
+      { label: "จำนวนxวัน ...", type: "text" },
+    ],
+    bare: true,
+    description: "ลดขนาดยาตามช่วงวัน (เช่น prednisolone)",
+    examples: ["ตั้งลดยา 1 4x5 3x5 2x5 1x5", "ตั้งลดยา 1 ยกเลิก"],
+    run: ({ replyToken, text, lineUserId }) => handleSetTaper(replyToken, text, lineUserId),
+  },
+
+  // --- บันทึกการกิน ---
+  {
+    name: "กินยา",
+    topic: "กินยา",
+    args: [
+      { label: "เลขเวลา", type: "number" },
+      { label: "ยกเว้น ชื่อยา เพราะ เหตุผล", type: "text", rest: true, optional: true },
+    ],
+    description: "บันทึกกินตรงเวลา (งดบางตัวด้วย ยกเว้น ...)",
+    examples: ["กินยา 1", "กินยา 1 ยกเว้น ความดัน เพราะ แพทย์สั่งงด"],
+    run: ({ replyToken, text, lineUserId }) => handleTakeDrug(replyToken, text, lineUserId, false),
+  },
+  {
+    name: "กินยาช้า",
+    topic: "กินยา",
+    args: [{ label: "เลขเวลา", type: "number" }],
+    bare: "เลือกรอบที่กินช้าจากรายการ",
+    description: "บันทึกกินช้าเกิน 30 นาที",
+    examples: ["กินยาช้า 1"],
+    run: ({ replyToken, text, lineUserId, argText }) =>
+      argText ? handleTakeDrug(replyToken, text, lineUserId, true) : handleLateStart(replyToken, lineUserId),
+  },
+  {
+    name: "ข้ามยา",
+    topic: "กินยา",
+    args: [
+      { label: "เลขเวลา", type: "number" },
+      { label: "ชื่อยา", type: "drug", rest: true, optional: true },
+    ],
+    description: "ข้ามรอบ หรือข้ามเฉพาะยาตัวนั้น (ระบบถามเหตุผล)",
+    examples: ["ข้ามยา 2", "ข้ามยา 1 ความดัน เพราะ ความดันต่ำ", "ข้ามยา 1 ความดัน, เบาหวาน เพราะ แพทย์สั่งงด"],
+    run: ({ replyToken, text, lineUserId }) => handleSkipSlot(replyToken, text, lineUserId),
+  },
+  {
+    name: "เลื่อน",
+    topic: "กินยา",
+    args: [{ label: "นาที", type: "number", optional: true }],
+    bare: true,
+    description: `เตือนรอบนั้นอีกครั้ง (ค่าเริ่มต้น ${DEFAULT_SNOOZE_MINUTES} นาที)`,
+    examples: ["เลื่อน 30"],
+    run: ({ replyToken, text, lineUserId }) => handleSnooze(replyToken, text, lineUserId),
+  },
+  {
+    name: "ยกเลิกการกิน",
+    topic: "กินยา",
+    args: [{ label: "เลขเวลาหรือชื่อยา", type: "drug", rest: true, optional: true }],
+    bare: "ยกเลิกบันทึกล่าสุด",
+    description: "ยกเลิกบันทึกกินหรือข้ามรอบนั้นของวันนี้",
+    examples: ["ยกเลิกการกิน 1"],
+    run: ({ replyToken, text, lineUserId }) => handleUndoDose(replyToken, text, lineUserId),
+  },
+
+  // --- ยาตามอาการ ---
+  {
+    name: "ตั้งยาตามอาการ",
+    topic: "ยาตามอาการ",
+    args: [
+      { label: "เลขหรือชื่อยา", type: "drug", rest: true },
+      { label: "ครั้งละ", type: "number" },
+      { label: "ห่างกี่ชม.", type: "number" },
+      { label: "สูงสุดกี่ครั้ง/วัน", type: "number" },
+    ],
+    bare: "ดูรายการยาที่ตั้งได้",
+    description: "ตั้งเป็นยากินเมื่อมีอาการ",
+    examples: ["ตั้งยาตามอาการ พารา 2 4 4 (ครั้งละ 2 เม็ด ห่าง 4 ชม. ไม่เกิน 4 ครั้ง)"],
+    run: ({ replyToken, text, lineUserId, argText }) =>
+      argText ? handleSetPrn(replyToken, text, lineUserId) : handleSetPrnStart(replyToken, lineUserId),
+  },
+  {
+    name: "กิน",
+    topic: "ยาตามอาการ",
+    args: [{ label: "ชื่อยา", type: "drug", rest: true }],
+    description: "บันทึกกินยาตามอาการ (พิมพ์ต้นชื่อก็ได้)",
+    examples: ["กิน พารา"],
+    run: ({ replyToken, text, lineUserId }) => handleTakePrn(replyToken, text, lineUserId),
+  },
+
+  // --- ประวัติ ---
+  {
+    name: "ประวัติ",
+    aliases: ["ประวัติกินยา"],
+    topic: "ประวัติ",
+    quick: true,
+    args: [{ label: "จำนวนวัน", type: "number", optional: true }],
+    bare: "ดูประวัติ 7 วันล่าสุด",
+    description: "ดูย้อนหลังตามจำนวนวัน",
+    examples: ["ประวัติ 30"],
+    run: ({ replyToken, lineUserId, argText }) => handleHistory(replyToken, argText, lineUserId),
+  },
+
+  // --- ผู้ดูแล ---
+  {
+    name: "เชิญผู้ดูแล",
+    topic: "ผู้ดูแล",
+    bare: "(ผู้ป่วย) ขอรหัสผูกบัญชี",
+    run: ({ replyToken, lineUserId }) => handleInviteCaregiver(replyToken, lineUserId),
+  },
+  {
+    name: "ผูกบัญชี",
+    topic: "ผู้ดูแล",
+    args: [{ label: "รหัส", type: "number" }],
+    description: "(ผู้ดูแล) ผูกบัญชีกับผู้ป่วย",
+    examples: ["ผูกบัญชี 482913"],
+    run: ({ replyToken, text, lineUserId }) => handleLinkCaregiver(replyToken, text, lineUserId),
+  },
+  {
+    name: "ผู้ดูแล",
+    topic: "ผู้ดูแล",
+    bare: "ดูบัญชีที่ผูกไว้",
+    run: ({ replyToken, lineUserId }) => handleShowCaregivers(replyToken, lineUserId),
+  },
+  {
+    name: "ดูยาผู้ป่วย",
+    topic: "ผู้ดูแล",
+    args: [{ label: "เลข", type: "number" }],
+    bare: true,
+    description: "ดูยาของผู้ป่วย",
+    run: ({ replyToken, text, lineUserId }) => handleShowPatientDrugs(replyToken, text, lineUserId),
+  },
+  {
+    name: "ยกเลิกผู้ดูแล",
+    topic: "ผู้ดูแล",
+    args: [{ label: "เลข", type: "number" }],
+    description: "(ผู้ป่วย) ลบผู้ดูแล",
+    run: ({ replyToken, text, lineUserId }) => handleRemoveCaregiver(replyToken, text, lineUserId),
+  },
+  {
+    name: "ยกเลิกผูกบัญชี",
+    topic: "ผู้ดูแล",
+    args: [{ label: "เลข", type: "number" }],
+    description: "(ผู้ดูแล) เลิกติดตาม",
+    run: ({ replyToken, text, lineUserId }) => handleUnlinkPatient(replyToken, text, lineUserId),
+  },
+
+  // --- รีเซ็ท ---
+  {
+    name: "รีเซ็ท",
+    aliases: ["รีเซ็ทข้อมูล"],
+    topic: "รีเซ็ท",
+    bare: "ลบข้อมูลทั้งหมด (ระบบถามยืนยันก่อน)",
+    run: ({ replyToken, lineUserId }) => handleResetStart(replyToken, lineUserId),
+  },
+  {
+    name: "ยืนยันรีเซ็ท",
+    topic: "รีเซ็ท",
+    bare: "ยืนยันหลังพิมพ์ รีเซ็ท",
+    run: ({ replyToken, lineUserId }) => handleResetConfirm(replyToken, lineUserId),
+  },
+];
+
+const COMMAND_WORDS = buildCommandWords(COMMANDS);
+
+function formatUsage(command) {
+  const args = (command.args || []).map((arg) => `[${arg.label}]`).join(" ");
+  return args ? `${command.name} ${args}` : command.name;
+}
+
+function formatUsageHelp(command) {
+  let msg = `📝 พิมพ์: ${formatUsage(command)}`;
+  if (command.examples) msg += `\nตัวอย่าง: ${command.examples[0]}`;
+  if (command.topic) msg += `\n\n💡 พิมพ์ "help ${command.topic}" ดูรายละเอียด`;
+  return msg;
+}
+
+async function replyUnknownCommand(replyToken, text) {
+  const suggestions = suggestCommands(text, COMMAND_WORDS);
+  if (suggestions.length === 0) {
+    return await reply(replyToken, `❓ ไม่เข้าใจคำสั่งค่ะ\n\n💡 พิมพ์ "help" หรือ "วิธีใช้" ดูคำสั่งทั้งหมด`);
+  }
+
+  return await reply(
+    replyToken,
+    `❓ ไม่เข้าใจคำสั่งค่ะ หมายถึง\n${suggestions.map((s) => `• ${s}`).join("\n")}\nหรือเปล่าคะ?\n\n💡 พิมพ์ "help" ดูคำสั่งทั้งหมด`,
+    suggestions.map((s) => ({ label: s.slice(0, 20), text: s }))
+  );
+}
+
+async function dispatchCommand(replyToken, lineUserId, text) {
+  const match = matchCommand(text, COMMAND_WORDS);
+  if (!match) return await replyUnknownCommand(replyToken, text);
+
+  const { command, argText } = match;
+  if (!argText && !command.bare) {
+    return await reply(replyToken, `❌ กรุณาระบุข้อมูลเพิ่มค่ะ\n\n${formatUsageHelp(command)}`);
+  }
+  if (argText && !command.args) {
+    return await replyUnknownCommand(replyToken, text);
+  }
+
+  // ส่งต่อให้ handler ในรูปชื่อหลัก เช่น "เติม พารา ๑๐" → "เติมยา พารา 10"
+  const args = parseCommandArgs(command, argText);
+  const normalizedArgText = args.join(" ");
+  return await command.run({
+    replyToken,
+    lineUserId,
+    text: normalizedArgText ? `${command.name} ${normalizedArgText}` : command.name,
+    argText: normalizedArgText,
+    args,
+  });
 }
 
 // ==================== Webhook ====================
+const EVENT_DEDUP_TTL_SECONDS = 24 * 60 * 60;
+
+function verifySignature(req) {
+  const signature = req.get("X-Line-Signature");
+  if (!CHANNEL_SECRET) {
+    console.error("❌ LINE_CHANNEL_SECRET is not set, rejecting webhook");
+    return false;
+  }
+  if (!signature || !req.rawBody) return false;
+
+  const expected = crypto
+    .createHmac("sha256", CHANNEL_SECRET)
+    .update(req.rawBody)
+    .digest("base64");
+
+  const a = Buffer.from(signature);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// LINE ส่ง event ซ้ำได้ (deliveryContext.isRedelivery) → ทำงานครั้งเดียวต่อ webhookEventId
+async function isDuplicateEvent(event) {
+  if (!event.webhookEventId) return false;
+  try {
+    const ok = await store.set(`event:${event.webhookEventId}`, "1", {
+      nx: true,
+      ex: EVENT_DEDUP_TTL_SECONDS,
+    });
+    return !ok;
+  } catch (error) {
+    console.error("❌ Redis Event Dedup Error:", error.message);
+    return false;
+  }
+}
+
 app.post("/webhook", async (req, res) => {
+  if (!verifySignature(req)) {
+    console.warn("⚠️ Invalid webhook signature");
+    return res.sendStatus(401);
+  }
+
   res.sendStatus(200);
 
   const events = req.body.events || [];
   for (const event of events) {
-    if (event.type === "message" && event.message.type === "text") {
+    if (await isDuplicateEvent(event)) {
+      const redelivery = event.deliveryContext?.isRedelivery ? " (redelivery)" : "";
+      console.log(`⏭️ Skip duplicate event ${event.webhookEventId}${redelivery}`);
+      continue;
+    }
+
+    if (event.type === "message" && ["text", "sticker"].includes(event.message.type)) {
       await handleMessage(event);
+    } else if (event.type === "postback") {
+      await handlePostback(event);
     }
   }
 });
@@ -1257,8 +5130,36 @@ app.get("/", (req, res) => {
   res.send("🏥 Medicine LINE Bot is running!");
 });
 
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  startReminderSystem();
-});
\ No newline at end of file
+// require("./index") (เช่นจาก test) ได้ฟังก์ชันเหล่านี้โดยไม่เปิด port และไม่เริ่ม cron
+module.exports = {
+  handleMessage,
+  handlePostback,
+  processMinute,
+  getUser,
+  saveUser,
+  getDoseLog,
+  saveDoseLog,
+  getLocalNow,
+};
+
+if (require.main === module) {
+  // node index.js rebuild-index → สร้าง index เวลาเตือนจากข้อมูลที่มีอยู่ แล้วจบการทำงาน
+  if (process.argv[2] === "rebuild-index") {
+    rebuildReminderIndex()
+      .then((count) => {
+        console.log(`✅ Rebuilt reminder index for ${count} users`);
+        process.exit(0);
+      })
+      .catch((error) => {
+        console.error("❌ Rebuild Index Error:", error.message);
+        process.exit(1);
+      });
+  } else {
+    const PORT = process.env.PORT || 3000;
+    app.listen(PORT, () => {
+      console.log(`🚀 Server running on port ${PORT}`);
+      console.log(`🗄️ Storage: ${STORAGE}${STORAGE === "file" ? ` (${DATA_FILE})` : ""}`);
+      ensureReminderIndex().then(startReminderSystem);
+    });
+  }
+}
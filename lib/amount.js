@@ -0,0 +1,47 @@
+// จำนวนยาต่อครั้ง หน่วย และความแรง (mg/ml) ของยา
+
+const DEFAULT_UNIT = "เม็ด";
+
+function drugUnit(drug) {
+  return drug.unit || DEFAULT_UNIT;
+}
+
+// จำนวนยาเป็นทศนิยมได้ (ครึ่งเม็ด 0.5, ยาน้ำ 2.5 ml) กันทศนิยมเพี้ยนเมื่อบวกลบสะสม:
+// ค่าที่ใกล้เศษส่วนที่ใช้จริง (1/2, 1/3, 1/4, 1/6) ให้เป็นค่านั้นพอดี ที่เหลือปัด 6 ตำแหน่ง
+// เช่น 1/3 เม็ด 3 ครั้งหักได้ 1 เม็ดพอดี (ถ้าปัด 2 ตำแหน่งจะเหลือเศษ 0.01 ทุก 3 ครั้ง)
+function roundAmount(value) {
+  const twelfths = Math.round(value * 12);
+  if (Math.abs(value * 12 - twelfths) < 1e-4) return twelfths / 12;
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// หน่วยน้ำหนักคือความแรงของยา (500mg) ไม่ใช่จำนวนที่มี → ให้อยู่ในชื่อยา
+const STRENGTH_UNITS = ["mg", "g", "mcg", "µg", "ug", "มก", "มก.", "กรัม", "มิลลิกรัม", "ไมโครกรัม"];
+
+function isStrengthUnit(unit) {
+  return STRENGTH_UNITS.includes(unit.toLowerCase());
+}
+
+// "2" / "0.5" / "1/2" → ตัวเลข หรือ NaN ถ้าไม่ใช่จำนวนที่ถูกต้อง
+function parseAmount(text) {
+  const input = String(text).trim();
+  const fraction = input.match(/^(\d+)\/(\d+)$/);
+  if (fraction) {
+    return Number(fraction[2]) > 0 ? roundAmount(Number(fraction[1]) / Number(fraction[2])) : NaN;
+  }
+  return /^\d+(\.\d+)?$/.test(input) ? roundAmount(Number(input)) : NaN;
+}
+
+// event.drugs[] ของประวัติเก่าไม่มี unit → ใช้ค่าเริ่มต้น
+function formatAmount(value, unit = DEFAULT_UNIT) {
+  return `${Math.round(value * 100) / 100} ${unit}`;
+}
+
+module.exports = {
+  DEFAULT_UNIT,
+  drugUnit,
+  roundAmount,
+  isStrengthUnit,
+  parseAmount,
+  formatAmount,
+};
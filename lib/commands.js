@@ -0,0 +1,145 @@
+// แยกคำสั่งกับ argument จากข้อความ และเดาคำสั่งที่พิมพ์ผิด รายการคำสั่ง (COMMANDS) อยู่ใน index.js
+const { normalizeTime } = require("./time");
+const { normalizeDrugName } = require("./drugs");
+
+const THAI_DIGITS = "๐๑๒๓๔๕๖๗๘๙";
+
+// เลขไทยแปลงเฉพาะ argument ที่เป็นตัวเลข ข้อความอิสระ (ชื่อยา รหัสผู้ป่วย เหตุผล) คงตามที่พิมพ์
+const ARG_TYPES = {
+  number: (token) => toArabicDigits(token),
+  time: (token) => normalizeTime(toArabicDigits(token)) || token, // "8.30" → "08:30"
+  list: (token) => toArabicDigits(token).split(",").filter(Boolean).join(","),
+  date: (token) => toArabicDigits(token), // "๓๑/๑๒/๒๕๖๙"
+  spec: (value) => toArabicDigits(value), // เงื่อนไขวันกิน/ขั้นลดยา เช่น "ทุก ๒ วัน", "๔x๒"
+  drug: (value) => (/^[0-9๐-๙]+$/.test(value) ? toArabicDigits(value) : value), // เลขยา หรือชื่อยา
+  drugs: (value) => value.split(",").map((d) => ARG_TYPES.drug(d.trim())).join(","), // "๑, พารา" → "1,พารา"
+  word: (token) => token,
+  text: (value) => value,
+};
+
+// argument ท้ายที่ไม่บังคับ (หลัง rest) นับว่ามีเมื่อคำสุดท้ายเป็นชนิดนั้น เช่น "เพิ่มยา พารา ๓๐" ไม่มีหน่วย
+// optional เป็นชื่อกลุ่ม = ต้องมีครบทั้งกลุ่มที่อยู่ติดกัน เช่น [ครั้งละ] [เลขเวลา] ของ "เพิ่มยา พารา ๒๐ ๒ ๑"
+const ARG_MATCHES = {
+  number: (token) => /^[0-9๐-๙]+(\.[0-9๐-๙]+)?$/.test(token),
+  list: (token) => /^[0-9๐-๙]+(,[0-9๐-๙]+)*$/.test(token),
+  word: (token) => !/[0-9๐-๙]/.test(token),
+  date: (token) => /^[0-9๐-๙]+([/-][0-9๐-๙]+){1,2}$/.test(token),
+};
+
+function toArabicDigits(text) {
+  return text.replace(/[๐-๙]/g, (digit) => String(THAI_DIGITS.indexOf(digit)));
+}
+
+// [ชื่อหรือ alias, คำสั่ง] เรียงยาวไปสั้น เพื่อให้ "กินยาช้า" ถูกจับก่อน "กินยา" และ "กิน"
+function buildCommandWords(commands) {
+  return commands
+    .flatMap((command) => [command.name, ...(command.aliases || [])].map((word) => [word.toLowerCase(), command]))
+    .sort((a, b) => b[0].length - a[0].length);
+}
+
+// ข้อความ → { command, argText } โดยชื่อคำสั่งต้องตามด้วยช่องว่างหรือจบข้อความ
+function matchCommand(text, commandWords) {
+  const lower = text.toLowerCase();
+  for (const [word, command] of commandWords) {
+    if (lower === word || lower.startsWith(`${word} `)) {
+      return { command, argText: text.slice(word.length).trim() };
+    }
+  }
+  return null;
+}
+
+// แปลง argument ตามชนิด: ตัวเลขไทย → อารบิก, "1, 2" → "1,2", "8.30" → "08:30"
+// argument ก่อน rest จับจากหน้า หลัง rest จับจากท้าย (ชื่อยามีช่องว่างได้) rest แปลงทั้งก้อน
+function parseCommandArgs(command, argText) {
+  const tokens = argText.split(/\s+/).filter(Boolean);
+  const args = command.args || [];
+  const restIndex = args.findIndex((arg) => arg.rest);
+  const front = restIndex === -1 ? args : args.slice(0, restIndex);
+  const back = restIndex === -1 ? [] : args.slice(restIndex + 1);
+
+  front.forEach((arg, i) => {
+    if (i >= tokens.length) return;
+    // รายการที่เว้นวรรครอบจุลภาค "1, 2" / "1 ,2" รวมเป็นคำเดียวก่อน
+    while (arg.type === "list" && i + 1 < tokens.length && (tokens[i].endsWith(",") || tokens[i + 1].startsWith(","))) {
+      tokens.splice(i, 2, tokens[i] + tokens[i + 1]);
+    }
+    tokens[i] = ARG_TYPES[arg.type](tokens[i]);
+  });
+  let restEnd = tokens.length;
+  const reversed = [...back].reverse();
+  for (let i = 0; i < reversed.length; ) {
+    const arg = reversed[i];
+    let size = 1;
+    while (typeof arg.optional === "string" && reversed[i + size] && reversed[i + size].optional === arg.optional) {
+      size += 1;
+    }
+    const group = reversed.slice(i, i + size);
+    i += size;
+
+    if (restEnd - size < front.length) continue;
+    if (arg.optional && !group.every((a, j) => ARG_MATCHES[a.type](tokens[restEnd - 1 - j]))) continue;
+    group.forEach((a) => {
+      restEnd -= 1;
+      tokens[restEnd] = ARG_TYPES[a.type](tokens[restEnd]);
+    });
+  }
+
+  if (restIndex !== -1 && restEnd > front.length) {
+    const rest = tokens.slice(front.length, restEnd).join(" ");
+    tokens.splice(front.length, restEnd - front.length, ARG_TYPES[args[restIndex].type](rest));
+  }
+
+  return tokens;
+}
+
+// ระยะแก้ไข (Levenshtein) ใช้เดาคำสั่งที่พิมพ์ผิด
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// คำสั่งที่ใกล้เคียงกับคำแรกที่พิมพ์ (ไม่สนวรรณยุกต์) สูงสุด 3 คำสั่ง
+// คำสั่งที่ไม่รับ argument แนะนำได้เฉพาะเมื่อพิมพ์มาคำเดียว
+function suggestCommands(text, commandWords) {
+  const [head, ...rest] = text.split(/\s+/);
+  const argText = rest.join(" ");
+  const input = normalizeDrugName(head);
+  const seen = new Set();
+  const suggestions = [];
+
+  const scored = commandWords.map(([word, command]) => {
+    const target = normalizeDrugName(word);
+    // ลืมเว้นวรรค เช่น "เติมยา1 30" → "เติมยา 1 30"
+    if (input.length > target.length && input.startsWith(target)) {
+      return { command, distance: 0, limit: 0, args: [input.slice(target.length), argText].join(" ").trim() };
+    }
+    return { command, distance: editDistance(input, target), limit: Math.max(1, Math.floor(target.length / 3)), args: argText };
+  })
+    .filter((s) => s.distance <= s.limit && (s.command.args || !s.args))
+    .sort((a, b) => a.distance - b.distance);
+  const glued = scored.filter((s) => s.limit === 0);
+
+  for (const s of glued.length > 0 ? glued : scored) {
+    if (seen.has(s.command)) continue;
+    seen.add(s.command);
+    suggestions.push(s.args ? `${s.command.name} ${s.args}` : s.command.name);
+    if (suggestions.length === 3) break;
+  }
+  return suggestions;
+}
+
+module.exports = {
+  ARG_TYPES,
+  toArabicDigits,
+  buildCommandWords,
+  matchCommand,
+  parseCommandArgs,
+  suggestCommands,
+};
@@ -0,0 +1,53 @@
+// ค้นหายาจากชื่อ/ต้นชื่อ ไม่สนช่องว่าง วรรณยุกต์ ตัวพิมพ์เล็ก-ใหญ่ และชื่อย่อที่ใช้บ่อย
+
+const THAI_MARKS = /[\u0E47-\u0E4C]/g; // ็ ่ ้ ๊ ๋ ์
+
+const DRUG_ALIASES = [
+  ["พาราเซตามอล", "พารา", "paracetamol", "para", "acetaminophen", "tylenol", "ไทลินอล"],
+  ["ไอบูโพรเฟน", "ไอบู", "ibuprofen", "brufen", "บรูเฟน"],
+  ["แอสไพริน", "aspirin", "asa"],
+  ["อะม็อกซีซิลลิน", "อะม็อกซี่", "amoxicillin", "amox"],
+  ["เมทฟอร์มิน", "metformin"],
+  ["แอมโลดิพีน", "แอมโล", "amlodipine", "amlo"],
+  ["โอเมพราโซล", "omeprazole", "ome"],
+  ["ซิมวาสแตติน", "simvastatin", "simva"],
+  ["โลซาร์แทน", "losartan"],
+  ["วิตามิน", "vitamin", "vit"],
+];
+
+function normalizeDrugName(text) {
+  return String(text).toLowerCase().replace(THAI_MARKS, "").replace(/[\s.\-_()]/g, "");
+}
+
+// ชื่อเต็ม/ชื่อย่ออื่นในกลุ่มเดียวกับคำค้น เช่น "พารา" → ["พาราเซตามอล", "paracetamol", ...]
+function getAliasTerms(query) {
+  return DRUG_ALIASES.filter((group) => group.some((name) => normalizeDrugName(name) === query))
+    .flat()
+    .map(normalizeDrugName);
+}
+
+// ค้นยาจากชื่อ ไล่จากตรงที่สุด: ตรงทั้งชื่อ → ขึ้นต้นด้วยคำค้น → ชื่อย่อ/ชื่ออื่น → มีคำค้นอยู่ในชื่อ
+function findDrugsByName(user, query) {
+  const q = normalizeDrugName(query);
+  if (!q) return [];
+
+  const names = user.drugs.map((drug) => normalizeDrugName(drug.name));
+  const aliases = getAliasTerms(q);
+  const tiers = [
+    (name) => name === q,
+    (name) => name.startsWith(q),
+    (name) => aliases.some((alias) => name.startsWith(alias)),
+    (name) => q.length >= 2 && name.includes(q),
+  ];
+
+  for (const matches of tiers) {
+    const found = user.drugs.filter((drug, i) => matches(names[i]));
+    if (found.length > 0) return found;
+  }
+  return [];
+}
+
+module.exports = {
+  normalizeDrugName,
+  findDrugsByName,
+};
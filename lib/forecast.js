@@ -0,0 +1,100 @@
+// คำนวณวันที่ยาจะหมดจากตารางกินจริง (จำนวนรอบต่อวัน, วันที่กิน, คอร์ส, ช่วงลดยา) ใช้ที่เดียวทุกหน้าจอ
+const { formatTime, formatDateKey } = require("./time");
+const { roundAmount } = require("./amount");
+const { isDrugDue, pickScheduleRule, getTaperWindow, getDosePills } = require("./schedule");
+
+const STOCK_CRITICAL_DAYS = 5;
+const STOCK_LOW_DAYS = 10;
+const FORECAST_MAX_DAYS = 365;
+
+// ปริมาณที่ต้องใช้ในวันที่ date (ทุกรอบของทุก schedule ที่ถึงกำหนดวันนั้น)
+// isPending(index): นับเฉพาะรอบที่ยังไม่ถึงเวลา (ใช้กับวันนี้ รอบที่ผ่านไปแล้วถือว่ากินไปแล้ว)
+function getDayUse(drug, date, isPending = () => true) {
+  return (drug.schedules || []).reduce((sum, s) => {
+    if (!isDrugDue(drug, s, date)) return sum;
+    return sum + getDosePills(drug, s, date) * s.times.filter(isPending).length;
+  }, 0);
+}
+
+// { dailyUse, daysLeft, runOutDate, level } — daysLeft/runOutDate = null ถ้าไม่หมดภายใน FORECAST_MAX_DAYS
+// หรือไม่มีตารางกินต่อ (ยาตามอาการ / ครบคอร์สก่อนยาหมด)
+// today = เวลาปัจจุบันของผู้ใช้ (getUserNow) reminderTimes: ถ้าส่งมา วันนี้จะนับเฉพาะรอบที่ยังไม่ถึงเวลา
+function forecastDrug(drug, today, reminderTimes = null) {
+  const nowTime = formatTime(today);
+  const pendingToday = (index) => !reminderTimes || !reminderTimes[index] || reminderTimes[index] >= nowTime;
+  const dayAt = (d) => new Date(today.getFullYear(), today.getMonth(), today.getDate() + d);
+
+  let forecast = { used: 0, daysLeft: null }; // ยาตามอาการไม่มีตารางกิน
+  if (!drug.prn) {
+    forecast = isPlainSchedule(drug)
+      ? forecastPlain(drug, getDayUse(drug, today, pendingToday), getDayUse(drug, dayAt(1)))
+      : forecastByDay(drug, pendingToday, dayAt);
+  }
+  const { used, daysLeft } = forecast;
+  const runOutDate = daysLeft === null ? null : formatDateKey(dayAt(daysLeft));
+
+  const dailyUse = roundAmount(used / (daysLeft === null ? FORECAST_MAX_DAYS : daysLeft + 1));
+
+  let level = "ok";
+  if (drug.quantity <= 0) level = "out";
+  else if (daysLeft !== null && daysLeft < STOCK_CRITICAL_DAYS) level = "critical";
+  else if (daysLeft !== null && daysLeft < STOCK_LOW_DAYS) level = "low";
+
+  return { dailyUse, daysLeft, runOutDate, level };
+}
+
+// ยากินทุกวันเท่าเดิม (ไม่มีเงื่อนไขวัน/คอร์ส/ลดยา) → ใช้ต่อวันคงที่ คำนวณได้โดยไม่ต้องไล่ทีละวัน
+function isPlainSchedule(drug) {
+  if (drug.phases) return false;
+  return (drug.schedules || []).every((s) => Object.keys(pickScheduleRule(s)).length === 0);
+}
+
+// เหมือน forecastByDay: วันนี้ใช้ needToday จากนั้นวันละ perDay หมดในวันแรกที่เหลือไม่พอ
+function forecastPlain(drug, needToday, perDay) {
+  if (needToday > 0 && drug.quantity < needToday) return { used: needToday, daysLeft: 0 };
+  if (perDay <= 0) return { used: needToday, daysLeft: null };
+
+  // วันที่ d (d ≥ 1) เหลือ quantity - needToday - (d - 1) * perDay ไม่พอเมื่อ d > (quantity - needToday) / perDay
+  const daysLeft = Math.floor(roundAmount((drug.quantity - needToday) / perDay)) + 1;
+  if (daysLeft >= FORECAST_MAX_DAYS) return { used: needToday + (FORECAST_MAX_DAYS - 1) * perDay, daysLeft: null };
+  return { used: needToday + daysLeft * perDay, daysLeft };
+}
+
+// ไล่ทีละวัน ถึงวันสุดท้ายที่ยังมีตารางกิน (คอร์ส/ลดยา) หรือ FORECAST_MAX_DAYS
+function forecastByDay(drug, pendingToday, dayAt) {
+  const lastKey = getLastDoseDateKey(drug);
+  let remaining = drug.quantity;
+  let used = 0;
+
+  for (let d = 0; d < FORECAST_MAX_DAYS; d++) {
+    const date = dayAt(d);
+    if (lastKey && formatDateKey(date) > lastKey) break;
+    const need = getDayUse(drug, date, d === 0 ? pendingToday : undefined);
+    used += need;
+    if (need > 0 && remaining < need) return { used, daysLeft: d };
+    remaining -= need;
+  }
+  return { used, daysLeft: null };
+}
+
+// วันสุดท้ายที่ยังต้องกินยา (null = ไม่มีกำหนดจบ)
+function getLastDoseDateKey(drug) {
+  const schedules = drug.schedules || [];
+  if (schedules.length === 0) return null;
+  let lastKey = schedules.every((s) => s.endDate) ? schedules.map((s) => s.endDate).sort().pop() : null;
+  const taper = getTaperWindow(drug);
+  if (taper && (!lastKey || taper.endDate < lastKey)) lastKey = taper.endDate;
+  return lastKey;
+}
+
+function getStockLevel(drug, today, reminderTimes) {
+  return forecastDrug(drug, today, reminderTimes).level;
+}
+
+module.exports = {
+  STOCK_CRITICAL_DAYS,
+  STOCK_LOW_DAYS,
+  FORECAST_MAX_DAYS,
+  forecastDrug,
+  getStockLevel,
+};
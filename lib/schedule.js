@@ -0,0 +1,211 @@
+// วันที่ต้องกินยา (ทุกวัน/บางวัน/วันเว้นวัน/คอร์ส) และช่วงลดยา
+const { formatDateKey, parseDateKey, formatShortDate, parseDateInput } = require("./time");
+const { drugUnit, formatAmount } = require("./amount");
+
+// schedules[] รองรับ daysOfWeek (0=อา..6=ส), everyNDays (นับจาก startDate), startDate/endDate ("YYYY-MM-DD")
+// ไม่มีฟิลด์เหล่านี้ = กินทุกวันไม่มีกำหนด (ข้อมูลเดิม)
+const SCHEDULE_RULE_FIELDS = ["daysOfWeek", "everyNDays", "startDate", "endDate"];
+
+const DAY_NAMES = ["อา", "จ", "อ", "พ", "พฤ", "ศ", "ส"];
+
+const DAY_ALIASES = {
+  อา: 0, อาทิตย์: 0,
+  จ: 1, จันทร์: 1,
+  อ: 2, อังคาร: 2,
+  พ: 3, พุธ: 3,
+  พฤ: 4, พฤหัส: 4, พฤหัสบดี: 4,
+  ศ: 5, ศุกร์: 5,
+  ส: 6, เสาร์: 6,
+};
+
+function isScheduleDue(schedule, date) {
+  const dateKey = formatDateKey(date);
+  if (schedule.startDate && dateKey < schedule.startDate) return false;
+  if (schedule.endDate && dateKey > schedule.endDate) return false;
+  if (schedule.daysOfWeek && !schedule.daysOfWeek.includes(date.getDay())) return false;
+
+  if (schedule.everyNDays > 1 && schedule.startDate) {
+    const start = parseDateKey(schedule.startDate);
+    const days = Math.round((parseDateKey(dateKey) - start) / (24 * 60 * 60 * 1000));
+    if (days % schedule.everyNDays !== 0) return false;
+  }
+  return true;
+}
+
+// ถึงกำหนดทั้งตามเงื่อนไขวันของ schedule และอยู่ในช่วงลดยา (ถ้ามี) ยาตามอาการพักตารางเวลาไว้
+function isDrugDue(drug, schedule, date) {
+  if (drug.prn) return false;
+  if (!isScheduleDue(schedule, date)) return false;
+  const taper = getTaperWindow(drug);
+  if (!taper) return true;
+  const dateKey = formatDateKey(date);
+  return taper.startDate <= dateKey && dateKey <= taper.endDate;
+}
+
+// schedule ของยาที่ต้องกินในรอบ index ของวันที่ date (null = วันนี้ไม่ต้องกิน)
+function getSlotSchedule(drug, index, date) {
+  return (drug.schedules || []).find((s) => s.times.includes(index) && isDrugDue(drug, s, date)) || null;
+}
+
+function pickScheduleRule(schedule) {
+  const rule = {};
+  SCHEDULE_RULE_FIELDS.forEach((field) => {
+    if (schedule && schedule[field] !== undefined) rule[field] = schedule[field];
+  });
+  return rule;
+}
+
+function describeSchedule(schedule) {
+  let text = "ทุกวัน";
+  if (schedule.daysOfWeek) {
+    text = `ทุกวัน ${schedule.daysOfWeek.map((d) => DAY_NAMES[d]).join(",")}`;
+  } else if (schedule.everyNDays > 1) {
+    text = schedule.everyNDays === 2 ? "วันเว้นวัน" : `ทุก ${schedule.everyNDays} วัน`;
+  }
+  if (schedule.startDate && schedule.endDate) {
+    text += ` (${formatShortDate(schedule.startDate)} - ${formatShortDate(schedule.endDate)})`;
+  } else if (schedule.endDate) {
+    text += ` (ถึง ${formatShortDate(schedule.endDate)})`;
+  } else if (schedule.startDate) {
+    text += ` (เริ่ม ${formatShortDate(schedule.startDate)})`;
+  }
+  return text;
+}
+
+// แปลงเงื่อนไข เช่น "จ,พ,ศ", "วันเว้นวัน", "ทุก 3 วัน", "7 วัน", "เริ่ม 1/11", "ถึง 2024-01-31"
+function parseScheduleRule(input, today) {
+  const tokens = input
+    .replace(/(\d)([ก-๙])/g, "$1 $2")
+    .replace(/([ก-๙])(\d)/g, "$1 $2")
+    .split(/\s+/)
+    .filter(Boolean);
+  const rule = {};
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const next = tokens[i + 1];
+
+    if (token === "ทุกวัน") {
+      rule.reset = true;
+    } else if (token === "วันเว้นวัน") {
+      rule.everyNDays = 2;
+    } else if (token === "ทุก" && /^\d+$/.test(next) && tokens[i + 2] === "วัน") {
+      rule.everyNDays = parseInt(next);
+      i += 2;
+    } else if (/^\d+$/.test(token) && next === "วัน") {
+      rule.courseDays = parseInt(token);
+      i += 1;
+    } else if ((token === "เริ่ม" || token === "ถึง") && next) {
+      const dateKey = parseDateInput(next, today);
+      if (!dateKey) return { error: `วันที่ "${next}" ไม่ถูกต้อง` };
+      rule[token === "เริ่ม" ? "startDate" : "endDate"] = dateKey;
+      i += 1;
+    } else {
+      const days = token.split(",").map((d) => DAY_ALIASES[d]);
+      if (days.some((d) => d === undefined)) return { error: `ไม่เข้าใจ "${token}"` };
+      rule.daysOfWeek = [...new Set([...(rule.daysOfWeek || []), ...days])].sort();
+    }
+  }
+
+  if (rule.everyNDays !== undefined && (rule.everyNDays < 1 || rule.everyNDays > 365)) {
+    return { error: "จำนวนวันต้องอยู่ระหว่าง 1 ถึง 365" };
+  }
+  if (rule.courseDays !== undefined && (rule.courseDays < 1 || rule.courseDays > 365)) {
+    return { error: "จำนวนวันของคอร์สต้องอยู่ระหว่าง 1 ถึง 365" };
+  }
+  return rule;
+}
+
+function applyScheduleRule(schedule, rule, today) {
+  if (rule.reset) {
+    SCHEDULE_RULE_FIELDS.forEach((field) => delete schedule[field]);
+  }
+  if (rule.daysOfWeek) {
+    schedule.daysOfWeek = rule.daysOfWeek;
+    delete schedule.everyNDays;
+  }
+  if (rule.everyNDays) {
+    delete schedule.daysOfWeek;
+    if (rule.everyNDays > 1) schedule.everyNDays = rule.everyNDays;
+    else delete schedule.everyNDays;
+  }
+  if (rule.startDate) schedule.startDate = rule.startDate;
+  if (rule.endDate) schedule.endDate = rule.endDate;
+
+  // ทุก N วันนับจากวันเริ่ม / คอร์ส N วันเริ่มวันนี้ถ้าไม่ได้ระบุ
+  if ((schedule.everyNDays || rule.courseDays) && !schedule.startDate) {
+    schedule.startDate = formatDateKey(today);
+  }
+  if (rule.courseDays) {
+    const start = parseDateKey(schedule.startDate);
+    schedule.endDate = formatDateKey(
+      new Date(start.getFullYear(), start.getMonth(), start.getDate() + rule.courseDays - 1)
+    );
+  }
+}
+
+// drug.phases = [{ startDate, endDate, pills }] ต่อเนื่องกัน ใช้แทน schedules[].pills ในช่วงวันที่นั้น
+// นอกช่วงลดยาไม่ต้องกิน (isDrugDue) และเมื่อเลยช่วงสุดท้ายจะหยุดเตือนและแจ้งครบคอร์สเหมือนคอร์สยาทั่วไป
+// ไม่แตะ startDate/endDate ของ schedules เพราะเป็นเงื่อนไขของ "ตั้งวันกินยา" (เช่น ทุก 7 วัน นับจาก startDate)
+function getTaperWindow(drug) {
+  if (!drug.phases || drug.phases.length === 0) return null;
+  return { startDate: drug.phases[0].startDate, endDate: drug.phases[drug.phases.length - 1].endDate };
+}
+
+function getCurrentPhase(drug, date) {
+  const dateKey = formatDateKey(date);
+  return (drug.phases || []).find((p) => p.startDate <= dateKey && dateKey <= p.endDate) || null;
+}
+
+// date ต้องเป็นวันที่ตามเวลาท้องถิ่นของผู้ใช้ (getUserNow / slotDate) ไม่ใช่เวลาเครื่อง server
+function getDosePills(drug, schedule, date) {
+  const phase = getCurrentPhase(drug, date);
+  return phase ? phase.pills : (schedule && schedule.pills) || 1;
+}
+
+function describePhases(drug, today) {
+  const current = getCurrentPhase(drug, today);
+  return drug.phases
+    .map((p) => {
+      const text = `${formatAmount(p.pills, drugUnit(drug))} ${formatShortDate(p.startDate)}-${formatShortDate(p.endDate)}`;
+      return p === current ? `▶️ ${text} (ตอนนี้)` : `   ${text}`;
+    })
+    .join("\n");
+}
+
+// "4x5 3x5 0.5x5" = 4 เม็ด 5 วัน → 3 เม็ด 5 วัน → ครึ่งเม็ด 5 วัน (รองรับ x, ×, *)
+const PHASE_PATTERN = /^(\d+(?:\.\d+)?)[x×*](\d+)$/i;
+
+function parsePhases(tokens, startDateKey) {
+  const phases = [];
+  let cursor = parseDateKey(startDateKey);
+
+  for (const token of tokens) {
+    const match = token.match(PHASE_PATTERN);
+    if (!match) return null;
+    const pills = Number(match[1]);
+    const days = parseInt(match[2]);
+    if (!(pills > 0) || days <= 0 || days > 365) return null;
+
+    const end = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + days - 1);
+    phases.push({ startDate: formatDateKey(cursor), endDate: formatDateKey(end), pills });
+    cursor = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+  }
+  return phases.length > 0 ? phases : null;
+}
+
+module.exports = {
+  isScheduleDue,
+  isDrugDue,
+  getSlotSchedule,
+  pickScheduleRule,
+  describeSchedule,
+  parseScheduleRule,
+  applyScheduleRule,
+  getTaperWindow,
+  getCurrentPhase,
+  getDosePills,
+  describePhases,
+  PHASE_PATTERN,
+  parsePhases,
+};
@@ -0,0 +1,96 @@
+// ล็อตยาและวันหมดอายุ: เติม หัก และคืนยาตามล็อต (ไม่มีสถานะ แก้ที่ drug ที่ส่งมา)
+const { formatDateKey } = require("./time");
+const { roundAmount } = require("./amount");
+
+// drug.batches = [{ quantity, expiry: "YYYY-MM-DD" | null, warned?: "near" | "expired" }] เรียงตามวันหมดอายุ
+// ยาที่ไม่เคยระบุวันหมดอายุไม่มี batches เลย เมื่อมีล็อตแล้ว ยาทุกครั้งที่เติมเป็นล็อต (ไม่ระบุวัน = null อยู่ท้ายสุด)
+// เพื่อให้ผลรวม batches เท่ากับ drug.quantity เสมอ
+const EXPIRY_WARN_DAYS = parseInt(process.env.EXPIRY_WARN_DAYS) || 30;
+
+function addBatch(drug, quantity, expiry) {
+  drug.batches = drug.batches || [];
+  const existing = drug.batches.find((b) => b.expiry === expiry);
+  if (existing) existing.quantity = roundAmount(existing.quantity + quantity);
+  else drug.batches.push({ quantity, expiry });
+  drug.batches.sort((a, b) => {
+    if (a.expiry === b.expiry) return 0;
+    if (a.expiry === null) return 1;
+    if (b.expiry === null) return -1;
+    return a.expiry < b.expiry ? -1 : 1;
+  });
+}
+
+// เติมยา: ล็อตแรกที่มีวันหมดอายุ → ยาที่มีอยู่เดิมกลายเป็นล็อตไม่ระบุวันก่อน
+function addStock(drug, quantity, expiry) {
+  if (expiry && !drug.batches && drug.quantity > 0) {
+    drug.batches = [{ quantity: drug.quantity, expiry: null }];
+  }
+  drug.quantity = roundAmount(drug.quantity + quantity);
+  if (drug.batches || expiry) addBatch(drug, quantity, expiry || null);
+}
+
+// หักยาแบบ FEFO: ล็อตที่หมดอายุก่อนถูกใช้ก่อน แต่ข้ามล็อตที่หมดอายุแล้ว (ใช้เป็นลำดับสุดท้ายเมื่อไม่มีล็อตอื่น)
+// คืนค่าล็อตที่ถูกหัก (ใช้คืนยาตอนยกเลิกการกิน)
+function consumeStock(drug, amount, today) {
+  drug.quantity = roundAmount(drug.quantity - amount);
+
+  const batches = drug.batches || [];
+  const isExpired = (b) => getExpiryStatus(b.expiry, today) === "expired";
+  let remaining = amount;
+  const usedBatches = [];
+  for (const batch of [...batches.filter((b) => !isExpired(b)), ...batches.filter(isExpired)]) {
+    if (remaining <= 0) break;
+    const used = Math.min(batch.quantity, remaining);
+    batch.quantity = roundAmount(batch.quantity - used);
+    remaining = roundAmount(remaining - used);
+    usedBatches.push({ quantity: used, expiry: batch.expiry });
+  }
+  if (drug.batches) {
+    drug.batches = drug.batches.filter((b) => b.quantity > 0);
+    // กันข้อมูลเก่าที่ผลรวมล็อตเกินจำนวนยาจริง
+    trimBatches(drug);
+    if (drug.batches.length === 0) delete drug.batches;
+  }
+  return usedBatches;
+}
+
+// คืนยากลับเข้าสต็อก (ล็อตเดิมถ้ารู้ว่าหักจากล็อตไหน ส่วนที่ไม่รู้เป็นล็อตไม่ระบุวัน)
+function restoreStock(drug, amount, batches = []) {
+  // ยาที่ไม่อยู่ในล็อตใด (เช่น ล็อตหมดแล้วเติมแบบไม่ระบุวัน) เป็นล็อตไม่ระบุวันก่อน เหมือน addStock
+  if (drug.batches || batches.length > 0) {
+    const tracked = (drug.batches || []).reduce((sum, b) => sum + b.quantity, 0);
+    const existing = roundAmount(Math.max(drug.quantity, 0) - tracked);
+    if (existing > 0) addBatch(drug, existing, null);
+  }
+  drug.quantity = roundAmount(drug.quantity + amount);
+  batches.forEach((b) => addBatch(drug, b.quantity, b.expiry));
+  const untracked = roundAmount(amount - batches.reduce((sum, b) => sum + b.quantity, 0));
+  if (drug.batches && untracked > 0) addBatch(drug, untracked, null);
+}
+
+function trimBatches(drug) {
+  let excess = roundAmount(drug.batches.reduce((sum, b) => sum + b.quantity, 0) - Math.max(drug.quantity, 0));
+  for (let i = drug.batches.length - 1; i >= 0 && excess > 0; i--) {
+    const cut = Math.min(drug.batches[i].quantity, excess);
+    drug.batches[i].quantity = roundAmount(drug.batches[i].quantity - cut);
+    excess = roundAmount(excess - cut);
+  }
+  drug.batches = drug.batches.filter((b) => b.quantity > 0);
+}
+
+// "expired" | "near" | "ok" ของล็อตเทียบกับวันนี้ (ล็อตไม่ระบุวัน = "ok")
+function getExpiryStatus(expiry, today) {
+  if (!expiry) return "ok";
+  const todayKey = formatDateKey(today);
+  if (expiry < todayKey) return "expired";
+  const warnFrom = new Date(today.getFullYear(), today.getMonth(), today.getDate() + EXPIRY_WARN_DAYS);
+  return expiry <= formatDateKey(warnFrom) ? "near" : "ok";
+}
+
+module.exports = {
+  EXPIRY_WARN_DAYS,
+  addStock,
+  consumeStock,
+  restoreStock,
+  getExpiryStatus,
+};
@@ -0,0 +1,73 @@
+// แปลงเวลาและวันที่ ("HH:MM", "YYYY-MM-DD") ไม่มีสถานะ ใช้ได้ทั้งบอทและสคริปต์
+
+function formatTime(date) {
+  return `${String(date.getHours()).padStart(2, "0")}:${String(date.getMinutes()).padStart(2, "0")}`;
+}
+
+// "2024-01-31" ใช้เป็น key รายวัน
+function formatDateKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+// "8.30" / "08:30" → "08:30" หรือ null ถ้าไม่ใช่เวลาที่ถูกต้อง
+function normalizeTime(input) {
+  let time = input.trim().replace(".", ":");
+
+  const parts = time.split(":");
+  if (parts.length === 2) {
+    time = `${parts[0].padStart(2, "0")}:${parts[1].padStart(2, "0")}`;
+  }
+
+  const regex = /^([01]?[0-9]|2[0-3]):([0-5][0-9])$/;
+  return regex.test(time) ? time : null;
+}
+
+function timeToMinutes(time) {
+  const [h, m] = time.split(":").map(Number);
+  return h * 60 + m;
+}
+
+function parseDateKey(dateKey) {
+  const [y, m, d] = dateKey.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+// "08:00" ± นาที → "HH:MM" (วนรอบ 24 ชม.)
+function shiftTime(time, minutes) {
+  const total = (((timeToMinutes(time) + minutes) % 1440) + 1440) % 1440;
+  return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+}
+
+function formatShortDate(dateKey) {
+  return parseDateKey(dateKey).toLocaleDateString("th-TH", { day: "numeric", month: "short" });
+}
+
+// "2024-01-31" / "31/1" / "31/1/2024" / "31/1/2567" → "2024-01-31" หรือ null
+function parseDateInput(input, today) {
+  let match = input.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  let y, m, d;
+  if (match) {
+    [y, m, d] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  } else {
+    match = input.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?$/);
+    if (!match) return null;
+    [d, m] = [Number(match[1]), Number(match[2])];
+    y = match[3] ? Number(match[3]) : today.getFullYear();
+    if (y > 2400) y -= 543; // ปี พ.ศ.
+  }
+
+  const date = new Date(y, m - 1, d);
+  if (date.getFullYear() !== y || date.getMonth() !== m - 1 || date.getDate() !== d) return null;
+  return formatDateKey(date);
+}
+
+module.exports = {
+  formatTime,
+  formatDateKey,
+  normalizeTime,
+  timeToMinutes,
+  parseDateKey,
+  shiftTime,
+  formatShortDate,
+  parseDateInput,
+};
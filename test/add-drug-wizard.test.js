@@ -0,0 +1,40 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { bot, createUser, sendText } = require("./helpers/bot");
+
+test("wizard เพิ่มยา: ถามทีละขั้นแล้วบันทึกยาเมื่อยืนยัน", async () => {
+  const user = await createUser({ drugs: [] });
+
+  assert.match((await sendText(user.lineUserId, "เพิ่มยา"))[0], /ขั้นที่ 1\/5/);
+  assert.match((await sendText(user.lineUserId, "พารา"))[0], /ขั้นที่ 2\/5/);
+  assert.match((await sendText(user.lineUserId, "ศูนย์"))[0], /จำนวนต้องเป็นตัวเลข/);
+  assert.match((await sendText(user.lineUserId, "30"))[0], /ขั้นที่ 3\/5/);
+  assert.match((await sendText(user.lineUserId, "เม็ด"))[0], /ขั้นที่ 4\/5/);
+  assert.match((await sendText(user.lineUserId, "1"))[0], /ขั้นที่ 5\/5/);
+  assert.match((await sendText(user.lineUserId, "0.5"))[0], /สรุปยาที่จะเพิ่ม/);
+  assert.match((await sendText(user.lineUserId, "ยืนยัน"))[0], /เพิ่มยาสำเร็จ/);
+
+  const saved = await bot.getUser(user.lineUserId);
+  assert.deepEqual(saved.drugs, [
+    { name: "พารา", quantity: 30, unit: "เม็ด", schedules: [{ times: [0], pills: 0.5 }] },
+  ]);
+});
+
+test("wizard เพิ่มยา: ยกเลิกกลางทางไม่บันทึกยา และคำสั่งถัดไปทำงานตามปกติ", async () => {
+  const user = await createUser({ drugs: [] });
+  await sendText(user.lineUserId, "เพิ่มยา");
+  await sendText(user.lineUserId, "พารา");
+  await sendText(user.lineUserId, "ยกเลิก");
+
+  assert.deepEqual((await bot.getUser(user.lineUserId)).drugs, []);
+  // ไม่ค้างอยู่ในขั้นจำนวนยา
+  assert.doesNotMatch((await sendText(user.lineUserId, "ดูยา"))[0], /จำนวนต้องเป็นตัวเลข/);
+});
+
+test("wizard เพิ่มยา: ชื่อซ้ำกับยาที่มีอยู่ให้พิมพ์ชื่อใหม่", async () => {
+  const user = await createUser({ drugs: [{ name: "พารา", quantity: 10, schedules: [] }] });
+  await sendText(user.lineUserId, "เพิ่มยา");
+
+  assert.match((await sendText(user.lineUserId, "พารา"))[0], /มียา "พารา" อยู่แล้ว/);
+  assert.match((await sendText(user.lineUserId, "ไอบู"))[0], /ขั้นที่ 2\/5/);
+});
@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildCommandWords, matchCommand, parseCommandArgs, suggestCommands } = require("../lib/commands");
+
+// รูปแบบเดียวกับ COMMANDS ใน index.js (เฉพาะส่วนที่ parser ใช้)
+const ADD = {
+  name: "เพิ่มยา",
+  aliases: ["เพิ่ม"],
+  args: [
+    { label: "ชื่อยา", type: "text", rest: true },
+    { label: "จำนวน", type: "number" },
+    { label: "หน่วย", type: "word", optional: true },
+    { label: "ครั้งละ", type: "number", optional: "schedule" },
+    { label: "เลขเวลา", type: "list", optional: "schedule" },
+  ],
+};
+const REFILL = {
+  name: "เติมยา",
+  aliases: ["เติม"],
+  args: [
+    { label: "เลขหรือชื่อยา", type: "drug", rest: true },
+    { label: "จำนวน", type: "number" },
+    { label: "วันหมดอายุ", type: "date", optional: true },
+  ],
+};
+const SET_DRUG_TIMES = {
+  name: "ตั้งเวลากินยา",
+  args: [
+    { label: "เลขเวลา", type: "list" },
+    { label: "ยา", type: "drugs", rest: true },
+    { label: "ครั้งละ", type: "number" },
+  ],
+};
+const SET_TIME = { name: "ตั้งเวลา", args: [{ label: "เลขเวลา", type: "number" }, { label: "เวลา", type: "time" }] };
+const TAKE = { name: "กินยา", aliases: ["กิน"], args: [{ label: "เลขเวลา", type: "number" }] };
+const TAKE_LATE = { name: "กินยาช้า", args: [{ label: "เลขเวลา", type: "number" }] };
+const SHOW = { name: "ดูยา", aliases: ["ยา"] };
+const COMMAND_WORDS = buildCommandWords([ADD, REFILL, SET_DRUG_TIMES, SET_TIME, TAKE, TAKE_LATE, SHOW]);
+
+test("matchCommand จับคำสั่งที่ยาวที่สุดก่อน และต้องตามด้วยช่องว่าง", () => {
+  assert.equal(matchCommand("กินยาช้า 1", COMMAND_WORDS).command, TAKE_LATE);
+  assert.deepEqual(matchCommand("กินยา 1", COMMAND_WORDS), { command: TAKE, argText: "1" });
+  assert.equal(matchCommand("กิน 2", COMMAND_WORDS).command, TAKE);
+  assert.equal(matchCommand("กินยา1", COMMAND_WORDS), null);
+});
+
+test("parseCommandArgs แปลงเลขไทยเฉพาะ argument ที่เป็นตัวเลข", () => {
+  assert.deepEqual(parseCommandArgs(ADD, "ยาแก้ไอ ๑๒๐ ml"), ["ยาแก้ไอ", "120", "ml"]);
+  assert.deepEqual(parseCommandArgs(REFILL, "๒ ๓๐ ๓๑/๑๒/๒๕๖๙"), ["2", "30", "31/12/2569"]);
+  assert.deepEqual(parseCommandArgs(REFILL, "วิตามินบี๑ ๓๐"), ["วิตามินบี๑", "30"]);
+});
+
+test("parseCommandArgs รวมชื่อยาที่มีช่องว่าง และข้าม argument ท้ายที่ไม่ได้ใส่", () => {
+  assert.deepEqual(parseCommandArgs(ADD, "ยา ความดัน 30"), ["ยา ความดัน", "30"]);
+  assert.deepEqual(parseCommandArgs(REFILL, "ยา ความดัน 30 12/2026"), ["ยา ความดัน", "30", "12/2026"]);
+  assert.deepEqual(parseCommandArgs(REFILL, "ยา ความดัน 30"), ["ยา ความดัน", "30"]);
+});
+
+test("parseCommandArgs รวมรายการที่เว้นวรรครอบจุลภาค และแปลงเวลา", () => {
+  assert.deepEqual(parseCommandArgs(SET_DRUG_TIMES, "๑, ๒ ๑ ๒"), ["1,2", "1", "2"]);
+  assert.deepEqual(parseCommandArgs(SET_TIME, "2 8.30"), ["2", "08:30"]);
+  assert.deepEqual(parseCommandArgs(SET_TIME, "2 เช้า"), ["2", "เช้า"]);
+});
+
+test("parseCommandArgs เพิ่มยาแบบระบุครั้งละและเลขเวลา แปลงเลขไทยทุกตำแหน่ง", () => {
+  assert.deepEqual(parseCommandArgs(ADD, "พารา ๒๐ ๒ ๑"), ["พารา", "20", "2", "1"]);
+  assert.deepEqual(parseCommandArgs(ADD, "ยา ความดัน ๓๐ ๑ ๑,๒"), ["ยา ความดัน", "30", "1", "1,2"]);
+  // ครั้งละ/เลขเวลาต้องมาคู่กัน: ตัวเลขท้ายตัวเดียวคือจำนวน
+  assert.deepEqual(parseCommandArgs(ADD, "ยา ความดัน ๓๐"), ["ยา ความดัน", "30"]);
+  assert.deepEqual(parseCommandArgs(ADD, "ยาแก้ไอ ๖๐ ml"), ["ยาแก้ไอ", "60", "ml"]);
+});
+
+test("parseCommandArgs ตั้งเวลากินยา แปลงเลขยาในรายการ แต่คงชื่อยาตามที่พิมพ์", () => {
+  assert.deepEqual(parseCommandArgs(SET_DRUG_TIMES, "๑,๒ ๑,๒ ๑"), ["1,2", "1,2", "1"]);
+  assert.deepEqual(parseCommandArgs(SET_DRUG_TIMES, "1 ๓, ยา ความดัน ๐.๕"), ["1", "3,ยา ความดัน", "0.5"]);
+  assert.deepEqual(parseCommandArgs(SET_DRUG_TIMES, "1 วิตามินบี๑๒ 1"), ["1", "วิตามินบี๑๒", "1"]);
+});
+
+test("suggestCommands เดาคำสั่งที่พิมพ์ผิดและคง argument เดิมไว้", () => {
+  // ใกล้ที่สุดขึ้นก่อน
+  assert.deepEqual(suggestCommands("เตมยา 1 30", COMMAND_WORDS), ["เติมยา 1 30", "เพิ่มยา 1 30"]);
+  assert.deepEqual(suggestCommands("ดูย่า", COMMAND_WORDS), ["ดูยา"]);
+  // คำสั่งที่ไม่รับ argument ไม่แนะนำเมื่อพิมพ์ argument มาด้วย
+  assert.deepEqual(suggestCommands("ดูย่า 1", COMMAND_WORDS), []);
+  assert.deepEqual(suggestCommands("สวัสดี", COMMAND_WORDS), []);
+});
+
+test("suggestCommands แยกคำสั่งที่ลืมเว้นวรรค", () => {
+  assert.deepEqual(suggestCommands("เติมยา1 30", COMMAND_WORDS), ["เติมยา 1 30"]);
+  assert.deepEqual(suggestCommands("กินยา2", COMMAND_WORDS), ["กินยา 2"]);
+});
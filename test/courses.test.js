@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { formatDateKey } = require("../lib/time");
+const { parsePhases } = require("../lib/schedule");
+const { bot, setOnPush, pushesTo, createUser, sendText, tickAt } = require("./helpers/bot");
+
+const paracetamol = () => ({ name: "พารา", quantity: 10, schedules: [{ times: [0], pills: 1 }] });
+
+function dayKey(date, offset) {
+  return formatDateKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset));
+}
+
+test("ครบคอร์ส: แจ้งครั้งเดียว หยุดเตือนยานั้น และไม่ทับยาที่เติมระหว่างส่งข้อความ", async () => {
+  const user = await createUser({ drugs: [paracetamol()] });
+  const antibiotic = {
+    name: "ยาฆ่าเชื้อ",
+    quantity: 4,
+    schedules: [{ times: [0], pills: 1, endDate: dayKey(user.now, -1) }],
+  };
+  const stored = await bot.getUser(user.lineUserId);
+  await bot.saveUser(user.lineUserId, { ...stored, drugs: [...stored.drugs, antibiotic] });
+
+  setOnPush(() => sendText(user.lineUserId, "เติมยา พารา 5"));
+  await tickAt(user);
+
+  const [finished, reminder] = pushesTo(user.lineUserId);
+  assert.match(finished, /ครบคอร์สยาแล้ว[\s\S]*ยาฆ่าเชื้อ/);
+  assert.doesNotMatch(reminder, /ยาฆ่าเชื้อ/);
+
+  const { drugs } = await bot.getUser(user.lineUserId);
+  assert.equal(drugs[0].quantity, 15);
+  assert.deepEqual(drugs[1].schedules, []);
+
+  await tickAt(user, 24 * 60);
+  assert.equal(pushesTo(user.lineUserId).filter((text) => text.includes("ครบคอร์ส")).length, 1);
+});
+
+test("เปลี่ยนช่วงลดยา: แจ้งครั้งเดียวต่อช่วง และไม่ทับยาที่เติมระหว่างส่งข้อความ", async () => {
+  const user = await createUser({ drugs: [paracetamol()] });
+  const ended = { name: "ยาฆ่าเชื้อ", quantity: 4, schedules: [{ times: [0], pills: 1, endDate: dayKey(user.now, -1) }] };
+  const prednisolone = {
+    name: "เพรดนิโซโลน",
+    quantity: 20,
+    schedules: [{ times: [0], pills: 1 }],
+    phases: parsePhases(["2x1", "1x5"], dayKey(user.now, -1)),
+    announcedPhase: dayKey(user.now, -1),
+  };
+  const stored = await bot.getUser(user.lineUserId);
+  await bot.saveUser(user.lineUserId, { ...stored, drugs: [...stored.drugs, ended, prednisolone] });
+
+  // ข้อความแรก (ครบคอร์ส) ส่งก่อนงานแจ้งเปลี่ยนขนาดยาบันทึกข้อมูล
+  setOnPush(() => sendText(user.lineUserId, "เติมยา พารา 5"));
+  await tickAt(user);
+
+  const phaseMessages = () => pushesTo(user.lineUserId).filter((text) => text.includes("เปลี่ยนขนาดยา"));
+  assert.equal(phaseMessages().length, 1);
+  assert.match(phaseMessages()[0], /เพรดนิโซโลน: 2 → 1 เม็ด/);
+
+  const { drugs } = await bot.getUser(user.lineUserId);
+  assert.equal(drugs[0].quantity, 15);
+  assert.equal(drugs[2].announcedPhase, dayKey(user.now, 0));
+
+  await tickAt(user, 24 * 60);
+  assert.equal(phaseMessages().length, 1);
+});
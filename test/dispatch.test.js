@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { bot, createUser, sendText } = require("./helpers/bot");
+
+test("เพิ่มยาด้วยเลขไทยแบบระบุครั้งละและเลขเวลา", async () => {
+  const user = await createUser({ drugs: [] });
+  await sendText(user.lineUserId, "เพิ่มยา พารา ๒๐ ๒ ๑");
+
+  const { drugs } = await bot.getUser(user.lineUserId);
+  assert.equal(drugs.length, 1);
+  assert.equal(drugs[0].name, "พารา");
+  assert.equal(drugs[0].quantity, 20);
+  assert.deepEqual(drugs[0].schedules, [{ times: [0], pills: 2 }]);
+});
+
+test("ตั้งเวลากินยาด้วยเลขยาภาษาไทยหลายตัว", async () => {
+  const user = await createUser({
+    drugs: [
+      { name: "พารา", quantity: 10, schedules: [] },
+      { name: "ยาความดัน", quantity: 10, schedules: [] },
+    ],
+  });
+  const [replied] = await sendText(user.lineUserId, "ตั้งเวลากินยา ๑ ๑, ๒ ๐.๕");
+  assert.doesNotMatch(replied, /❌/);
+
+  const { drugs } = await bot.getUser(user.lineUserId);
+  drugs.forEach((drug) => assert.deepEqual(drug.schedules, [{ times: [0], pills: 0.5 }]));
+});
+
+test("พิมพ์คำสั่งผิดได้คำแนะนำ", async () => {
+  const user = await createUser({ drugs: [] });
+  const [replied] = await sendText(user.lineUserId, "เติมยา1 30");
+  assert.match(replied, /หมายถึง\n• เติมยา 1 30/);
+});
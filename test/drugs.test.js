@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { findDrugsByName } = require("../lib/drugs");
+
+const user = {
+  drugs: [
+    { name: "Paracetamol 500mg" },
+    { name: "ยาความดัน" },
+    { name: "ยาความดันสูง" },
+    { name: "เมทฟอร์มิน" },
+    { name: "วิตามินบี" },
+  ],
+};
+const names = (query) => findDrugsByName(user, query).map((drug) => drug.name);
+
+test("findDrugsByName ตรงทั้งชื่อมาก่อนชื่อที่ขึ้นต้นเหมือนกัน", () => {
+  assert.deepEqual(names("ยาความดัน"), ["ยาความดัน"]);
+  assert.deepEqual(names("ยาความ"), ["ยาความดัน", "ยาความดันสูง"]);
+});
+
+test("findDrugsByName ไม่สนช่องว่าง วรรณยุกต์ และตัวพิมพ์", () => {
+  assert.deepEqual(names("PARACETAMOL500"), ["Paracetamol 500mg"]);
+  assert.deepEqual(names("ยา ความดันสูง"), ["ยาความดันสูง"]);
+  assert.deepEqual(names("เมทฟอรมิน"), ["เมทฟอร์มิน"]);
+});
+
+test("findDrugsByName หาจากชื่อย่อ/ชื่ออื่นของยาเดียวกัน", () => {
+  assert.deepEqual(names("พารา"), ["Paracetamol 500mg"]);
+  assert.deepEqual(names("tylenol"), ["Paracetamol 500mg"]);
+  assert.deepEqual(names("metformin"), ["เมทฟอร์มิน"]);
+});
+
+test("findDrugsByName หาคำที่อยู่กลางชื่อเมื่อยาวอย่างน้อย 2 ตัวอักษร", () => {
+  assert.deepEqual(names("ดันสูง"), ["ยาความดันสูง"]);
+  assert.deepEqual(names("บี"), ["วิตามินบี"]);
+  assert.deepEqual(names("ส"), []);
+  assert.deepEqual(names("  "), []);
+});
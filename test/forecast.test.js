@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { forecastDrug } = require("../lib/forecast");
+const { parsePhases } = require("../lib/schedule");
+
+const TODAY = new Date(2026, 9, 19, 7, 0); // 19 ต.ค. 2026 07:00 ก่อนรอบแรก
+
+test("forecastDrug ยากินทุกวัน: วันละ 2 รอบ รอบละ 1 เม็ด", () => {
+  const drug = { quantity: 10, schedules: [{ times: [0, 1], pills: 1 }] };
+  assert.deepEqual(forecastDrug(drug, TODAY), { dailyUse: 2, daysLeft: 5, runOutDate: "2026-10-24", level: "low" });
+});
+
+test("forecastDrug วันนี้นับเฉพาะรอบที่ยังไม่ถึงเวลา", () => {
+  const drug = { quantity: 3, schedules: [{ times: [0, 1], pills: 1 }] };
+  const noon = new Date(2026, 9, 19, 12, 0);
+  // เหลือรอบ 20:00 วันนี้ 1 เม็ด แล้ววันละ 2 เม็ด → พรุ่งนี้พอ วันถัดไปไม่พอ
+  assert.equal(forecastDrug(drug, noon, ["08:00", "20:00"]).daysLeft, 2);
+  assert.equal(forecastDrug(drug, noon).daysLeft, 1);
+});
+
+test("forecastDrug ระดับสต็อกตามจำนวนวันที่เหลือ", () => {
+  const daily = (quantity) => ({ quantity, schedules: [{ times: [0], pills: 1 }] });
+  assert.equal(forecastDrug(daily(0), TODAY).level, "out");
+  assert.equal(forecastDrug(daily(3), TODAY).level, "critical");
+  assert.equal(forecastDrug(daily(8), TODAY).level, "low");
+  assert.equal(forecastDrug(daily(30), TODAY).level, "ok");
+});
+
+test("forecastDrug ครบคอร์สก่อนยาหมดไม่มีวันหมด", () => {
+  const drug = { quantity: 30, schedules: [{ times: [0], pills: 1, endDate: "2026-10-25" }] };
+  assert.equal(forecastDrug(drug, TODAY).daysLeft, null);
+  drug.quantity = 3;
+  assert.equal(forecastDrug(drug, TODAY).runOutDate, "2026-10-22");
+});
+
+test("forecastDrug กินบางวันนับเฉพาะวันที่ต้องกิน", () => {
+  // จ พ ศ วันละ 1 เม็ด 4 เม็ด: 19, 21, 23, 26 → หมดวันที่ 28
+  const drug = { quantity: 4, schedules: [{ times: [0], pills: 1, daysOfWeek: [1, 3, 5] }] };
+  assert.equal(forecastDrug(drug, TODAY).runOutDate, "2026-10-28");
+});
+
+test("forecastDrug ยาลดขนาดใช้จำนวนเม็ดของแต่ละช่วง", () => {
+  const drug = { quantity: 10, schedules: [{ times: [0], pills: 1 }], phases: parsePhases(["3x2", "1x10"], "2026-10-19") };
+  // 3+3 แล้ววันละ 1 → อีก 4 เม็ดพอถึง 24 ต.ค.
+  assert.equal(forecastDrug(drug, TODAY).runOutDate, "2026-10-25");
+});
+
+test("forecastDrug ยาตามอาการไม่มีวันหมด", () => {
+  const drug = { quantity: 5, prn: true, schedules: [] };
+  assert.deepEqual(forecastDrug(drug, TODAY), { dailyUse: 0, daysLeft: null, runOutDate: null, level: "ok" });
+});
@@ -0,0 +1,96 @@
+// โหลด index.js แบบ offline สำหรับ test ระดับ handler: เก็บข้อมูลใน memory และดักข้อความที่จะส่งไป LINE
+process.env.STORAGE = "memory";
+process.env.LINE_CHANNEL_ACCESS_TOKEN = "test";
+
+const axios = require("axios");
+const bot = require("../../index");
+
+// ข้อความที่บอทส่งทั้งหมด: { to, replyToken, text } (Flex ใช้ altText + ข้อความในตัว Flex)
+const sent = [];
+// ให้ test แทรกงานระหว่างที่กำลังส่ง push (จำลอง webhook ที่เข้ามาพร้อม cron)
+let onPush = null;
+
+axios.post = async (url, body) => {
+  for (const message of body.messages) {
+    sent.push({ to: body.to, replyToken: body.replyToken, text: messageText(message) });
+  }
+  if (body.to && onPush) {
+    const hook = onPush;
+    onPush = null;
+    await hook(body);
+  }
+  return { data: {} };
+};
+
+function messageText(message) {
+  if (message.type === "text") return message.text;
+  const texts = [];
+  JSON.stringify(message.contents, (key, value) => {
+    if (key === "text") texts.push(value);
+    return value;
+  });
+  return [message.altText, ...texts].join("\n");
+}
+
+function setOnPush(hook) {
+  onPush = hook;
+}
+
+function pushesTo(lineUserId) {
+  return sent.filter((m) => m.to === lineUserId).map((m) => m.text);
+}
+
+let userCount = 0;
+
+// ผู้ใช้ใหม่ทุกครั้ง (lineUserId ไม่ซ้ำกัน) มีรอบเตือนเดียวที่เวลาท้องถิ่นตอนนี้ + slotInMinutes
+async function createUser({ drugs, slotInMinutes = 10, ...fields }) {
+  userCount += 1;
+  const lineUserId = `Utest${userCount}`;
+  // เขตเวลาที่ตอนนี้เป็นช่วง 11 โมง → รอบเตือน ±ไม่กี่นาทีอยู่ในวันเดียวกันเสมอ
+  const timezone = timezoneAtHour(11);
+  const now = bot.getLocalNow(timezone);
+  const slot = new Date(now.getTime() + slotInMinutes * 60 * 1000);
+  const user = {
+    odotId: `HN${userCount}`,
+    lineUserId,
+    timezone,
+    drugs,
+    reminderTimes: [`${pad(slot.getHours())}:${pad(slot.getMinutes())}`],
+    digestTime: null, // ไม่ให้สรุปประจำวันตอนเที่ยงปนกับข้อความที่ test ตรวจ
+    createdAt: new Date().toISOString(),
+    ...fields,
+  };
+  await bot.saveUser(lineUserId, user);
+  return { lineUserId, timezone, slot, now };
+}
+
+function timezoneAtHour(hour) {
+  let offset = hour - new Date().getUTCHours();
+  if (offset < -12) offset += 24;
+  if (offset === 0) return "Etc/UTC";
+  return `Etc/GMT${offset > 0 ? "-" : "+"}${Math.abs(offset)}`;
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+let eventCount = 0;
+
+async function sendText(lineUserId, text) {
+  eventCount += 1;
+  await bot.handleMessage({
+    type: "message",
+    replyToken: `reply${eventCount}`,
+    source: { userId: lineUserId },
+    message: { type: "text", text },
+  });
+  return sent.filter((m) => m.replyToken === `reply${eventCount}`).map((m) => m.text);
+}
+
+// ประมวลผลนาที minutes นาทีหลังรอบเตือนของผู้ใช้ (เหมือน cron ทำงานนาทีนั้น)
+async function tickAt(user, minutes = 0) {
+  await bot.processMinute(user.timezone, new Date(user.slot.getTime() + minutes * 60 * 1000));
+}
+
+module.exports = { bot, sent, setOnPush, pushesTo, createUser, sendText, tickAt };
@@ -0,0 +1,39 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { bot, pushesTo, createUser, sendText } = require("./helpers/bot");
+
+const CAREGIVER = "Ucaregiver";
+const painkiller = () => ({
+  name: "แก้ปวด",
+  quantity: 10,
+  schedules: [],
+  prn: { pills: 1, minIntervalHours: 4, maxPerDay: 3 },
+});
+
+test("ยาตามอาการ: กินครั้งแรกบันทึกทันทีและหักยา", async () => {
+  const user = await createUser({ drugs: [painkiller()] });
+
+  const [recorded] = await sendText(user.lineUserId, "กิน แก้ปวด");
+  assert.match(recorded, /บันทึกการกินยาตามอาการแล้ว/);
+  assert.match(recorded, /ใน 24 ชม.: 1\/3 ครั้ง/);
+  assert.equal((await bot.getUser(user.lineUserId)).drugs[0].quantity, 9);
+});
+
+test("ยาตามอาการ: กินถี่เกินไปต้องยืนยันก่อน ไม่ยืนยันก็ไม่บันทึก", async () => {
+  const user = await createUser({ drugs: [painkiller()] });
+  await sendText(user.lineUserId, "กิน แก้ปวด");
+
+  assert.match((await sendText(user.lineUserId, "กิน แก้ปวด"))[0], /ต้องห่างกัน 4 ชม./);
+  assert.match((await sendText(user.lineUserId, "ยกเลิก"))[0], /ยกเลิกรายการที่ทำค้างไว้/);
+  assert.equal((await bot.getUser(user.lineUserId)).drugs[0].quantity, 9);
+});
+
+test("ยาตามอาการ: ยืนยันกินเกินเงื่อนไข บันทึกและแจ้งผู้ดูแล", async () => {
+  const user = await createUser({ drugs: [painkiller()], caregivers: [{ lineUserId: CAREGIVER }] });
+  await sendText(user.lineUserId, "กิน แก้ปวด");
+  await sendText(user.lineUserId, "กิน แก้ปวด");
+
+  assert.match((await sendText(user.lineUserId, "ยืนยัน"))[0], /\(เกินเงื่อนไข\)/);
+  assert.equal((await bot.getUser(user.lineUserId)).drugs[0].quantity, 8);
+  assert.match(pushesTo(CAREGIVER).at(-1), /กิน แก้ปวด เกินเงื่อนไขยาตามอาการ/);
+});
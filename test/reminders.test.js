@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { formatDateKey } = require("../lib/time");
+const { bot, pushesTo, createUser, sendText, tickAt } = require("./helpers/bot");
+
+const paracetamol = () => ({ name: "พารา", quantity: 10, schedules: [{ times: [0], pills: 1 }] });
+const CAREGIVER = "Ucaregiver";
+
+test("ถึงเวลาเตือน: ส่งเตือนและบันทึกรอบเป็น pending", async () => {
+  const user = await createUser({ drugs: [paracetamol()] });
+  await tickAt(user);
+
+  const [reminder] = pushesTo(user.lineUserId);
+  assert.match(reminder, /ถึงเวลากินยาแล้ว/);
+  const events = await bot.getDoseLog(user.lineUserId, formatDateKey(user.slot));
+  assert.equal(events.at(-1).status, "pending");
+});
+
+test("ยืนยันกินล่วงหน้าแล้ว: ไม่เตือนซ้ำ และไม่แจ้งผู้ดูแลว่าพลาด", async () => {
+  const user = await createUser({ drugs: [paracetamol()], caregivers: [{ lineUserId: CAREGIVER }] });
+  const [confirmed] = await sendText(user.lineUserId, "กินแล้ว");
+  assert.match(confirmed, /บันทึกการกินยาสำเร็จ/);
+
+  await tickAt(user);
+  await tickAt(user, 30);
+  await tickAt(user, 120);
+
+  assert.deepEqual(pushesTo(user.lineUserId), []);
+  assert.ok(pushesTo(CAREGIVER).every((text) => !text.includes("พลาด")));
+  const events = await bot.getDoseLog(user.lineUserId, formatDateKey(user.slot));
+  assert.deepEqual(events.map((e) => e.status), ["ontime"]);
+});
+
+test("ไม่ยืนยันจนเลยเวลา: บันทึกว่าพลาดและแจ้งผู้ดูแล", async () => {
+  const user = await createUser({ drugs: [paracetamol()], caregivers: [{ lineUserId: CAREGIVER }] });
+  await tickAt(user);
+  await tickAt(user, 120);
+
+  assert.match(pushesTo(user.lineUserId).at(-1), /พลาดการกินยา/);
+  assert.match(pushesTo(CAREGIVER).at(-1), /พลาดการกินยาเวลา/);
+});
+
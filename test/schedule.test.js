@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { isScheduleDue, isDrugDue, parsePhases } = require("../lib/schedule");
+
+const day = (key) => {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d);
+};
+
+test("isScheduleDue ไม่มีเงื่อนไข = ทุกวัน", () => {
+  assert.equal(isScheduleDue({ times: [0] }, day("2026-10-19")), true);
+});
+
+test("isScheduleDue ตามวันในสัปดาห์", () => {
+  const schedule = { times: [0], daysOfWeek: [1, 3, 5] }; // จ พ ศ
+  assert.equal(isScheduleDue(schedule, day("2026-10-19")), true); // จันทร์
+  assert.equal(isScheduleDue(schedule, day("2026-10-20")), false);
+  assert.equal(isScheduleDue(schedule, day("2026-10-21")), true);
+});
+
+test("isScheduleDue ทุก N วันนับจาก startDate", () => {
+  const schedule = { times: [0], everyNDays: 3, startDate: "2026-10-19" };
+  assert.equal(isScheduleDue(schedule, day("2026-10-18")), false);
+  assert.equal(isScheduleDue(schedule, day("2026-10-19")), true);
+  assert.equal(isScheduleDue(schedule, day("2026-10-21")), false);
+  assert.equal(isScheduleDue(schedule, day("2026-10-22")), true);
+  // ข้ามเดือน
+  assert.equal(isScheduleDue(schedule, day("2026-11-03")), true);
+});
+
+test("isScheduleDue อยู่ในช่วง startDate-endDate เท่านั้น", () => {
+  const schedule = { times: [0], startDate: "2026-10-19", endDate: "2026-10-25" };
+  assert.equal(isScheduleDue(schedule, day("2026-10-18")), false);
+  assert.equal(isScheduleDue(schedule, day("2026-10-25")), true);
+  assert.equal(isScheduleDue(schedule, day("2026-10-26")), false);
+});
+
+test("isDrugDue ยาตามอาการไม่ถึงกำหนด และยาลดขนาดถึงกำหนดเฉพาะในช่วงลดยา", () => {
+  const schedule = { times: [0] };
+  assert.equal(isDrugDue({ prn: true, schedules: [schedule] }, schedule, day("2026-10-19")), false);
+
+  const taper = { schedules: [schedule], phases: parsePhases(["2x2", "1x2"], "2026-10-19") };
+  assert.equal(isDrugDue(taper, schedule, day("2026-10-18")), false);
+  assert.equal(isDrugDue(taper, schedule, day("2026-10-22")), true);
+  assert.equal(isDrugDue(taper, schedule, day("2026-10-23")), false);
+});
+
+test("parsePhases ต่อช่วงกันจากวันเริ่ม", () => {
+  assert.deepEqual(parsePhases(["4x5", "3×5", "0.5*2"], "2026-10-30"), [
+    { startDate: "2026-10-30", endDate: "2026-11-03", pills: 4 },
+    { startDate: "2026-11-04", endDate: "2026-11-08", pills: 3 },
+    { startDate: "2026-11-09", endDate: "2026-11-10", pills: 0.5 },
+  ]);
+});
+
+test("parsePhases ไม่รับรูปแบบที่ผิด", () => {
+  assert.equal(parsePhases([], "2026-10-19"), null);
+  assert.equal(parsePhases(["4x5", "สามเม็ด"], "2026-10-19"), null);
+  assert.equal(parsePhases(["0x5"], "2026-10-19"), null);
+  assert.equal(parsePhases(["1x0"], "2026-10-19"), null);
+  assert.equal(parsePhases(["1x366"], "2026-10-19"), null);
+});
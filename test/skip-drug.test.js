@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { formatDateKey } = require("../lib/time");
+const { bot, pushesTo, createUser, sendText, tickAt } = require("./helpers/bot");
+
+const drugs = () => [
+  { name: "พารา", quantity: 10, schedules: [{ times: [0], pills: 1 }] },
+  { name: "ความดัน", quantity: 10, schedules: [{ times: [0], pills: 1 }] },
+];
+
+test("ข้ามยารายตัว: ถามเหตุผลก่อน แล้วกินยาที่เหลือโดยไม่หักยาที่ข้าม", async () => {
+  const user = await createUser({ drugs: drugs() });
+
+  assert.match((await sendText(user.lineUserId, "ข้ามยา 1 ความดัน"))[0], /เพราะอะไรคะ/);
+  const [skipped] = await sendText(user.lineUserId, "แพทย์สั่งงด");
+  assert.match(skipped, /เหตุผล: แพทย์สั่งงด/);
+  assert.match(skipped, /ยังต้องกิน:\n• พารา/);
+
+  assert.match((await sendText(user.lineUserId, "กินยา 1"))[0], /บันทึกการกินยาสำเร็จ/);
+  const saved = await bot.getUser(user.lineUserId);
+  assert.deepEqual(saved.drugs.map((d) => d.quantity), [9, 10]);
+});
+
+test("ข้ามยาครบทุกตัวในรอบ: นับเป็นข้ามทั้งรอบ ไม่เตือนซ้ำและไม่นับว่าพลาด", async () => {
+  const user = await createUser({ drugs: drugs() });
+  await tickAt(user);
+
+  await sendText(user.lineUserId, "ข้ามยา 1 พารา, ความดัน เพราะ ยาหมด");
+  await tickAt(user, 30);
+  await tickAt(user, 120);
+
+  assert.equal(pushesTo(user.lineUserId).length, 1);
+  const events = await bot.getDoseLog(user.lineUserId, formatDateKey(user.slot));
+  assert.deepEqual(events.map((e) => e.status), ["pending", "drugSkipped", "skipped"]);
+});
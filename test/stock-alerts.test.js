@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { formatDateKey } = require("../lib/time");
+const { bot, setOnPush, pushesTo, createUser, sendText, tickAt } = require("./helpers/bot");
+
+function dayKey(date, offset) {
+  return formatDateKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset));
+}
+
+// ผู้ใช้ที่มียาครบคอร์สเมื่อวานด้วย: งานแจ้งครบคอร์สส่งข้อความก่อนงานเตือนสต็อก
+// ใช้จังหวะนั้นจำลอง webhook ที่เข้ามาระหว่างที่ cron ทำงาน
+async function createUserWithEndedCourse(drugs) {
+  const user = await createUser({ drugs: [] });
+  const ended = { name: "ยาฆ่าเชื้อ", quantity: 4, schedules: [{ times: [0], pills: 1, endDate: dayKey(user.now, -1) }] };
+  const stored = await bot.getUser(user.lineUserId);
+  await bot.saveUser(user.lineUserId, { ...stored, drugs: [...drugs(user.now), ended] });
+  return user;
+}
+
+test("เตือนเติมยา: แจ้งครั้งเดียว และไม่ทับยาที่กินระหว่างส่งข้อความ", async () => {
+  const user = await createUserWithEndedCourse(() => [
+    { name: "พารา", quantity: 3, schedules: [{ times: [0], pills: 1 }] },
+  ]);
+
+  setOnPush(() => sendText(user.lineUserId, "กินยา 1"));
+  await tickAt(user);
+
+  const refillMessages = () => pushesTo(user.lineUserId).filter((text) => text.includes("ถึงเวลาเติมยา"));
+  assert.equal(refillMessages().length, 1);
+
+  const [drug] = (await bot.getUser(user.lineUserId)).drugs;
+  assert.equal(drug.quantity, 2);
+  assert.equal(drug.refillRemindedAt, dayKey(user.now, 0));
+
+  await tickAt(user, 24 * 60);
+  assert.equal(refillMessages().length, 1);
+});
+
+test("เตือนยาใกล้หมดอายุ: แจ้งครั้งเดียว และไม่ทับล็อตที่หักระหว่างส่งข้อความ", async () => {
+  const user = await createUserWithEndedCourse((now) => [
+    { name: "พารา", quantity: 20, batches: [{ quantity: 20, expiry: dayKey(now, 5) }], schedules: [{ times: [0], pills: 1 }] },
+  ]);
+
+  setOnPush(() => sendText(user.lineUserId, "กินยา 1"));
+  await tickAt(user);
+
+  const expiryMessages = () => pushesTo(user.lineUserId).filter((text) => text.includes("วันหมดอายุยา"));
+  assert.equal(expiryMessages().length, 1);
+
+  const [drug] = (await bot.getUser(user.lineUserId)).drugs;
+  assert.equal(drug.quantity, 19);
+  assert.deepEqual(drug.batches, [{ quantity: 19, expiry: dayKey(user.now, 5), warned: "near" }]);
+
+  await tickAt(user, 24 * 60);
+  assert.equal(expiryMessages().length, 1);
+});
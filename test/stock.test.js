@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { addStock, consumeStock, restoreStock } = require("../lib/stock");
+
+const TODAY = new Date(2026, 9, 19);
+
+test("addStock ล็อตแรกที่มีวันหมดอายุทำให้ยาเดิมเป็นล็อตไม่ระบุวัน", () => {
+  const drug = { quantity: 5 };
+  addStock(drug, 10, "2027-01-31");
+  assert.equal(drug.quantity, 15);
+  assert.deepEqual(drug.batches, [
+    { quantity: 10, expiry: "2027-01-31" },
+    { quantity: 5, expiry: null },
+  ]);
+});
+
+test("consumeStock หักล็อตที่หมดอายุก่อนก่อน และใช้ล็อตที่หมดอายุแล้วเป็นลำดับสุดท้าย", () => {
+  const drug = { quantity: 0 };
+  addStock(drug, 2, "2026-01-31"); // หมดอายุแล้ว
+  addStock(drug, 3, "2027-06-30");
+  addStock(drug, 3, "2026-12-31");
+  addStock(drug, 2, null);
+
+  const used = consumeStock(drug, 7, TODAY);
+  assert.deepEqual(used, [
+    { quantity: 3, expiry: "2026-12-31" },
+    { quantity: 3, expiry: "2027-06-30" },
+    { quantity: 1, expiry: null },
+  ]);
+  assert.equal(drug.quantity, 3);
+  assert.deepEqual(drug.batches, [
+    { quantity: 2, expiry: "2026-01-31" },
+    { quantity: 1, expiry: null },
+  ]);
+
+  consumeStock(drug, 2, TODAY);
+  assert.deepEqual(drug.batches, [{ quantity: 1, expiry: "2026-01-31" }]);
+});
+
+test("consumeStock ยาที่ไม่มีล็อตหักแค่จำนวน", () => {
+  const drug = { quantity: 10 };
+  assert.deepEqual(consumeStock(drug, 0.5, TODAY), []);
+  assert.deepEqual(drug, { quantity: 9.5 });
+});
+
+test("restoreStock คืนยาเข้าล็อตเดิมที่ถูกหัก", () => {
+  const drug = { quantity: 0 };
+  addStock(drug, 2, "2026-12-31");
+  addStock(drug, 5, "2027-06-30");
+  const used = consumeStock(drug, 3, TODAY);
+
+  restoreStock(drug, 3, used);
+  assert.equal(drug.quantity, 7);
+  assert.deepEqual(drug.batches, [
+    { quantity: 2, expiry: "2026-12-31" },
+    { quantity: 5, expiry: "2027-06-30" },
+  ]);
+});
+
+test("restoreStock ส่วนที่ไม่รู้ล็อตคืนเป็นล็อตไม่ระบุวัน", () => {
+  const drug = { quantity: 0 };
+  addStock(drug, 4, "2026-12-31");
+  consumeStock(drug, 2, TODAY);
+
+  restoreStock(drug, 2);
+  assert.equal(drug.quantity, 4);
+  assert.deepEqual(drug.batches, [
+    { quantity: 2, expiry: "2026-12-31" },
+    { quantity: 2, expiry: null },
+  ]);
+});
+
+test("restoreStock หลังล็อตหมดแล้วเติมแบบไม่ระบุวัน: ยาที่เติมเป็นล็อตไม่ระบุวัน", () => {
+  const drug = { quantity: 0 };
+  addStock(drug, 2, "2027-01-31");
+  const used = consumeStock(drug, 2, TODAY);
+  assert.equal(drug.batches, undefined);
+  addStock(drug, 30);
+
+  restoreStock(drug, 2, used);
+  assert.equal(drug.quantity, 32);
+  assert.deepEqual(drug.batches, [
+    { quantity: 2, expiry: "2027-01-31" },
+    { quantity: 30, expiry: null },
+  ]);
+});
+
+test("consumeStock แล้ว restoreStock ได้สต็อกเท่าเดิมเมื่อกินทีละครึ่งเม็ด", () => {
+  const drug = { quantity: 0 };
+  addStock(drug, 1, "2026-12-31");
+  addStock(drug, 1, "2027-01-31");
+  const doses = [1, 2, 3].map(() => consumeStock(drug, 0.5, TODAY));
+  doses.reverse().forEach((used) => restoreStock(drug, 0.5, used));
+  assert.equal(drug.quantity, 2);
+  assert.deepEqual(drug.batches, [
+    { quantity: 1, expiry: "2026-12-31" },
+    { quantity: 1, expiry: "2027-01-31" },
+  ]);
+});
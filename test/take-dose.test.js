@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { formatDateKey } = require("../lib/time");
+const { bot, createUser, sendText } = require("./helpers/bot");
+
+const paracetamol = () => ({ name: "พารา", quantity: 10, schedules: [{ times: [0], pills: 1 }] });
+
+async function quantityOf(user) {
+  return (await bot.getUser(user.lineUserId)).drugs[0].quantity;
+}
+
+test("กินยารอบเดิมซ้ำ: ถามยืนยันก่อน และหักยาเมื่อยืนยันเท่านั้น", async () => {
+  const user = await createUser({ drugs: [paracetamol()] });
+  await sendText(user.lineUserId, "กินยา 1");
+
+  const [warning] = await sendText(user.lineUserId, "กินยา 1");
+  assert.match(warning, /บันทึกว่ากินไปแล้ว/);
+  assert.equal(await quantityOf(user), 9);
+
+  const [repeated] = await sendText(user.lineUserId, "ยืนยัน");
+  assert.match(repeated, /\(กินซ้ำ\)/);
+  assert.equal(await quantityOf(user), 8);
+});
+
+test("กินยาซ้ำแม้ event ล่าสุดของรอบไม่ใช่การกิน (เช่น pending ที่บันทึกทีหลัง)", async () => {
+  const user = await createUser({ drugs: [paracetamol()] });
+  await sendText(user.lineUserId, "กินยา 1");
+
+  const dateKey = formatDateKey(user.slot);
+  const events = await bot.getDoseLog(user.lineUserId, dateKey);
+  events.push({ slot: 0, time: events[0].time, status: "pending", drugs: events[0].drugs, createdAt: new Date().toISOString() });
+  await bot.saveDoseLog(user.lineUserId, dateKey, events);
+
+  const [warning] = await sendText(user.lineUserId, "กินยา 1");
+  assert.match(warning, /บันทึกว่ากินไปแล้ว/);
+  assert.equal(await quantityOf(user), 9);
+});
+
+test("ยกเลิกการกินแล้วคืนยา และกินรอบนั้นใหม่ได้โดยไม่นับว่าซ้ำ", async () => {
+  const user = await createUser({ drugs: [paracetamol()] });
+  await sendText(user.lineUserId, "กินยา 1");
+
+  const [undone] = await sendText(user.lineUserId, "ยกเลิกการกิน 1");
+  assert.match(undone, /ยกเลิกบันทึกการกินยาแล้ว/);
+  assert.equal(await quantityOf(user), 10);
+
+  const [taken] = await sendText(user.lineUserId, "กินยา 1");
+  assert.match(taken, /บันทึกการกินยาสำเร็จ!\n/);
+  assert.equal(await quantityOf(user), 9);
+});
+
+test("ยกเลิกการกินหลังเติมยาแบบไม่ระบุวัน: ล็อตยังรวมได้เท่าจำนวนยา", async () => {
+  const user = await createUser({
+    drugs: [{ name: "พารา", quantity: 2, batches: [{ quantity: 2, expiry: "2099-01-31" }], schedules: [{ times: [0], pills: 2 }] }],
+  });
+  await sendText(user.lineUserId, "กินยา 1");
+  await sendText(user.lineUserId, "เติมยา 1 30");
+  await sendText(user.lineUserId, "ยกเลิกการกิน 1");
+
+  const [drug] = (await bot.getUser(user.lineUserId)).drugs;
+  assert.equal(drug.quantity, 32);
+  assert.deepEqual(drug.batches, [
+    { quantity: 2, expiry: "2099-01-31" },
+    { quantity: 30, expiry: null },
+  ]);
+});